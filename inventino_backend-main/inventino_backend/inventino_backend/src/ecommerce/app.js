@@ -17,6 +17,17 @@ import notificationRoutes from './routes/notificationRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import productTypeRoutes from './routes/productTypeRoutes.js';
 import reviewRoutes from './routes/reviewRoutes.js';
+import warehouseRoutes from './routes/warehouseRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+import supplierRoutes from './routes/supplierRoutes.js';
+import purchaseOrderRoutes from './routes/purchaseOrderRoutes.js';
+import cycleCountRoutes from './routes/cycleCountRoutes.js';
+import transferRoutes from './routes/transferRoutes.js';
+import productImportRoutes from './routes/productImportRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import stockAlertRoutes from './routes/stockAlertRoutes.js';
+import serialRoutes from './routes/serialRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
 
 dotenv.config();
 
@@ -53,7 +64,17 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin', adminUserRoutes);
 app.use('/api/admin/returns', returnRoutes);
+app.use('/api/admin/warehouses', warehouseRoutes);
+app.use('/api/admin/inventory', inventoryRoutes);
+app.use('/api/admin/suppliers', supplierRoutes);
+app.use('/api/admin/purchase-orders', purchaseOrderRoutes);
+app.use('/api/admin/cycle-counts', cycleCountRoutes);
+app.use('/api/admin/transfers', transferRoutes);
+app.use('/api/admin/products', productImportRoutes);
+app.use('/api/admin/serials', serialRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/stock-alerts', stockAlertRoutes);
 app.use('/api/address', addressRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/suggestions', suggestionRoutes);
@@ -61,6 +82,7 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/product-types', productTypeRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/shipping', shippingRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,61 @@
+/**
+ * Read a setting from the environment. A missing value gives the default;
+ * an invalid one is logged and also gives the default, so a typo in the
+ * environment does not stop the server from starting.
+ * @param {string} name - environment variable
+ * @param {*} fallback - default value
+ * @param {Object} options - { parse: text -> value, isValid: value -> boolean, expected: description for the warning }
+ * @returns {*}
+ */
+export const readSetting = (name, fallback, { parse = value => value, isValid = () => true, expected } = {}) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = parse(raw.trim());
+  if (isValid(value)) return value;
+
+  console.warn(`${name} must be ${expected}; got "${raw}", using ${fallback}`);
+  return fallback;
+};
+
+/**
+ * Read a whole-number setting of at least `min`.
+ * @returns {number}
+ */
+export const readInteger = (name, fallback, { min = 1 } = {}) => readSetting(name, fallback, {
+  parse: Number,
+  isValid: value => Number.isInteger(value) && value >= min,
+  expected: `a whole number of at least ${min}`
+});
+
+/**
+ * Read a numeric setting of at least `min`, e.g. an amount or a weight.
+ * @returns {number}
+ */
+export const readNumber = (name, fallback, { min = 0 } = {}) => readSetting(name, fallback, {
+  parse: Number,
+  isValid: value => Number.isFinite(value) && value >= min,
+  expected: `a number of at least ${min}`
+});
+
+/**
+ * Read a true/false setting.
+ * @returns {boolean}
+ */
+export const readBoolean = (name, fallback) => readSetting(name, fallback, {
+  parse: value => ({ true: true, false: false })[value.toLowerCase()],
+  isValid: value => typeof value === 'boolean',
+  expected: 'true or false'
+});
+
+/**
+ * Read a setting that must be one of `choices`. Text choices are matched
+ * without regard to case.
+ * @param {Array} choices - allowed values, all text or all numbers
+ * @returns {*}
+ */
+export const readChoice = (name, fallback, choices) => readSetting(name, fallback, {
+  parse: value => (typeof choices[0] === 'number' ? Number(value) : value.toLowerCase()),
+  isValid: value => choices.includes(value),
+  expected: `one of: ${choices.join(', ')}`
+});
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import cron from 'node-cron';
+import { readSetting, readInteger, readChoice } from './env.js';
+
+dotenv.config();
+
+export const COSTING_METHODS = ['fifo', 'weighted_average'];
+
+// How cost of goods sold and inventory value are calculated
+const costingMethod = readChoice('INVENTORY_COSTING_METHOD', 'weighted_average', COSTING_METHODS);
+
+// How long adding to the cart holds stock, and how often expired holds are released
+const cartReservationMinutes = readInteger('CART_RESERVATION_TTL_MINUTES', 15);
+const cartReservationSweep = readSetting('CART_RESERVATION_SWEEP_CRON', '* * * * *', {
+  isValid: value => cron.validate(value),
+  expected: 'a valid cron expression'
+});
+
+export default {
+  costingMethod,
+  cartReservationMinutes,
+  cartReservationSweep
+};
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import { readSetting, readInteger, readNumber } from './env.js';
+
+dotenv.config();
+
+// Delivery zones, from nearest to farthest; special covers remote areas
+// such as the north-east, Jammu and Kashmir, Ladakh and the islands
+export const SHIPPING_ZONES = ['local', 'regional', 'metro', 'national', 'special'];
+
+// Rate cards used for zones without one saved: a charge per weight slab up
+// to maxWeight kg, then extraWeightCharge for each extraWeightStep kg above
+// the last slab
+export const DEFAULT_RATE_CARDS = {
+  local: { slabs: [{ maxWeight: 0.5, charge: 40 }, { maxWeight: 1, charge: 55 }, { maxWeight: 2, charge: 75 }], extraWeightStep: 1, extraWeightCharge: 30 },
+  regional: { slabs: [{ maxWeight: 0.5, charge: 50 }, { maxWeight: 1, charge: 70 }, { maxWeight: 2, charge: 95 }], extraWeightStep: 1, extraWeightCharge: 40 },
+  metro: { slabs: [{ maxWeight: 0.5, charge: 60 }, { maxWeight: 1, charge: 85 }, { maxWeight: 2, charge: 115 }], extraWeightStep: 1, extraWeightCharge: 45 },
+  national: { slabs: [{ maxWeight: 0.5, charge: 70 }, { maxWeight: 1, charge: 100 }, { maxWeight: 2, charge: 140 }], extraWeightStep: 1, extraWeightCharge: 55 },
+  special: { slabs: [{ maxWeight: 0.5, charge: 90 }, { maxWeight: 1, charge: 130 }, { maxWeight: 2, charge: 180 }], extraWeightStep: 1, extraWeightCharge: 70 }
+};
+
+// Cubic centimetres per kilogram of volumetric weight, as couriers charge
+const volumetricDivisor = readInteger('SHIPPING_VOLUMETRIC_DIVISOR', 5000);
+
+// Weight assumed per unit of products without one, in kg
+const defaultWeight = readNumber('SHIPPING_DEFAULT_WEIGHT_KG', 0.5);
+
+// Order value from which shipping is free, for rate cards that set none; unset means never
+const freeShippingThreshold = readNumber('SHIPPING_FREE_ABOVE', null);
+
+// Pincode orders ship from when no warehouse serves the destination
+const originPincode = readSetting('SHIPPING_ORIGIN_PINCODE', null, {
+  isValid: value => /^\d{6}$/.test(value),
+  expected: 'a 6-digit pincode'
+});
+
+export default {
+  volumetricDivisor,
+  defaultWeight,
+  freeShippingThreshold,
+  originPincode
+};
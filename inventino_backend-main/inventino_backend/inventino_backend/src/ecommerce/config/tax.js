@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+import { readBoolean, readChoice } from './env.js';
+
+dotenv.config();
+
+// GST slabs a product or category can be taxed at
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Whether catalogue prices already include GST (as MRPs do) or GST is added on top
+const pricesIncludeTax = readBoolean('GST_PRICES_INCLUDE_TAX', true);
+
+// Rate for products whose product and category set none
+const defaultGstRate = readChoice('GST_DEFAULT_RATE', 18, GST_RATES);
+
+// State the business is registered in, for orders shipped from a warehouse without one
+const registeredState = process.env.GST_REGISTERED_STATE || null;
+
+// Legal name printed on invoices; warehouse names are used when unset
+const legalName = process.env.GST_LEGAL_NAME || null;
+
+export default {
+  pricesIncludeTax,
+  defaultGstRate,
+  registeredState,
+  legalName
+};
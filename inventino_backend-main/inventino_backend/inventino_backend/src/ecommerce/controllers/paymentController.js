@@ -3,7 +3,7 @@ import Payment from '../models/payment.js';
 
 class PaymentController {
   static async initiatePayment(data) {
-    const { amount, currency, customerInfo, paymentMethod, provider } = data;
+    const { amount, currency, customerInfo, paymentMethod, provider, order } = data;
 
     // Validate provider
     const supportedProviders = ['razorpay', 'stripe', 'paytm', 'phonepe', 'googlepay'];
@@ -18,6 +18,7 @@ class PaymentController {
       paymentMethod,
       provider,
       customerInfo,
+      order: order || null,
     });
 
     // Initiate payment with provider
@@ -29,7 +30,8 @@ class PaymentController {
     });
 
     // Update payment with provider's payment ID
-    await payment.update({ paymentId: paymentDetails.id });
+    payment.paymentId = paymentDetails.id;
+    await payment.save();
 
     return {
       paymentId: payment.id,
@@ -40,7 +42,7 @@ class PaymentController {
   }
 
   static async verifyPaymentStatus(paymentId) {
-    const payment = await Payment.findByPk(paymentId);
+    const payment = await Payment.findById(paymentId);
     if (!payment) {
       throw new Error('Payment not found');
     }
@@ -48,7 +50,8 @@ class PaymentController {
     const status = await PaymentService.verifyPaymentStatus(payment.provider, payment.paymentId);
 
     // Update local status
-    await payment.update({ status });
+    payment.status = status;
+    await payment.save();
 
     return {
       paymentId: payment.id,
@@ -63,17 +66,18 @@ class PaymentController {
   static async initiateRefund(data) {
     const { paymentId, refundAmount, reason } = data;
 
-    const payment = await Payment.findByPk(paymentId);
+    const payment = await Payment.findById(paymentId);
     if (!payment) {
       throw new Error('Payment not found');
     }
 
-    if (payment.status !== 'completed') {
+    if (!['completed', 'partially_refunded'].includes(payment.status)) {
       throw new Error('Refund can only be initiated for completed payments');
     }
 
-    if (refundAmount > payment.amount) {
-      throw new Error('Refund amount cannot exceed original payment amount');
+    // Several partial refunds may be made, up to the amount paid
+    if (refundAmount > payment.amount - payment.amountRefunded) {
+      throw new Error('Refund amount cannot exceed the amount not yet refunded');
     }
 
     const refundDetails = await PaymentService.initiateRefund(payment.provider, {
@@ -83,12 +87,17 @@ class PaymentController {
     });
 
     // Update payment with refund ID
-    await payment.update({ refundId: refundDetails.id, status: 'refunded' });
+    payment.refundId = refundDetails.id;
+    payment.amountRefunded = Math.round((payment.amountRefunded + Number(refundAmount)) * 100) / 100;
+    payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+    payment.refunds.push({ refundId: refundDetails.id, amount: refundAmount, reason, status: refundDetails.status });
+    await payment.save();
 
     return {
       refundId: refundDetails.id,
       status: refundDetails.status,
       amount: refundAmount,
+      paymentStatus: payment.status,
     };
   }
 }
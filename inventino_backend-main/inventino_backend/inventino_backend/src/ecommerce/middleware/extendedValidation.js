@@ -1,5 +1,8 @@
 import { body, validationResult, param, query } from 'express-validator';
 import Category from '../models/Category.js';
+import { isValidGtin } from '../utils/barcode.js';
+import { GST_RATES } from '../config/tax.js';
+import { SHIPPING_ZONES } from '../config/shipping.js';
 
 // Helper function to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -186,8 +189,83 @@ export const validateProductCreation = [
   body('stock')
     .isInt({ min: 0, max: 100000 })
     .withMessage('Stock must be a positive integer between 0 and 100,000'),
-  
 
+  body('unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+
+  body('reorderPoint')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Reorder point must be an integer between 0 and 100,000'),
+
+  body('reorderQuantity')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Reorder quantity must be an integer between 1 and 100,000'),
+
+  body('leadTimeDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+
+  body('hsnCode')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^\d{4}(\d{2}){0,2}$/)
+    .withMessage('HSN code must be 4, 6 or 8 digits'),
+
+  body('gstRate')
+    .optional({ nullable: true })
+    .isFloat()
+    .custom(value => GST_RATES.includes(parseFloat(value)))
+    .withMessage(`GST rate must be one of: ${GST_RATES.join(', ')}`),
+
+  body('trackLots')
+    .optional()
+    .isBoolean()
+    .withMessage('trackLots must be true or false'),
+
+  body('trackSerials')
+    .optional()
+    .isBoolean()
+    .withMessage('trackSerials must be true or false'),
+
+  body('backorder.allowed')
+    .optional()
+    .isBoolean()
+    .withMessage('backorder.allowed must be true or false'),
+
+  body('backorder.limit')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Backorder limit must be an integer between 0 and 100,000'),
+
+  body('backorder.expectedRestockDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected restock date must be a valid date'),
+
+  body('preorder.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('preorder.enabled must be true or false'),
+
+  body('preorder.releaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Release date must be a valid date'),
+
+  body('preorder.expectedShipDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected ship date must be a valid date'),
+
+  body('preorder.limit')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Pre-order limit must be an integer between 0 and 100,000'),
   
   body('brand')
     .optional()
@@ -196,16 +274,17 @@ export const validateProductCreation = [
   
   body('weight')
     .optional()
-    .isObject().withMessage('Weight must be an object with value and unit')
-    .custom((value) => {
-      if (!value.value || typeof value.value !== 'number' || value.value < 0 || value.value > 10000) {
-        throw new Error('Weight value must be a number between 0 and 10,000');
-      }
-      if (!value.unit || typeof value.unit !== 'string' || !['g', 'kg', 'lb', 'oz'].includes(value.unit)) {
-        throw new Error('Weight unit must be one of: g, kg, lb, oz');
-      }
-      return true;
-    }),
+    .isObject().withMessage('Weight must be an object with value and unit'),
+
+  // Multipart bodies send numbers as text
+  body('weight.value')
+    .if(body('weight').exists())
+    .isFloat({ gt: 0, max: 10000 }).withMessage('Weight value must be a number between 0 and 10,000')
+    .toFloat(),
+
+  body('weight.unit')
+    .if(body('weight').exists())
+    .isIn(['g', 'kg', 'lb', 'oz']).withMessage('Weight unit must be one of: g, kg, lb, oz'),
   
   body('dimensions')
     .optional()
@@ -223,7 +302,12 @@ export const validateProductCreation = [
   body('dimensions.height')
     .optional()
     .isFloat({ min: 0, max: 1000 })
-    .withMessage('Height must be between 0 and 1000')
+    .withMessage('Height must be between 0 and 1000'),
+
+  body('barcode')
+    .optional({ values: 'falsy' })
+    .custom(value => isValidGtin(value))
+    .withMessage('Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14 with a correct check digit')
 ];
 
 // Product update validation
@@ -250,8 +334,100 @@ export const validateProductUpdate = [
   body('stock')
     .optional()
     .isInt({ min: 0, max: 100000 }).withMessage('Stock must be a positive integer between 0 and 100,000'),
-  
 
+  body('reorderPoint')
+    .optional()
+    .isInt({ min: 0, max: 100000 }).withMessage('Reorder point must be an integer between 0 and 100,000'),
+
+  body('reorderQuantity')
+    .optional()
+    .isInt({ min: 1, max: 100000 }).withMessage('Reorder quantity must be an integer between 1 and 100,000'),
+
+  body('leadTimeDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days'),
+
+  body('hsnCode')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^\d{4}(\d{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+
+  body('gstRate')
+    .optional({ nullable: true })
+    .isFloat()
+    .custom(value => GST_RATES.includes(parseFloat(value))).withMessage(`GST rate must be one of: ${GST_RATES.join(', ')}`),
+
+  body('trackLots')
+    .optional()
+    .isBoolean().withMessage('trackLots must be true or false'),
+
+  body('trackSerials')
+    .optional()
+    .isBoolean().withMessage('trackSerials must be true or false'),
+
+  body('backorder.allowed')
+    .optional()
+    .isBoolean().withMessage('backorder.allowed must be true or false'),
+
+  body('backorder.limit')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 }).withMessage('Backorder limit must be an integer between 0 and 100,000'),
+
+  body('backorder.expectedRestockDate')
+    .optional()
+    .isISO8601().withMessage('Expected restock date must be a valid date'),
+
+  body('preorder.enabled')
+    .optional()
+    .isBoolean().withMessage('preorder.enabled must be true or false'),
+
+  body('preorder.releaseDate')
+    .optional()
+    .isISO8601().withMessage('Release date must be a valid date'),
+
+  body('preorder.expectedShipDate')
+    .optional()
+    .isISO8601().withMessage('Expected ship date must be a valid date'),
+
+  body('preorder.limit')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 }).withMessage('Pre-order limit must be an integer between 0 and 100,000'),
+
+  body('weight')
+    .optional()
+    .isObject().withMessage('Weight must be an object with value and unit'),
+
+  // Multipart bodies send numbers as text
+  body('weight.value')
+    .if(body('weight').exists())
+    .isFloat({ min: 0, max: 10000 }).withMessage('Weight value must be a number between 0 and 10,000')
+    .toFloat(),
+
+  body('weight.unit')
+    .optional()
+    .isIn(['g', 'kg', 'lb', 'oz']).withMessage('Weight unit must be one of: g, kg, lb, oz'),
+
+  body('dimensions.length')
+    .optional()
+    .isFloat({ min: 0, max: 1000 }).withMessage('Length must be between 0 and 1000'),
+
+  body('dimensions.width')
+    .optional()
+    .isFloat({ min: 0, max: 1000 }).withMessage('Width must be between 0 and 1000'),
+
+  body('dimensions.height')
+    .optional()
+    .isFloat({ min: 0, max: 1000 }).withMessage('Height must be between 0 and 1000'),
+
+  body('stockAdjustmentReason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 }).withMessage('Stock adjustment reason must be between 3 and 500 characters'),
+
+  body('barcode')
+    .optional({ values: 'falsy' })
+    .custom(value => isValidGtin(value))
+    .withMessage('Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14 with a correct check digit')
 ];
 
 // Product query validation
@@ -335,6 +511,18 @@ export const validateCategoryCreation = [
     .isInt({ min: 0 })
     .withMessage('Sort order must be a positive integer'),
   
+  body('hsnCode')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^\d{4}(\d{2}){0,2}$/)
+    .withMessage('HSN code must be 4, 6 or 8 digits'),
+  
+  body('gstRate')
+    .optional({ nullable: true })
+    .isFloat()
+    .custom(value => GST_RATES.includes(parseFloat(value)))
+    .withMessage(`GST rate must be one of: ${GST_RATES.join(', ')}`),
+  
   body('isActive')
     .optional()
     .isBoolean()
@@ -375,6 +563,18 @@ export const validateCategoryUpdate = [
     .isInt({ min: 0 })
     .withMessage('Sort order must be a positive integer'),
   
+  body('hsnCode')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^\d{4}(\d{2}){0,2}$/)
+    .withMessage('HSN code must be 4, 6 or 8 digits'),
+  
+  body('gstRate')
+    .optional({ nullable: true })
+    .isFloat()
+    .custom(value => GST_RATES.includes(parseFloat(value)))
+    .withMessage(`GST rate must be one of: ${GST_RATES.join(', ')}`),
+  
   body('isActive')
     .optional()
     .isBoolean()
@@ -395,11 +595,17 @@ export const validateOrderCreation = [
     .isMongoId()
     .withMessage('Each item must have a valid product ID'),
   
+  body('items.*.variant')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each item variant must be a valid variant ID'),
+
   body('items.*.quantity')
     .isInt({ min: 1, max: 1000 })
     .withMessage('Quantity must be between 1 and 1000'),
   
   body('items.*.price')
+    .optional()
     .isFloat({ min: 0.01 })
     .withMessage('Price must be a positive number'),
   
@@ -436,11 +642,44 @@ export const validateOrderCreation = [
     .withMessage('Payment method must be one of: credit_card, debit_card, paypal, stripe, cod')
 ];
 
+// Checkout validation
+export const validateCheckout = [
+  body('addressId')
+    .isMongoId()
+    .withMessage('Please provide a valid address ID'),
+
+  body('paymentMethod')
+    .isIn(['credit_card', 'debit_card', 'paypal', 'upi', 'cod'])
+    .withMessage('Payment method must be one of: credit_card, debit_card, paypal, upi, cod'),
+
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Invalid coupon code format')
+];
+
 // Order status update validation
 export const validateOrderStatusUpdate = [
   body('status')
-    .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
-    .withMessage('Status must be one of: pending, processing, shipped, delivered, cancelled, returned')
+    .optional()
+    .isIn(['pending', 'backordered', 'preordered', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
+    .withMessage('Status must be one of: pending, backordered, preordered, processing, shipped, delivered, cancelled, returned'),
+
+  body('paymentStatus')
+    .optional()
+    .isIn(['pending', 'completed', 'failed', 'partially_refunded', 'refunded'])
+    .withMessage('Payment status must be one of: pending, completed, failed, partially_refunded, refunded'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  body()
+    .custom(value => value.status !== undefined || value.paymentStatus !== undefined)
+    .withMessage('Provide a status or a payment status')
 ];
 
 // Vendor validation rules
@@ -517,18 +756,52 @@ export const validateCartItem = [
   body('productId')
     .isMongoId()
     .withMessage('Product ID must be a valid MongoDB ID'),
+
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be a valid MongoDB ID'),
   
   body('quantity')
     .isInt({ min: 1, max: 100 })
     .withMessage('Quantity must be between 1 and 100')
 ];
 
+// Wishlist validation rules
+export const validateWishlistItem = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Product ID must be a valid MongoDB ID'),
+
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be a valid MongoDB ID')
+];
+
+// Stock alert validation rules
+export const validateStockAlert = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Product ID must be a valid MongoDB ID'),
+
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be a valid MongoDB ID')
+];
+
 // Review validation rules
 export const validateReview = [
   body('product')
     .isMongoId()
     .withMessage('Product ID must be a valid MongoDB ID'),
 
+  body('variant')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be a valid MongoDB ID'),
+
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
@@ -612,7 +885,22 @@ export const validateProductTypeCreation = [
 
   body('category')
     .isMongoId()
-    .withMessage('Please provide a valid category ID')
+    .withMessage('Please provide a valid category ID'),
+
+  body('variantAttributes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Variant attributes must be an array of at most 5 attributes'),
+
+  body('variantAttributes.*.name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each variant attribute needs a name of at most 30 characters'),
+
+  body('variantAttributes.*.values')
+    .optional()
+    .isArray()
+    .withMessage('Variant attribute values must be an array')
 ];
 
 // Product type update validation
@@ -634,27 +922,792 @@ export const validateProductTypeUpdate = [
   body('category')
     .optional()
     .isMongoId()
-    .withMessage('Please provide a valid category ID')
+    .withMessage('Please provide a valid category ID'),
+
+  body('variantAttributes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Variant attributes must be an array of at most 5 attributes'),
+
+  body('variantAttributes.*.name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each variant attribute needs a name of at most 30 characters'),
+
+  body('variantAttributes.*.values')
+    .optional()
+    .isArray()
+    .withMessage('Variant attribute values must be an array')
 ];
 
-// Review validation rules
-// Removed duplicate declarations to fix redeclaration errors
+// Multipart bodies send objects as JSON text. Parse it during validation so
+// routes get the object, and text that is not JSON fails validation.
+const parseJsonText = value => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
 
-// Shipment update validation
-export const validateShipmentUpdate = [
-  body('status')
-    .isIn(['pending', 'shipped', 'delivered', 'cancelled'])
-    .withMessage('Status must be one of: pending, shipped, delivered, cancelled'),
-  
-  body('trackingNumber')
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Product variant creation validation
+export const validateVariantCreation = [
+  body('sku')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Variant SKU must be between 2 and 50 characters'),
+
+  body('attributes')
+    .customSanitizer(parseJsonText)
+    .custom(isPlainObject)
+    .withMessage('Variant attributes must be an object, e.g. {"size": "M"}'),
+
+  body('price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number'),
+
+  body('stock')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Variant stock must be an integer between 0 and 100,000'),
+
+  body('unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+
+  body('barcode')
+    .optional({ values: 'falsy' })
+    .custom(value => isValidGtin(value))
+    .withMessage('Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14 with a correct check digit')
+];
+
+// Product variant update validation
+export const validateVariantUpdate = [
+  body('sku')
     .optional()
     .trim()
-    .isLength({ min: 5, max: 50 })
-    .withMessage('Tracking number must be between 5 and 50 characters'),
-  
-  body('carrier')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Variant SKU must be between 2 and 50 characters'),
+
+  body('attributes')
+    .optional()
+    .customSanitizer(parseJsonText)
+    .custom(isPlainObject)
+    .withMessage('Variant attributes must be an object, e.g. {"size": "M"}'),
+
+  body('price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number'),
+
+  body('stock')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Variant stock must be an integer between 0 and 100,000'),
+
+  body('isActive')
     .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  body('barcode')
+    .optional({ values: 'falsy' })
+    .custom(value => isValidGtin(value))
+    .withMessage('Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14 with a correct check digit')
+];
+
+// Warehouse creation validation
+export const validateWarehouseCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Warehouse name must be between 2 and 100 characters'),
+
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Warehouse code must be between 2 and 20 characters')
+    .isAlphanumeric()
+    .withMessage('Warehouse code can only contain letters and numbers'),
+
+  body('address')
+    .isObject()
+    .withMessage('Address is required'),
+
+  body('address.street')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Street address must be between 5 and 200 characters'),
+
+  body('address.city')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+
+  body('address.state')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Carrier must be between 2 and 50 characters')
+    .withMessage('State must be between 2 and 50 characters'),
+
+  body('address.pincode')
+    .matches(/^\d{6}$/)
+    .withMessage('Pincode must be a 6-digit number'),
+
+  body('gstin')
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+    .withMessage('GSTIN must be a valid 15-character GST number'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+];
+
+// Warehouse update validation
+export const validateWarehouseUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Warehouse name must be between 2 and 100 characters'),
+
+  body('address.pincode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Pincode must be a 6-digit number'),
+
+  body('gstin')
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+    .withMessage('GSTIN must be a valid 15-character GST number'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+// Warehouse pincode assignment validation
+export const validateWarehousePincodes = [
+  body('pincodes')
+    .isArray({ min: 1 })
+    .withMessage('Pincodes array is required and cannot be empty'),
+
+  body('pincodes.*')
+    .matches(/^\d{6}$/)
+    .withMessage('Each pincode must be a 6-digit number')
+];
+
+// Stock level update validation
+export const validateStockLevelUpdate = [
+  body('quantity')
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Quantity must be an integer between 0 and 100,000')
+];
+
+// Stock receipt and adjustment validation
+export const validateStockMovement = [
+  body('quantity')
+    .isInt({ min: -100000, max: 100000 })
+    .withMessage('Quantity must be an integer between -100,000 and 100,000')
+    .custom(value => parseInt(value, 10) !== 0)
+    .withMessage('Quantity cannot be zero'),
+
+  body('warehouse')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid warehouse ID'),
+
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid variant ID'),
+
+  body('lot.lotNumber')
+    .if(body('lot').exists())
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+
+  body('lot.expiryDate')
+    .if(body('lot').exists())
+    .isISO8601()
+    .withMessage('Lot expiry date must be a valid date'),
+
+  body('lot.manufactureDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Lot manufacture date must be a valid date'),
+
+  body('lotId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid lot ID'),
+
+  body('serialNumbers')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Serial numbers must be a list of at most 1,000'),
+
+  body('serialNumbers.*')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Each serial number must be between 3 and 50 characters'),
+
+  body('unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+// Inventory valuation and margin report validation
+export const validateCostReport = [
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid category ID'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  query('groupBy')
+    .optional()
+    .isIn(['product', 'category'])
+    .withMessage('Group by must be one of: product, category')
+];
+
+// Supplier creation validation
+export const validateSupplierCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Supplier name must be between 2 and 100 characters'),
+
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Supplier code must be between 2 and 20 characters')
+    .isAlphanumeric()
+    .withMessage('Supplier code can only contain letters and numbers'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional()
+    .isMobilePhone('any')
+    .withMessage('Please provide a valid phone number'),
+
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days')
+];
+
+// Supplier update validation
+export const validateSupplierUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Supplier name must be between 2 and 100 characters'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional()
+    .isMobilePhone('any')
+    .withMessage('Please provide a valid phone number'),
+
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+// Purchase order validation
+export const validatePurchaseOrder = [
+  body('supplier')
+    .isMongoId()
+    .withMessage('Please provide a valid supplier ID'),
+
+  body('warehouse')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Please provide a valid warehouse ID'),
+
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('Purchase order must contain at least one line'),
+
+  body('lines.*.product')
+    .isMongoId()
+    .withMessage('Each line must have a valid product ID'),
+
+  body('lines.*.variant')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each line variant must be a valid variant ID'),
+
+  body('lines.*.quantityOrdered')
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Quantity ordered must be between 1 and 100,000'),
+
+  body('lines.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+
+  body('expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected delivery date must be a valid date')
+];
+
+// Purchase order receipt validation
+export const validatePurchaseOrderReceipt = [
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('At least one received line is required'),
+
+  body('lines.*.product')
+    .isMongoId()
+    .withMessage('Each line must have a valid product ID'),
+
+  body('lines.*.variant')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each line variant must be a valid variant ID'),
+
+  body('lines.*.quantity')
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Received quantity must be between 1 and 100,000'),
+
+  body('lines.*.lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+
+  body('lines.*.expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Lot expiry date must be a valid date'),
+
+  body('lines.*.manufactureDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Lot manufacture date must be a valid date'),
+
+  body('lines.*.serialNumbers')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Serial numbers must be a list of at most 1,000'),
+
+  body('lines.*.serialNumbers.*')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Each serial number must be between 3 and 50 characters')
+];
+
+// Transfer order validation
+export const validateTransferOrder = [
+  body('sourceWarehouse')
+    .isMongoId()
+    .withMessage('Please provide a valid source warehouse ID'),
+
+  body('destinationWarehouse')
+    .isMongoId()
+    .withMessage('Please provide a valid destination warehouse ID')
+    .custom((value, { req }) => value !== req.body.sourceWarehouse)
+    .withMessage('Source and destination warehouses must be different'),
+
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('Transfer must contain at least one line'),
+
+  body('lines.*.product')
+    .isMongoId()
+    .withMessage('Each line must have a valid product ID'),
+
+  body('lines.*.variant')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each line variant must be a valid variant ID'),
+
+  body('lines.*.quantity')
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Quantity must be between 1 and 100,000'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Transfer in-transit validation
+export const validateTransferShipment = [
+  body('carrier')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Carrier must be between 1 and 100 characters'),
+
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tracking number must be between 1 and 100 characters')
+];
+
+// Transfer receipt validation
+export const validateTransferReceipt = [
+  body('lines')
+    .optional()
+    .isArray()
+    .withMessage('Lines must be an array'),
+
+  body('lines.*.lineId')
+    .isMongoId()
+    .withMessage('Each line must have a valid transfer line ID'),
+
+  body('lines.*.quantityReceived')
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Received quantity must be between 0 and 100,000')
+];
+
+// Cycle count creation validation
+export const validateCycleCountCreation = [
+  body('category')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Please provide a valid category ID'),
+
+  body('products')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Products must be an array of 1 to 500 product IDs'),
+
+  body('products.*')
+    .isMongoId()
+    .withMessage('Each product must be a valid product ID'),
+
+  body('warehouse')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Please provide a valid warehouse ID'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Cycle count entry validation
+export const validateCycleCountEntry = [
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('At least one counted line is required'),
+
+  body('lines.*.product')
+    .isMongoId()
+    .withMessage('Each line must have a valid product ID'),
+
+  body('lines.*.variant')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each line variant must be a valid variant ID'),
+
+  body('lines.*.countedQuantity')
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Counted quantity must be an integer between 0 and 100,000'),
+
+  body('lines.*.reasonCode')
+    .optional()
+    .isIn(['damaged', 'lost', 'theft', 'found', 'miscount', 'expired', 'data_entry_error', 'other'])
+    .withMessage('Reason code must be one of: damaged, lost, theft, found, miscount, expired, data_entry_error, other'),
+
+  body('lines.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Line notes cannot exceed 500 characters')
+];
+
+// Review validation rules
+// Removed duplicate declarations to fix redeclaration errors
+
+// Shipment update validation
+// Shipment details shared by creation and update
+const shipmentDetailRules = [
+  body('warehouse')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Please provide a valid warehouse ID'),
+
+  body('awbNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 50 })
+    .withMessage('AWB number must be between 5 and 50 characters'),
+
+  body('courier')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Courier must be between 2 and 50 characters'),
+
+  body('shipmentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Shipment date must be a valid date'),
+
+  body('expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected delivery date must be a valid date'),
+
+  body('trackingUrl')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Tracking URL must be a valid URL')
+];
+
+const shipmentItemRules = [
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item must have a valid order item ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+];
+
+export const validateShipmentCreation = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item must be specified for the shipment'),
+
+  ...shipmentItemRules,
+  ...shipmentDetailRules
+];
+
+export const validateShipmentUpdate = [
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one item must be specified for the shipment'),
+
+  ...shipmentItemRules,
+  ...shipmentDetailRules,
+
+  body('status')
+    .optional()
+    .isIn(['pending', 'in transit', 'delivered'])
+    .withMessage('Shipment status must be one of: pending, in transit, delivered'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// Product import and export validation
+export const validateProductImport = [
+  body('commit')
+    .optional()
+    .isBoolean()
+    .withMessage('commit must be true or false'),
+
+  body('skipInvalid')
+    .optional()
+    .isBoolean()
+    .withMessage('skipInvalid must be true or false')
+];
+
+export const validateProductExport = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be one of: csv, xlsx'),
+
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid category ID')
+];
+
+// Serial number assignment validation
+export const validateSerialAssignment = [
+  body('serialNumbers')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Serial numbers must be a list of 1 to 1,000'),
+
+  body('serialNumbers.*')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Each serial number must be between 3 and 50 characters')
+];
+
+// Order item cancellation validation
+export const validateItemCancellation = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item must be specified for cancellation'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item must have a valid order item ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Demand forecast validation
+export const validateForecastQuery = [
+  query('method')
+    .optional()
+    .isIn(['moving_average', 'seasonal'])
+    .withMessage('Method must be one of: moving_average, seasonal'),
+
+  query('history')
+    .optional()
+    .isInt({ min: 14, max: 730 })
+    .withMessage('History must be between 14 and 730 days'),
+
+  query('window')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Window must be between 1 and 365 days'),
+
+  query('horizon')
+    .optional()
+    .isInt({ min: 1, max: 180 })
+    .withMessage('Horizon must be between 1 and 180 days'),
+
+  query('serviceLevel')
+    .optional()
+    .isFloat({ min: 0.5, max: 0.999 })
+    .withMessage('Service level must be between 0.5 and 0.999'),
+
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid category ID')
+];
+
+// Shipping quote validation
+export const validateShippingQuote = [
+  query('pincode')
+    .matches(/^\d{6}$/)
+    .withMessage('Pincode must be a 6-digit number'),
+
+  // The query string parser reads at most 20 indexed entries as a list
+  query('items')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Items must be a list of 1 to 20 products'),
+
+  query('items.*.product')
+    .isMongoId()
+    .withMessage('Please provide a valid product ID'),
+
+  query('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid variant ID'),
+
+  query('items.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Quantity must be between 1 and 1000')
+];
+
+// Shipping rate card validation
+export const validateShippingRate = [
+  param('zone')
+    .isIn(SHIPPING_ZONES)
+    .withMessage(`Zone must be one of: ${SHIPPING_ZONES.join(', ')}`),
+
+  body('slabs')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Slabs must be a list of 1 to 20 weight slabs'),
+
+  body('slabs.*.maxWeight')
+    .isFloat({ min: 0.01, max: 1000 })
+    .withMessage('Slab weight must be between 0.01 and 1000 kg'),
+
+  body('slabs.*.charge')
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Slab charge must be between 0 and 100,000'),
+
+  body('extraWeightStep')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Extra weight step must be between 0.1 and 100 kg'),
+
+  body('extraWeightCharge')
+    .optional()
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Extra weight charge must be between 0 and 100,000'),
+
+  body('freeShippingThreshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free shipping threshold must be a positive amount'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
 ];
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { readInteger } from '../config/env.js';
+
+dotenv.config();
+
+// How long a key is remembered, and how long a request may hold its key
+const retentionHours = readInteger('IDEMPOTENCY_KEY_TTL_HOURS', 24);
+const LOCK_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Failures stored with the key: the request itself is invalid, so a retry
+// of the same request would fail the same way. Other failures, such as
+// stock running short, may succeed on retry.
+const STORED_FAILURES = [400, 422];
+
+// JSON with object keys sorted, so equal bodies hash equally
+const stableStringify = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = req => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Make an endpoint idempotent for requests with an Idempotency-Key header.
+ * The first request with a key runs and its response is stored; a retry
+ * with the same key and body gets that response again, marked with an
+ * Idempotent-Replayed header. The same key with a different body, or while
+ * the first request is still running, gets 409. Only successes and invalid
+ * requests are stored; after any other response, such as a 409 for stock
+ * running short or a server error, the request can be retried with the
+ * same key. Requests without the header run as usual.
+ *
+ * Use after authMiddleware, so keys are scoped to the user, and after
+ * validation, so rejected requests do not use up a key.
+ * @param {string} scope - name of the endpoint, e.g. order.create
+ * @returns {Function} Express middleware
+ */
+export const idempotent = scope => async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const now = new Date();
+    const filter = { scope, user: req.user?.id || null, key };
+    const requestHash = hashRequest(req);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        ...filter,
+        requestHash,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+        expiresAt: new Date(now.getTime() + retentionHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    if (!record) {
+      const existing = await IdempotencyKey.findOne(filter);
+
+      // Take over a key that has expired but not been removed yet, or
+      // whose request died before it finished
+      const reusable = existing && (existing.expiresAt <= now
+        || (existing.status === 'in_progress' && existing.lockedUntil <= now && existing.requestHash === requestHash));
+
+      if (existing && !reusable) {
+        if (existing.requestHash !== requestHash) {
+          return res.status(409).json({ message: 'Idempotency-Key has already been used for a different request' });
+        }
+        if (existing.status === 'in_progress') {
+          return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Claimed conditionally, so only one retry can take the key over; a
+      // record removed after an unstored response is created again
+      record = await IdempotencyKey.findOneAndUpdate(
+        existing ? { ...filter, updatedAt: existing.updatedAt } : filter,
+        {
+          $set: {
+            requestHash,
+            status: 'in_progress',
+            lockedUntil: new Date(now.getTime() + LOCK_MS),
+            expiresAt: new Date(now.getTime() + retentionHours * 60 * 60 * 1000)
+          },
+          $unset: { responseStatus: 1, responseBody: 1 }
+        },
+        { new: true, upsert: !existing }
+      ).catch(error => {
+        if (error.code === 11000) return null;
+        throw error;
+      });
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+    }
+
+    // Store the response once it has been sent
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = body => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        const stored = (res.statusCode >= 200 && res.statusCode < 300) || STORED_FAILURES.includes(res.statusCode);
+        if (!stored) {
+          await IdempotencyKey.deleteOne({ _id: record._id });
+        } else {
+          await IdempotencyKey.updateOne({ _id: record._id }, {
+            $set: {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(responseBody ?? null))
+            },
+            $unset: { lockedUntil: 1 }
+          });
+        }
+      } catch (error) {
+        console.error('Failed to store idempotent response:', error);
+      }
+    });
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to process Idempotency-Key', error: error.message });
+  }
+};
+
+export default idempotent;
@@ -4,6 +4,7 @@ const cartSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true },
   items: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
     quantity: { type: Number, default: 1 },
     price: Number,
     addedAt: { type: Date, default: Date.now }
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Stock held for a cart line. Holds do not change Product.stock; they are
+// subtracted from what other shoppers see as available until they expire
+// or the cart is checked out.
+const cartReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // May be less than the cart quantity for backorder and pre-order lines
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cartReservationSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+cartReservationSchema.index({ product: 1, variant: 1, expiresAt: 1 });
+cartReservationSchema.index({ expiresAt: 1 });
+
+const CartReservation = mongoose.model('CartReservation', cartReservationSchema);
+
+export default CartReservation;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import { GST_RATES } from '../config/tax.js';
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -31,6 +32,18 @@ const categorySchema = new mongoose.Schema({
     ref: 'Category',
     default: null
   },
+  // HSN code and GST rate for the category's products; when unset, the parent category's are used
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits'],
+    default: null
+  },
+  gstRate: {
+    type: Number,
+    enum: [...GST_RATES, null],
+    default: null
+  },
   productTypes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ProductType'
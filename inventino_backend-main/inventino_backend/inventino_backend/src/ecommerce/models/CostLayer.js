@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Units that entered stock together at one unit cost. Layers are used up
+// oldest first, which gives the FIFO cost of every unit that leaves stock.
+const costLayerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantityReceived: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Units of this layer still on hand
+  quantityRemaining: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Ledger entry that created the layer
+  movement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockMovement',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+costLayerSchema.index({ product: 1, variant: 1, createdAt: 1 });
+costLayerSchema.index({ quantityRemaining: 1 });
+
+const CostLayer = mongoose.model('CostLayer', costLayerSchema);
+
+export default CostLayer;
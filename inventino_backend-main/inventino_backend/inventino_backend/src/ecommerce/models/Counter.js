@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// A named sequence, for document numbers that must run without gaps, such
+// as invoice numbers
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Take the next number of a sequence; the first is 1.
+ * @param {string} name - e.g. invoice:2026-27
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate({ name }, { $inc: { seq: 1 } }, { new: true, upsert: true });
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
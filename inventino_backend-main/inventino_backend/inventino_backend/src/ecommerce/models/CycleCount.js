@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+// A physical stock count. Expected quantities are captured when the count is
+// opened; approving it posts the variances to the stock ledger.
+const cycleCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    unique: true
+  },
+  // What was selected for counting
+  scope: {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  // Counts of warehouse-tracked stock are made in one warehouse
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: String,
+    sku: String,
+    expectedQuantity: {
+      type: Number,
+      required: true
+    },
+    countedQuantity: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    variance: {
+      type: Number,
+      default: null
+    },
+    reasonCode: {
+      type: String,
+      enum: ['damaged', 'lost', 'theft', 'found', 'miscount', 'expired', 'data_entry_error', 'other']
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    countedAt: Date,
+    countedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // Set once the variance has been posted to the ledger
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+      default: null
+    },
+    postedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'approved', 'cancelled'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  approvedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+cycleCountSchema.index({ status: 1, createdAt: -1 });
+cycleCountSchema.index({ 'lines.product': 1 });
+
+// Pre-save middleware to generate count number
+cycleCountSchema.pre('save', function(next) {
+  if (this.isNew && !this.countNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.countNumber = `CC-${timestamp}-${random}`;
+  }
+  next();
+});
+
+// Totals used when reviewing a count
+cycleCountSchema.methods.getVarianceSummary = function() {
+  const counted = this.lines.filter(line => line.countedQuantity !== null);
+  const withVariance = counted.filter(line => line.variance !== 0);
+
+  return {
+    totalLines: this.lines.length,
+    countedLines: counted.length,
+    uncountedLines: this.lines.length - counted.length,
+    linesWithVariance: withVariance.length,
+    unitsOver: withVariance.filter(line => line.variance > 0).reduce((total, line) => total + line.variance, 0),
+    unitsShort: withVariance.filter(line => line.variance < 0).reduce((total, line) => total - line.variance, 0),
+    netVariance: withVariance.reduce((total, line) => total + line.variance, 0)
+  };
+};
+
+const CycleCount = mongoose.model('CycleCount', cycleCountSchema);
+
+export default CycleCount;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A client-supplied Idempotency-Key and the response it produced, so a
+// retried request gets the original response instead of running again.
+// Records are removed by MongoDB once they expire.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Endpoint the key was used on, e.g. order.create
+  scope: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Hash of the method, path and body of the first request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // A request still in progress after this is taken to have died
+  lockedUntil: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  email: String,
+  phone: String,
+  address: String,
+  state: String,
+  stateCode: String
+}, { _id: false });
+
+const taxFields = {
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number
+};
+
+// A GST tax invoice for a delivered order, or a credit note for goods
+// returned against one. Seller, buyer and lines are copied in when it is
+// issued, so it reads the same however the order changes later; the PDF is
+// rendered from it on request.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // e.g. INV/26-27/000001, consecutive within a financial year. Unset
+  // while the document is being issued: the row is written first to claim
+  // the order or return, and numbered after, so a failed issue never
+  // uses up a number.
+  number: {
+    type: String,
+    default: null
+  },
+  // Until when the request issuing the document holds it for numbering
+  numberingUntil: {
+    type: Date,
+    default: null
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  orderDate: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes: the return they are for and the invoice they reduce
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: null
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  originalInvoiceNumber: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
+  stateTaxType: {
+    type: String,
+    enum: ['SGST', 'UTGST'],
+    default: 'SGST'
+  },
+  placeOfSupply: String,
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    description: String,
+    sku: String,
+    hsnCode: String,
+    quantity: Number,
+    unitPrice: Number,
+    discount: Number,
+    rate: Number,
+    ...taxFields,
+    total: Number
+  }],
+  // Lines grouped by HSN code and rate
+  hsnSummary: [{
+    hsnCode: String,
+    rate: Number,
+    ...taxFields,
+    totalTax: Number
+  }],
+  totals: {
+    ...taxFields,
+    totalTax: Number,
+    total: Number
+  },
+  amountInWords: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+// One invoice per order and one credit note per return
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ returnRequest: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
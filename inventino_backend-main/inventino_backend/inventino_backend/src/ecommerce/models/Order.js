@@ -1,5 +1,83 @@
 import mongoose from 'mongoose';
 
+// Status changes each status field allows. Cancelled, returned, refunded
+// and delivered shipments are final. shipmentStatus is the status of each
+// of an order's shipments.
+const STATUS_TRANSITIONS = {
+  orderStatus: {
+    pending: ['processing', 'cancelled'],
+    backordered: ['preordered', 'pending', 'processing', 'cancelled'],
+    preordered: ['backordered', 'pending', 'processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'returned'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+  },
+  paymentStatus: {
+    pending: ['completed', 'failed'],
+    failed: ['pending', 'completed'],
+    completed: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    refunded: []
+  },
+  shipmentStatus: {
+    pending: ['in transit'],
+    'in transit': ['delivered'],
+    delivered: []
+  }
+};
+
+const STATUS_PATHS = {
+  orderStatus: 'orderStatus',
+  paymentStatus: 'paymentStatus',
+  shipmentStatus: 'status'
+};
+
+// One package of an order, with the units of each line it carries
+const shipmentSchema = new mongoose.Schema({
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Where the package is sent from, when not the order's warehouse
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  awbNumber: { type: String },
+  courier: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'in transit', 'delivered'],
+    default: 'pending'
+  },
+  shipmentDate: { type: Date },
+  expectedDeliveryDate: { type: Date },
+  deliveredAt: { type: Date },
+  trackingUrl: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +95,12 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Product.variants entry, when the product has variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: String,
     quantity: {
       type: Number,
       required: true,
@@ -25,6 +109,54 @@ const orderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    // Cost of goods sold, recorded when stock is allocated to the line
+    unitCost: {
+      type: Number,
+      default: null
+    },
+    cogs: {
+      type: Number,
+      default: null
+    },
+    // Backordered and pre-ordered lines wait for stock before they are allocated
+    fulfilmentType: {
+      type: String,
+      enum: ['stock', 'backorder', 'preorder'],
+      default: 'stock'
+    },
+    pendingQuantity: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    expectedShipDate: Date,
+    allocatedAt: Date,
+    // Lots the quantity was taken from, for lot-tracked products
+    lots: [{
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+      },
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number
+    }],
+    // Units shipped on the line, for serial-tracked products
+    serialNumbers: [{
+      type: String,
+      uppercase: true,
+      trim: true
+    }],
+    // GST on the line after its share of the discount, set by TaxService
+    tax: {
+      hsnCode: String,
+      rate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number
     }
   }],
   shippingAddress: {
@@ -41,18 +173,138 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   orderStatus: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: ['pending', 'backordered', 'preordered', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
+  subtotal: {
+    type: Number
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Set by ShippingService from the rate card of the delivery zone
+  shippingCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  shippingQuote: {
+    zone: String,
+    originPincode: String,
+    chargeableWeight: Number,
+    // Charge before any free-shipping threshold
+    baseCharge: Number,
+    freeShippingThreshold: Number
+  },
   totalAmount: {
     type: Number,
     required: true
   },
+  // GST totals of the lines. Intra-state orders are taxed CGST and SGST
+  // (UTGST in union territories without a legislature), inter-state
+  // orders IGST. With tax-inclusive prices the tax is part of totalAmount;
+  // otherwise it is added to it.
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    sellerState: String,
+    sellerGstin: String,
+    placeOfSupply: String,
+    stateTaxType: {
+      type: String,
+      enum: ['SGST', 'UTGST']
+    },
+    pricesIncludeTax: Boolean,
+    // GST on the shipping charge, at the highest rate of the lines
+    shipping: {
+      rate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number
+    },
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number
+  },
+  // Warehouse the order was allocated to
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  // Set once the line quantities have been taken out of Product.stock
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: { type: Date },
+  // Quantities cancelled from lines before shipping; fully cancelled lines
+  // are removed from items
+  cancelledItems: [{
+    itemId: mongoose.Schema.Types.ObjectId,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    quantity: Number,
+    price: Number,
+    // Share of the coupon discount the cancelled units carried
+    discountAmount: Number,
+    reason: String,
+    cancelledAt: { type: Date, default: Date.now },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Refunds made for cancellations of prepaid orders
+  refunds: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    refundId: String,
+    amount: Number,
+    reason: String,
+    // pending: recorded with the cancellation, not yet sent to the gateway;
+    // failed: no gateway payment to refund, or the refund could not be made,
+    // and it needs to be retried or completed by hand
+    status: {
+      type: String,
+      enum: ['processed', 'pending', 'failed'],
+      default: 'processed'
+    },
+    error: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  shipments: [shipmentSchema],
+  // Derived from the shipments when the order is saved
+  fulfilmentStatus: {
+    type: String,
+    enum: ['unfulfilled', 'partially_shipped', 'shipped', 'delivered'],
+    default: 'unfulfilled'
+  },
+  // Single shipment of orders shipped before orders had several shipments;
+  // kept for reading and no longer written
   shipmentDetails: {
     awbNumber: { type: String },
     courier: { type: String },
@@ -65,12 +317,157 @@ const orderSchema = new mongoose.Schema({
     expectedDeliveryDate: { type: Date },
     trackingUrl: { type: String }
   },
-  notes: String
+  notes: String,
+  // Every status change, oldest first
+  timeline: [{
+    field: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS)
+    },
+    // Shipment whose status changed, for shipmentStatus entries
+    shipment: mongoose.Schema.Types.ObjectId,
+    from: String,
+    status: String,
+    timestamp: { type: Date, default: Date.now },
+    notes: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'timeline.updatedByModel'
+    },
+    updatedByModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+      default: 'User'
+    }
+  }]
 }, {
   timestamps: true
 });
 
 orderSchema.index({ user: 1 });
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ fulfilmentStatus: 1 });
+
+// Add initial timeline entry and derive the fulfilment status
+orderSchema.pre('save', function(next) {
+  this.fulfilmentStatus = this.getFulfilmentStatus();
+  if (this.isNew && this.timeline.length === 0) {
+    this.timeline.push({
+      field: 'orderStatus',
+      status: this.orderStatus,
+      timestamp: new Date(),
+      notes: 'Order placed',
+      updatedBy: this.user,
+      updatedByModel: 'User'
+    });
+  }
+  next();
+});
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+/**
+ * Units of an order line in shipments, optionally only those in some
+ * statuses.
+ * @param {string} itemId
+ * @param {Array} statuses - shipment statuses to count (default: all)
+ * @returns {number}
+ */
+orderSchema.methods.shippedQuantity = function(itemId, statuses = null) {
+  return this.shipments
+    .filter(shipment => !statuses || statuses.includes(shipment.status))
+    .flatMap(shipment => shipment.items)
+    .filter(entry => entry.itemId.equals(itemId))
+    .reduce((total, entry) => total + entry.quantity, 0);
+};
+
+/**
+ * Fulfilment of the order from its shipments: shipped once every unit has
+ * left in a shipment, delivered once every unit has arrived. Orders shipped
+ * before orders had several shipments have none, and are read from their
+ * single shipment and order status.
+ * @returns {string} unfulfilled, partially_shipped, shipped or delivered
+ */
+orderSchema.methods.getFulfilmentStatus = function() {
+  if (this.shipments.length === 0) {
+    const legacyStatus = this.shipmentDetails?.shipmentStatus;
+    if (legacyStatus === 'delivered' || ['delivered', 'returned'].includes(this.orderStatus)) return 'delivered';
+    if (legacyStatus === 'in transit' || this.orderStatus === 'shipped') return 'shipped';
+  }
+
+  const total = this.items.reduce((sum, item) => sum + item.quantity, 0);
+  const shipped = this.items.reduce((sum, item) => sum + this.shippedQuantity(item._id, ['in transit', 'delivered']), 0);
+  const delivered = this.items.reduce((sum, item) => sum + this.shippedQuantity(item._id, ['delivered']), 0);
+
+  if (total > 0 && delivered >= total) return 'delivered';
+  if (total > 0 && shipped >= total) return 'shipped';
+  return shipped > 0 ? 'partially_shipped' : 'unfulfilled';
+};
+
+/**
+ * Check a status change against the transition graph.
+ * @param {string} field - orderStatus, paymentStatus or shipmentStatus
+ * @param {string} status - status to move to
+ * @param {Object} shipment - the shipment, for shipmentStatus
+ * @returns {string|null} error message or null
+ */
+orderSchema.methods.checkTransition = function(field, status, shipment = null) {
+  const current = (field === 'shipmentStatus' ? shipment : this).get(STATUS_PATHS[field]);
+  const allowed = STATUS_TRANSITIONS[field][current] || [];
+  if (field === 'orderStatus' && status === 'cancelled' && allowed.includes(status) && this.getFulfilmentStatus() !== 'unfulfilled') {
+    return 'Cannot cancel an order with items already shipped';
+  }
+  if (!allowed.includes(status)) {
+    return allowed.length > 0
+      ? `Cannot change ${field} from ${current} to ${status}; allowed: ${allowed.join(', ')}`
+      : `Cannot change ${field} from ${current}; it is final`;
+  }
+  return null;
+};
+
+/**
+ * Change a status and record it in the timeline. Does not save; the
+ * caller saves the order with its other changes.
+ * @param {string} field - orderStatus, paymentStatus or shipmentStatus
+ * @param {string} status
+ * @param {string} notes
+ * @param {Object} user - decoded token of the user or admin, or null for system changes
+ * @param {Object} shipment - the shipment, for shipmentStatus
+ * @throws {Error} when the change is not allowed
+ */
+orderSchema.methods.setStatus = function(field, status, notes, user = null, shipment = null) {
+  const target = field === 'shipmentStatus' ? shipment : this;
+  const current = target.get(STATUS_PATHS[field]);
+  if (current === status) return;
+
+  const transitionError = this.checkTransition(field, status, shipment);
+  if (transitionError) {
+    throw new Error(transitionError);
+  }
+
+  target.set(STATUS_PATHS[field], status);
+  this.addTimelineEntry({
+    field,
+    shipment: shipment?._id,
+    from: current,
+    status,
+    notes
+  }, user);
+};
+
+/**
+ * Record an entry in the timeline, with who made the change. Users and
+ * admins are kept in separate collections, so the entry records which.
+ * @param {Object} entry - field, from, status, notes and shipment
+ * @param {Object} user - decoded token of the user or admin, or null for system changes
+ */
+orderSchema.methods.addTimelineEntry = function(entry, user = null) {
+  this.timeline.push({
+    ...entry,
+    timestamp: new Date(),
+    updatedBy: user?.id || user?._id || null,
+    updatedByModel: user?.role === 'admin' ? 'Admin' : 'User'
+  });
+};
 
 export default mongoose.model('Order', orderSchema);
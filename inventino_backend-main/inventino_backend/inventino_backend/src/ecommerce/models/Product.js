@@ -1,4 +1,65 @@
 import mongoose from 'mongoose';
+import { cleanBarcode, isValidGtin, normalizeGtin } from '../utils/barcode.js';
+import { GST_RATES } from '../config/tax.js';
+
+// EAN-8, UPC-A, EAN-13 or GTIN-14 printed on the item, check digit included
+const barcodeField = {
+  type: String,
+  trim: true,
+  set: value => (value ? cleanBarcode(value) : value),
+  validate: {
+    validator: value => !value || isValidGtin(value),
+    message: 'Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14'
+  }
+};
+
+// A sellable combination of attributes (e.g. size M, colour red) with its own SKU and stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  barcode: barcodeField,
+  // Barcode as a GTIN-14, for uniqueness and scan lookups
+  gtin: String,
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Weighted average unit cost of the stock on hand
+  averageCost: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  images: [{
+    data: {
+      type: Buffer,
+      required: true
+    },
+    contentType: {
+      type: String,
+      required: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -51,6 +112,68 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Weighted average unit cost of the stock on hand, kept up to date by
+  // receipts; products with variants keep it per variant
+  averageCost: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Admins are alerted when stock falls to or below this level
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Days from ordering to receiving; when unset, the supplier's lead time is used
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // HSN code and GST rate; when unset, the category's are used
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits'],
+    default: null
+  },
+  gstRate: {
+    type: Number,
+    enum: [...GST_RATES, null],
+    default: null
+  },
+  // Perishable products are received in lots with expiry dates and sold first-expiry-first-out
+  trackLots: {
+    type: Boolean,
+    default: false
+  },
+  // High-value products are received, shipped and returned by serial number or IMEI
+  trackSerials: {
+    type: Boolean,
+    default: false
+  },
+  // Accept orders beyond the stock on hand, up to a limit (null = no limit)
+  backorder: {
+    allowed: { type: Boolean, default: false },
+    limit: { type: Number, min: 0, default: null },
+    // Units ordered but not yet allocated
+    quantity: { type: Number, min: 0, default: 0 },
+    expectedRestockDate: Date
+  },
+  // Accept orders before launch; nothing is allocated until stock arrives
+  preorder: {
+    enabled: { type: Boolean, default: false },
+    releaseDate: Date,
+    expectedShipDate: Date,
+    limit: { type: Number, min: 0, default: null },
+    quantity: { type: Number, min: 0, default: 0 }
+  },
   brand: {
     type: String,
     trim: true
@@ -62,6 +185,16 @@ const productSchema = new mongoose.Schema({
     sparse: true
   
   },
+  barcode: barcodeField,
+  // Barcode as a GTIN-14, for uniqueness and scan lookups
+  gtin: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // When a product has variants, stock is the total across them
+  variants: [variantSchema],
+  // Packed size in centimetres and weight, for shipping charges
   dimensions: {
     length: {
       type: Number,
@@ -71,6 +204,21 @@ const productSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    height: {
+      type: Number,
+      min: 0
+    },
+  },
+  weight: {
+    value: {
+      type: Number,
+      min: 0
+    },
+    unit: {
+      type: String,
+      enum: ['g', 'kg', 'lb', 'oz'],
+      default: 'kg'
+    }
   },
   ratings: {
     average: {
@@ -109,5 +257,87 @@ const productSchema = new mongoose.Schema({
 
 productSchema.index({ slug: 1 });
 productSchema.index({ category: 1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+productSchema.index(
+  { 'variants.gtin': 1 },
+  { unique: true, partialFilterExpression: { 'variants.gtin': { $exists: true } } }
+);
+
+// New products with variants start with stock equal to the variant total
+productSchema.pre('validate', function(next) {
+  const skus = this.variants.map(variant => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    return next(new Error('Variant SKUs must be unique within a product'));
+  }
+  if (this.isNew && this.variants.length > 0) {
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+
+  [this, ...this.variants].forEach(holder => {
+    holder.gtin = holder.barcode ? normalizeGtin(holder.barcode) ?? undefined : undefined;
+  });
+  const gtins = [this, ...this.variants].map(holder => holder.gtin).filter(Boolean);
+  if (new Set(gtins).size !== gtins.length) {
+    return next(new Error('Barcodes must be unique within a product'));
+  }
+  next();
+});
+
+// Barcodes are unique across products and variants, which no single index can enforce
+productSchema.pre('save', async function(next) {
+  const gtins = [this, ...this.variants].map(holder => holder.gtin).filter(Boolean);
+  if (gtins.length === 0) return next();
+
+  const taken = await this.constructor.barcodeInUse(gtins, this._id);
+  if (taken) {
+    return next(new Error(`Barcode ${taken} is already used by another product`));
+  }
+  next();
+});
+
+// First of the given barcodes that another product or its variants uses, or null
+productSchema.statics.barcodeInUse = async function(codes, excludeProductId = null) {
+  const gtins = [].concat(codes).map(code => normalizeGtin(code)).filter(Boolean);
+  if (gtins.length === 0) return null;
+
+  const filter = { $or: [{ gtin: { $in: gtins } }, { 'variants.gtin': { $in: gtins } }] };
+  if (excludeProductId) filter._id = { $ne: excludeProductId };
+
+  const other = await this.findOne(filter).select('gtin variants.gtin');
+  if (!other) return null;
+  return gtins.find(gtin => other.gtin === gtin || other.variants.some(variant => variant.gtin === gtin));
+};
+
+// Product, and variant if the barcode is a variant's, for a scanned code
+productSchema.statics.findByBarcode = async function(code) {
+  const gtin = normalizeGtin(code);
+  if (!gtin) return null;
+
+  const product = await this.findOne({ $or: [{ gtin }, { 'variants.gtin': gtin }] })
+    .select('-images -variants.images')
+    .populate('category', 'name slug');
+  if (!product) return null;
+
+  const variant = product.gtin === gtin ? null : product.variants.find(candidate => candidate.gtin === gtin);
+  return { product, variant };
+};
+
+// Price of a variant, falling back to the product price
+productSchema.methods.priceFor = function(variantId) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  return variant?.price ?? this.price;
+};
+
+// Pre-orders are taken until the release date
+productSchema.methods.isPreorderOpen = function() {
+  return Boolean(this.preorder?.enabled) && (!this.preorder.releaseDate || this.preorder.releaseDate > new Date());
+};
+
+productSchema.methods.hasVariants = function() {
+  return this.variants.some(variant => variant.isActive);
+};
 
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -22,6 +22,19 @@ const productTypeSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Category is required']
   },
+  // Attributes products of this type vary by, e.g. size and colour
+  variantAttributes: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
   products: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
@@ -47,6 +60,30 @@ productTypeSchema.pre('save', function(next) {
   next();
 });
 
+// Check a variant's attributes against this type's definitions; returns an error message or null
+productTypeSchema.methods.checkVariantAttributes = function(attributes = {}) {
+  if (this.variantAttributes.length === 0) {
+    return `Product type ${this.name} does not define any variant attributes`;
+  }
+
+  const names = Object.keys(attributes);
+  const unknown = names.filter(name => !this.variantAttributes.some(attribute => attribute.name === name));
+  if (unknown.length > 0) {
+    return `Unknown variant attributes: ${unknown.join(', ')}`;
+  }
+
+  for (const attribute of this.variantAttributes) {
+    const value = attributes[attribute.name];
+    if (value === undefined || value === null || value === '') {
+      return `Variant attribute ${attribute.name} is required`;
+    }
+    if (attribute.values.length > 0 && !attribute.values.includes(value)) {
+      return `${value} is not a valid ${attribute.name}. Allowed: ${attribute.values.join(', ')}`;
+    }
+  }
+  return null;
+};
+
 // Index for better query performance
 productTypeSchema.index({ name: 1 });
 productTypeSchema.index({ slug: 1 });
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  // Warehouse the goods are delivered to
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    quantityOrdered: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    quantityReceived: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    unitCost: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'closed'],
+    default: 'draft'
+  },
+  expectedDeliveryDate: Date,
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  receipts: [{
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    lines: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      quantity: Number,
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot',
+        default: null
+      }
+    }],
+    notes: String
+  }],
+  sentAt: Date,
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.index({ supplier: 1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ 'lines.product': 1 });
+
+// Pre-save middleware to generate PO number
+purchaseOrderSchema.pre('save', function(next) {
+  if (this.isNew && !this.poNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.poNumber = `PO-${timestamp}-${random}`;
+  }
+  next();
+});
+
+// Virtual for the value of the order at cost
+purchaseOrderSchema.virtual('totalCost').get(function() {
+  return (this.lines || []).reduce((total, line) => total + line.quantityOrdered * line.unitCost, 0);
+});
+
+// Quantity still expected for a line
+purchaseOrderSchema.methods.openQuantity = function(line) {
+  return Math.max(0, line.quantityOrdered - line.quantityReceived);
+};
+
+// Move between sent, partially received and received from the line totals
+purchaseOrderSchema.methods.refreshReceiptStatus = function() {
+  const received = this.lines.reduce((total, line) => total + line.quantityReceived, 0);
+  const open = this.lines.reduce((total, line) => total + this.openQuantity(line), 0);
+
+  if (open === 0) {
+    this.status = 'received';
+  } else if (received > 0) {
+    this.status = 'partially_received';
+  }
+  return this.status;
+};
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+export default PurchaseOrder;
@@ -27,6 +27,10 @@ const returnRequestSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
     quantity: {
       type: Number,
       required: true,
@@ -59,7 +63,13 @@ const returnRequestSchema = new mongoose.Schema({
       type: String,
       enum: ['refund', 'replacement', 'exchange', 'repair'],
       required: true
-    }
+    },
+    // Units being returned, for serial-tracked products
+    serialNumbers: [{
+      type: String,
+      uppercase: true,
+      trim: true
+    }]
   }],
   status: {
     type: String,
@@ -135,6 +145,11 @@ const returnRequestSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  // Set once the returned items have been put back into stock
+  restockedAt: {
+    type: Date,
+    default: null
+  },
   timeline: [{
     status: String,
     timestamp: { type: Date, default: Date.now },
@@ -11,6 +11,11 @@ const reviewSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Variant the reviewer bought, e.g. the size they are reviewing
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   rating: {
     type: Number,
     required: true,
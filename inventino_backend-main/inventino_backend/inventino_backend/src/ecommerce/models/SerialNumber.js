@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// One unit of a serial-tracked product, by its serial number or IMEI.
+// Units are registered when received, sold when assigned to an order line
+// at fulfilment, and come back into stock through returns.
+const serialNumberSchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true,
+    uppercase: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['in_stock', 'sold', 'returned', 'written_off'],
+    default: 'in_stock'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  // Current sale, while the unit is sold or returned
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  soldAt: Date,
+  // Everything that has happened to the unit, oldest first
+  history: [{
+    event: {
+      type: String,
+      enum: ['received', 'sold', 'unassigned', 'returned', 'restocked', 'written_off']
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+serialNumberSchema.index({ product: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ serialNumber: 1 });
+serialNumberSchema.index({ order: 1 });
+serialNumberSchema.index({ product: 1, variant: 1, status: 1 });
+
+const SerialNumber = mongoose.model('SerialNumber', serialNumberSchema);
+
+export default SerialNumber;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { SHIPPING_ZONES } from '../config/shipping.js';
+
+// Rate card of a delivery zone. Zones without one use the defaults in
+// config/shipping.js.
+const shippingRateSchema = new mongoose.Schema({
+  zone: {
+    type: String,
+    enum: SHIPPING_ZONES,
+    required: true,
+    unique: true
+  },
+  // Charge for parcels up to maxWeight kg, in ascending order of weight
+  slabs: {
+    type: [{
+      _id: false,
+      maxWeight: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      charge: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    validate: {
+      validator: slabs => slabs.length > 0,
+      message: 'A rate card needs at least one weight slab'
+    }
+  },
+  // Charge for each step of weight above the last slab
+  extraWeightStep: {
+    type: Number,
+    min: 0.1,
+    default: 1
+  },
+  extraWeightCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Order value from which shipping to the zone is free; unset uses the default
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shippingRateSchema.pre('save', function(next) {
+  this.slabs.sort((a, b) => a.maxWeight - b.maxWeight);
+  next();
+});
+
+const ShippingRate = mongoose.model('ShippingRate', shippingRateSchema);
+
+export default ShippingRate;
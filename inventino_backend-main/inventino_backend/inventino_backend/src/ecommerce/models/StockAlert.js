@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// A shopper's request to hear when an out-of-stock product or variant is
+// back. Alerts fire once; subscribing again re-arms them.
+const stockAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'notified'],
+    default: 'active'
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+stockAlertSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+stockAlertSchema.index({ product: 1, variant: 1, status: 1 });
+
+const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
+
+export default StockAlert;
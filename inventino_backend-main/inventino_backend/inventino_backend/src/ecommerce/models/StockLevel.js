@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// On-hand quantity of one product in one warehouse.
+// Product.stock is kept as the total across all warehouses.
+const stockLevelSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity cannot be negative'],
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+stockLevelSchema.index({ product: 1, warehouse: 1 }, { unique: true });
+stockLevelSchema.index({ warehouse: 1 });
+
+const StockLevel = mongoose.model('StockLevel', stockLevelSchema);
+
+export default StockLevel;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// A batch of stock received together, with the dates printed on it.
+// Lot quantities are a breakdown of Product.stock for lot-tracked products.
+const stockLotSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    uppercase: true
+  },
+  manufactureDate: Date,
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quantity of this lot still on hand
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity cannot be negative']
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stockLotSchema.index({ product: 1, variant: 1, warehouse: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ product: 1, expiryDate: 1 });
+stockLotSchema.index({ expiryDate: 1, quantity: 1 });
+
+stockLotSchema.virtual('isExpired').get(function() {
+  return this.expiryDate <= new Date();
+});
+
+stockLotSchema.set('toJSON', { virtuals: true });
+stockLotSchema.set('toObject', { virtuals: true });
+
+const StockLot = mongoose.model('StockLot', stockLotSchema);
+
+export default StockLot;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+// Append-only ledger of every change to a product's stock.
+// Entries are never updated or deleted; corrections are new entries.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  // Product.variants entry the movement applies to
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'sale', 'cancellation_release', 'return_restock', 'adjustment', 'transfer'],
+    required: true
+  },
+  // Signed change: positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: value => value !== 0,
+      message: 'Movement quantity cannot be zero'
+    }
+  },
+  // Cost of the units moved; totalCost is signed like quantity
+  unitCost: {
+    type: Number,
+    default: null
+  },
+  totalCost: {
+    type: Number,
+    default: null
+  },
+  // Product.stock right after this movement
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Stock level in the warehouse right after this movement
+  warehouseBalanceAfter: {
+    type: Number,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Why an adjustment was needed, e.g. from a cycle count
+  reasonCode: {
+    type: String,
+    enum: ['damaged', 'lost', 'theft', 'found', 'miscount', 'expired', 'data_entry_error', 'other'],
+    default: undefined
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'performedByModel',
+    default: null
+  },
+  performedByModel: {
+    type: String,
+    enum: ['User', 'Admin'],
+    default: 'Admin'
+  },
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Order', 'ReturnRequest', 'PurchaseOrder', 'CycleCount', 'TransferOrder']
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reference.kind'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+stockMovementSchema.index({ 'reference.kind': 1, 'reference.document': 1 });
+
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => stockMovementSchema.pre(operation, rejectChange));
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
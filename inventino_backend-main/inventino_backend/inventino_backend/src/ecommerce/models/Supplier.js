@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Supplier code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Supplier code cannot exceed 20 characters']
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String,
+    country: { type: String, default: 'India' }
+  },
+  // Typical days between sending a purchase order and receiving it
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: 7
+  },
+  paymentTerms: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ name: 1 });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+export default Supplier;
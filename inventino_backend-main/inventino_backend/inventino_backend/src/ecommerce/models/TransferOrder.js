@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+// Stock moving between two warehouses. Quantities leave the source when the
+// transfer is dispatched and reach the destination when it is received;
+// in between they are counted in neither warehouse.
+const transferOrderSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    unique: true
+  },
+  sourceWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  destinationWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Less than quantity when units were lost or damaged in transit
+    quantityReceived: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Cost of the units when they left the source
+    unitCost: {
+      type: Number,
+      default: null
+    },
+    // Lots the quantity was dispatched from, for lot-tracked products
+    lots: [{
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+      },
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number
+    }]
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'dispatched', 'in_transit', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  carrier: {
+    type: String,
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  dispatchedAt: Date,
+  inTransitAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  receivedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+transferOrderSchema.index({ status: 1, createdAt: -1 });
+transferOrderSchema.index({ sourceWarehouse: 1 });
+transferOrderSchema.index({ destinationWarehouse: 1 });
+transferOrderSchema.index({ 'lines.product': 1 });
+
+// Pre-save middleware to generate transfer number
+transferOrderSchema.pre('save', function(next) {
+  if (this.isNew && !this.transferNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.transferNumber = `TR-${timestamp}-${random}`;
+  }
+  next();
+});
+
+// Units dispatched that have not arrived, per line
+transferOrderSchema.methods.getShortfall = function() {
+  if (this.status !== 'received') return [];
+  return this.lines
+    .filter(line => line.quantityReceived < line.quantity)
+    .map(line => ({
+      product: line.product,
+      variant: line.variant,
+      dispatched: line.quantity,
+      received: line.quantityReceived,
+      short: line.quantity - line.quantityReceived
+    }));
+};
+
+const TransferOrder = mongoose.model('TransferOrder', transferOrderSchema);
+
+export default TransferOrder;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Warehouse name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Warehouse code cannot exceed 20 characters']
+  },
+  address: {
+    street: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    pincode: {
+      type: String,
+      required: true,
+      match: [/^\d{6}$/, 'Pincode must be a 6-digit number']
+    },
+    country: { type: String, default: 'India' }
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  // GST registration of the warehouse, in the state of its address
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'GSTIN must be a valid 15-character GST number'],
+    default: null
+  },
+  // Fallback warehouse for pincodes that are not mapped to one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.index({ isActive: 1 });
+
+// Ensure only one default warehouse
+warehouseSchema.pre('save', async function(next) {
+  if (this.isDefault) {
+    await mongoose.model('Warehouse').updateMany(
+      { _id: { $ne: this._id } },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+export default Warehouse;
@@ -4,10 +4,16 @@ const wishlistSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   products: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
-    addedAt: { type: Date, default: Date.now }
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    addedAt: { type: Date, default: Date.now },
+    // Price drop alerts compare against this, then against the last price alerted
+    priceWhenAdded: { type: Number, default: null },
+    lastAlertedPrice: { type: Number, default: null }
   }]
 }, {
   timestamps: true
 });
 
+wishlistSchema.index({ 'products.product': 1 });
+
 export default mongoose.model('Wishlist', wishlistSchema);
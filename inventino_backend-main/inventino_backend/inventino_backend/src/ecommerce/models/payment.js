@@ -11,7 +11,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending',
     required: true,
   },
@@ -34,10 +34,32 @@ const paymentSchema = new mongoose.Schema({
   refundId: {
     type: String,
   },
+  // Order the payment is for, when paid at checkout
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+  },
+  refunds: [{
+    refundId: String,
+    amount: Number,
+    reason: String,
+    status: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
 }, {
   timestamps: true,
 });
 
+paymentSchema.index({ order: 1 });
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
 export default Payment;
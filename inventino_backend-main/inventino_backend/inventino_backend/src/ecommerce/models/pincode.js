@@ -26,6 +26,12 @@ const pincodeSchema = new mongoose.Schema({
   city: {
     type: String,
   },
+  // Warehouse that ships to this delivery area
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null,
+  },
 }, { timestamps: true });
 
 const Pincode = mongoose.model('Pincode', pincodeSchema);
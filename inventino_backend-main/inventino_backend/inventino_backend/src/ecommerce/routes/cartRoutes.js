@@ -1,8 +1,11 @@
 import express from 'express';
 import mongoose from 'mongoose';
+import { body } from 'express-validator';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
+import CartReservationService from '../services/cartReservationService.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { handleValidationErrors } from '../middleware/extendedValidation.js';
 
 const router = express.Router();
 
@@ -11,36 +14,83 @@ const calculateTotalAmount = (items) => {
   return items.reduce((total, item) => total + item.price * item.quantity, 0);
 };
 
+// Helper function to find a cart line by product and variant
+const findItemIndex = (items, productId, variantId) => {
+  return items.findIndex(item =>
+    item.product.toString() === productId &&
+    (item.variant ? item.variant.toString() : null) === (variantId || null)
+  );
+};
+
+// Response for a cart line that cannot be held
+const insufficientStock = (res, reservation) => {
+  return res.status(409).json({
+    success: false,
+    message: reservation.available > 0 ? `Only ${reservation.available} available` : 'Out of stock',
+    data: { available: reservation.available }
+  });
+};
+
 // POST /api/cart/add - Add product to cart (increase quantity if exists)
-router.post('/add', authMiddleware, async (req, res) => {
+router.post('/add', authMiddleware, [
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive whole number')
+    .toInt()
+], handleValidationErrors, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(productId)) {
       return res.status(400).json({ success: false, message: 'Invalid productId' });
     }
 
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ success: false, message: 'Invalid variantId' });
+    }
+
     const product = await Product.findById(productId);
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
+    // Products with variants are bought by variant
+    if (variantId) {
+      const variant = product.variants.id(variantId);
+      if (!variant || !variant.isActive) {
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+    } else if (product.hasVariants()) {
+      return res.status(400).json({ success: false, message: 'Please choose a variant of this product' });
+    }
+    const price = product.priceFor(variantId);
+
     let cart = await Cart.findOne({ user: userId });
 
+    // Hold stock for the whole line, including what is already in the cart
+    const existingIndex = cart ? findItemIndex(cart.items, productId, variantId) : -1;
+    const lineQuantity = (existingIndex > -1 ? cart.items[existingIndex].quantity : 0) + Number(quantity);
+    const reservation = await CartReservationService.reserve(userId, product, variantId, lineQuantity);
+    if (!reservation.success) {
+      return insufficientStock(res, reservation);
+    }
+
     if (!cart) {
       // Create new cart
       cart = new Cart({
         user: userId,
         items: [{
           product: productId,
+          variant: variantId,
           quantity,
-          price: product.price
+          price
         }]
       });
     } else {
       // Check if product exists in cart
-      const itemIndex = cart.items.findIndex(item => item.product.toString() === productId);
+      const itemIndex = findItemIndex(cart.items, productId, variantId);
       if (itemIndex > -1) {
         // Increase quantity
         cart.items[itemIndex].quantity += quantity;
@@ -48,8 +98,9 @@ router.post('/add', authMiddleware, async (req, res) => {
         // Add new item
         cart.items.push({
           product: productId,
+          variant: variantId,
           quantity,
-          price: product.price
+          price
         });
       }
     }
@@ -63,14 +114,15 @@ router.post('/add', authMiddleware, async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Product added to cart',
-      data: cart
+      data: cart,
+      reservation
     });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to add product to cart', error: error.message });
   }
 });
 
-// PUT /api/cart/update/:productId - Update quantity of a product in the cart
+// PUT /api/cart/update/:productId?variantId= - Update quantity of a product in the cart
 router.put('/update/:productId', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -90,11 +142,21 @@ router.put('/update/:productId', authMiddleware, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Cart not found' });
     }
 
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === productId);
+    const itemIndex = findItemIndex(cart.items, productId, req.query.variantId);
     if (itemIndex === -1) {
       return res.status(404).json({ success: false, message: 'Product not found in cart' });
     }
 
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const reservation = await CartReservationService.reserve(userId, product, req.query.variantId, quantity);
+    if (!reservation.success) {
+      return insufficientStock(res, reservation);
+    }
+
     cart.items[itemIndex].quantity = quantity;
 
     // Update totalAmount
@@ -106,14 +168,15 @@ router.put('/update/:productId', authMiddleware, async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Cart updated successfully',
-      data: cart
+      data: cart,
+      reservation
     });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to update cart', error: error.message });
   }
 });
 
-// DELETE /api/cart/remove/:productId - Remove a product from cart
+// DELETE /api/cart/remove/:productId?variantId= - Remove a product from cart
 router.delete('/remove/:productId', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -128,12 +191,13 @@ router.delete('/remove/:productId', authMiddleware, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Cart not found' });
     }
 
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === productId);
+    const itemIndex = findItemIndex(cart.items, productId, req.query.variantId);
     if (itemIndex === -1) {
       return res.status(404).json({ success: false, message: 'Product not found in cart' });
     }
 
     cart.items.splice(itemIndex, 1);
+    await CartReservationService.release(userId, productId, req.query.variantId);
 
     // Update totalAmount
     cart.totalAmount = calculateTotalAmount(cart.items);
@@ -151,7 +215,8 @@ router.delete('/remove/:productId', authMiddleware, async (req, res) => {
   }
 });
 
-// GET /api/cart - View current user's cart with populated product details
+// GET /api/cart - View current user's cart with populated product details and
+// per-line availability: stock not held by other shoppers and this cart's hold
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -161,10 +226,16 @@ router.get('/', authMiddleware, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Cart not found' });
     }
 
+    const availability = await CartReservationService.getCartAvailability(cart);
+    const data = cart.toObject();
+    data.items.forEach((item, index) => {
+      item.availability = availability[index];
+    });
+
     res.status(200).json({
       success: true,
       message: 'Cart retrieved successfully',
-      data: cart
+      data
     });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to retrieve cart', error: error.message });
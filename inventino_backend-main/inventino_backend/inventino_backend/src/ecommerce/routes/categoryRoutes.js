@@ -37,7 +37,7 @@ router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res)
 // Create new category
 router.post('/', authMiddleware, validateCategoryCreation, handleValidationErrors, async (req, res) => {
   try {
-    const { name, description, image, parentCategory } = req.body;
+    const { name, description, image, parentCategory, hsnCode, gstRate } = req.body;
     const slug = slugify(name, { lower: true, strict: true });
 
     const existing = await Category.findOne({ slug });
@@ -51,6 +51,8 @@ router.post('/', authMiddleware, validateCategoryCreation, handleValidationError
       description,
       image,
       parentCategory,
+      hsnCode,
+      gstRate,
       createdBy: req.user.id
     });
 
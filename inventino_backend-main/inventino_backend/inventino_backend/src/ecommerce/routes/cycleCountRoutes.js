@@ -0,0 +1,491 @@
+import express from 'express';
+import CycleCount from '../models/CycleCount.js';
+import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import StockLevel from '../models/StockLevel.js';
+import InventoryService from '../services/inventoryService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateCycleCountCreation,
+  validateCycleCountEntry,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+// Build count lines with the quantities expected right now. Warehouse counts
+// cover warehouse-tracked products; other counts cover Product.stock, per variant.
+const buildCountLines = async (products, warehouseId) => {
+  const lines = [];
+  const skipped = [];
+
+  for (const product of products) {
+    const tracked = await InventoryService.isWarehouseTracked(product._id);
+
+    if (warehouseId) {
+      if (!tracked) {
+        skipped.push({ product: product._id, name: product.name, reason: 'not_warehouse_tracked' });
+        continue;
+      }
+      if (product.hasVariants()) {
+        skipped.push({ product: product._id, name: product.name, reason: 'variants_not_tracked_per_warehouse' });
+        continue;
+      }
+      const level = await StockLevel.findOne({ product: product._id, warehouse: warehouseId });
+      lines.push({ product: product._id, name: product.name, sku: product.sku, expectedQuantity: level ? level.quantity : 0 });
+      continue;
+    }
+
+    if (tracked) {
+      skipped.push({ product: product._id, name: product.name, reason: 'warehouse_required' });
+      continue;
+    }
+
+    if (product.hasVariants()) {
+      product.variants.filter(variant => variant.isActive).forEach(variant => {
+        lines.push({
+          product: product._id,
+          variant: variant._id,
+          name: product.name,
+          sku: variant.sku,
+          expectedQuantity: variant.stock
+        });
+      });
+    } else {
+      lines.push({ product: product._id, name: product.name, sku: product.sku, expectedQuantity: product.stock });
+    }
+  }
+
+  return { lines, skipped };
+};
+
+/**
+ * @route GET /api/admin/cycle-counts
+ * @desc Get cycle counts with filtering and pagination
+ * @access Private (admin only)
+ * @query {string} status - Filter by status
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ * @returns {object} Paginated cycle counts without their lines
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const cycleCounts = await CycleCount.find(filter)
+      .select('-lines')
+      .populate('scope.category', 'name slug')
+      .populate('warehouse', 'name code')
+      .populate('openedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await CycleCount.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      message: 'Cycle counts retrieved successfully',
+      data: {
+        cycleCounts,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCycleCounts: total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cycle counts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/cycle-counts/:id
+ * @desc Get a cycle count with its lines and variance summary
+ * @access Private (admin only)
+ * @param {string} id - Cycle count ID
+ * @returns {object} Cycle count details
+ */
+router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id)
+      .populate('scope.category', 'name slug')
+      .populate('warehouse', 'name code')
+      .populate('openedBy', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email');
+
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cycle count retrieved successfully',
+      data: {
+        ...cycleCount.toObject(),
+        summary: cycleCount.getVarianceSummary()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cycle count',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/cycle-counts
+ * @desc Open a count for a category or a set of products
+ * @access Private (admin only)
+ * @param {string} category - Count every product in this category (optional)
+ * @param {array} products - Product IDs to count (optional)
+ * @param {string} warehouse - Warehouse being counted (required for warehouse-tracked products)
+ * @param {string} notes - Notes (optional)
+ * @returns {object} Opened cycle count and any products left out of it
+ */
+router.post('/', validateCycleCountCreation, handleValidationErrors, async (req, res) => {
+  try {
+    const { category, products, warehouse, notes } = req.body;
+
+    if (!category && (!products || products.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a category or a list of products to count'
+      });
+    }
+
+    if (warehouse && !await Warehouse.exists({ _id: warehouse })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const productFilter = {};
+    if (category) productFilter.category = category;
+    if (products && products.length > 0) productFilter._id = { $in: products };
+    const selected = await Product.find(productFilter).select('name sku stock variants');
+
+    // A product can only be in one unfinished count at a time
+    const busy = await CycleCount.find({
+      status: { $in: ['open', 'submitted'] },
+      'lines.product': { $in: selected.map(product => product._id) }
+    }).distinct('lines.product');
+    const available = selected.filter(product => !busy.some(id => id.equals(product._id)));
+
+    const { lines, skipped } = await buildCountLines(available, warehouse);
+    selected
+      .filter(product => !available.includes(product))
+      .forEach(product => skipped.push({ product: product._id, name: product.name, reason: 'in_open_count' }));
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No products in this selection can be counted',
+        data: { skipped }
+      });
+    }
+
+    const cycleCount = new CycleCount({
+      scope: {
+        category: category || null,
+        products: products || []
+      },
+      warehouse: warehouse || null,
+      lines,
+      notes,
+      openedBy: req.user.id
+    });
+    await cycleCount.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Cycle count opened successfully',
+      data: {
+        cycleCount,
+        skipped
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open cycle count',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/cycle-counts/:id/counts
+ * @desc Enter counted quantities for lines of an open count
+ * @access Private (admin only)
+ * @param {string} id - Cycle count ID
+ * @param {array} lines - Array of {product, variant, countedQuantity, reasonCode, notes}
+ * @returns {object} Updated cycle count with variance summary
+ */
+router.put('/:id/counts', validateObjectId(), validateCycleCountEntry, handleValidationErrors, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id);
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    if (cycleCount.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot enter counts on a cycle count that is ${cycleCount.status}`
+      });
+    }
+
+    for (const entry of req.body.lines) {
+      const line = cycleCount.lines.find(countLine =>
+        countLine.product.toString() === entry.product &&
+        (countLine.variant ? countLine.variant.toString() : null) === (entry.variant || null)
+      );
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${entry.product} is not part of this count`
+        });
+      }
+
+      line.countedQuantity = parseInt(entry.countedQuantity, 10);
+      line.variance = line.countedQuantity - line.expectedQuantity;
+      if (entry.reasonCode !== undefined) line.reasonCode = entry.reasonCode;
+      if (entry.notes !== undefined) line.notes = entry.notes;
+      line.countedAt = new Date();
+      line.countedBy = req.user.id;
+    }
+    await cycleCount.save();
+
+    res.json({
+      success: true,
+      message: 'Counts recorded successfully',
+      data: {
+        ...cycleCount.toObject(),
+        summary: cycleCount.getVarianceSummary()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record counts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/cycle-counts/:id/submit
+ * @desc Submit a fully counted cycle count for approval
+ * @access Private (admin only)
+ * @param {string} id - Cycle count ID
+ * @returns {object} Submitted cycle count with variance summary
+ */
+router.post('/:id/submit', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id);
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    if (cycleCount.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot submit a cycle count that is ${cycleCount.status}`
+      });
+    }
+
+    const uncounted = cycleCount.lines.filter(line => line.countedQuantity === null);
+    if (uncounted.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${uncounted.length} line(s) have not been counted yet`,
+        data: { uncounted: uncounted.map(line => ({ product: line.product, variant: line.variant, sku: line.sku })) }
+      });
+    }
+
+    // Every discrepancy needs a reason before it can be posted
+    const unexplained = cycleCount.lines.filter(line => line.variance !== 0 && !line.reasonCode);
+    if (unexplained.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${unexplained.length} line(s) with a variance have no reason code`,
+        data: { unexplained: unexplained.map(line => ({ product: line.product, variant: line.variant, sku: line.sku, variance: line.variance })) }
+      });
+    }
+
+    cycleCount.status = 'submitted';
+    cycleCount.submittedAt = new Date();
+    await cycleCount.save();
+
+    res.json({
+      success: true,
+      message: 'Cycle count submitted for approval',
+      data: {
+        ...cycleCount.toObject(),
+        summary: cycleCount.getVarianceSummary()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit cycle count',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/cycle-counts/:id/approve
+ * @desc Approve a submitted count and post each variance as a stock adjustment.
+ *       Lines that cannot be posted are reported and can be retried.
+ * @access Private (admin only)
+ * @param {string} id - Cycle count ID
+ * @returns {object} Cycle count with posted movements and any failed lines
+ */
+router.post('/:id/approve', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id);
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    if (cycleCount.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a cycle count that is ${cycleCount.status}`
+      });
+    }
+
+    // Post the variance rather than the counted figure, so sales made since
+    // the count was opened are not undone
+    const failed = [];
+    for (const line of cycleCount.lines) {
+      if (line.postedAt || line.variance === 0) continue;
+
+      try {
+        const { movement } = await InventoryService.adjustStock(line.product, line.variance, {
+          variant: line.variant,
+          warehouse: cycleCount.warehouse,
+          user: req.user,
+          reference: { kind: 'CycleCount', document: cycleCount._id },
+          reason: `Cycle count ${cycleCount.countNumber}${line.notes ? `: ${line.notes}` : ''}`,
+          reasonCode: line.reasonCode
+        });
+        line.movement = movement._id;
+        line.postedAt = new Date();
+      } catch (adjustError) {
+        failed.push({ product: line.product, variant: line.variant, sku: line.sku, variance: line.variance, error: adjustError.message });
+      }
+    }
+
+    if (failed.length === 0) {
+      cycleCount.status = 'approved';
+      cycleCount.approvedBy = req.user.id;
+      cycleCount.approvedAt = new Date();
+    }
+    await cycleCount.save();
+
+    res.status(failed.length === 0 ? 200 : 409).json({
+      success: failed.length === 0,
+      message: failed.length === 0
+        ? 'Cycle count approved and adjustments posted'
+        : 'Some adjustments could not be posted; approve again once resolved',
+      data: {
+        ...cycleCount.toObject(),
+        summary: cycleCount.getVarianceSummary(),
+        failed
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve cycle count',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/cycle-counts/:id/cancel
+ * @desc Cancel a count that has not been approved
+ * @access Private (admin only)
+ * @param {string} id - Cycle count ID
+ * @returns {object} Cancelled cycle count
+ */
+router.post('/:id/cancel', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id);
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    if (!['open', 'submitted'].includes(cycleCount.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a cycle count that is ${cycleCount.status}`
+      });
+    }
+
+    if (cycleCount.lines.some(line => line.postedAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some adjustments from this count have already been posted; approve it instead'
+      });
+    }
+
+    cycleCount.status = 'cancelled';
+    cycleCount.cancelledAt = new Date();
+    await cycleCount.save();
+
+    res.json({
+      success: true,
+      message: 'Cycle count cancelled successfully',
+      data: cycleCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel cycle count',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,641 @@
+import express from 'express';
+import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import StockMovement from '../models/StockMovement.js';
+import StockLot from '../models/StockLot.js';
+import InventoryService from '../services/inventoryService.js';
+import CostingService from '../services/costingService.js';
+import SerialService from '../services/serialService.js';
+import ForecastService from '../services/forecastService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateStockMovement,
+  validateCostReport,
+  validateForecastQuery,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+// Products with variants take stock changes per variant; returns an error message or null
+const checkVariant = (product, variantId) => {
+  if (variantId) {
+    return product.variants.id(variantId) ? null : 'Variant not found';
+  }
+  return product.hasVariants() ? 'A variant is required for products with variants' : null;
+};
+
+/**
+ * @route GET /api/admin/inventory/low-stock
+ * @desc Get products at or below their reorder point, sorted by days of cover
+ * @access Private (admin only)
+ * @query {number} days - Sales window used for daily velocity (default: 30)
+ * @returns {object} Low stock products with velocity and days of cover
+ */
+router.get('/low-stock', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || 30);
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be between 1 and 365'
+      });
+    }
+
+    const products = await InventoryService.getLowStockReport({ days });
+
+    res.json({
+      success: true,
+      message: 'Low stock report retrieved successfully',
+      data: {
+        days,
+        totalProducts: products.length,
+        products
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve low stock report',
+      error: error.message
+    });
+  }
+});
+
+// Forecast options from a validated query string
+const getForecastOptions = query => ({
+  method: query.method || 'seasonal',
+  history: parseInt(query.history || 90),
+  window: parseInt(query.window || 28),
+  horizon: parseInt(query.horizon || 30),
+  serviceLevel: parseFloat(query.serviceLevel || 0.95)
+});
+
+/**
+ * @route GET /api/admin/inventory/forecast
+ * @desc Get demand forecasts and suggested reorder quantities for active products
+ * @access Private (admin only)
+ * @query {string} method - moving_average or seasonal (default: seasonal)
+ * @query {number} history - Days of order history to forecast from (default: 90)
+ * @query {number} window - Most recent days the demand level is taken from (default: 28)
+ * @query {number} horizon - Days after the lead time that an order should cover (default: 30)
+ * @query {number} serviceLevel - Chance of not running out during the lead time, for safety stock (default: 0.95)
+ * @query {string} category - Only products in this category
+ * @returns {object} Forecast rows, products to reorder first
+ */
+router.get('/forecast', validateForecastQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const options = getForecastOptions(req.query);
+    const products = await ForecastService.getReorderReport({ ...options, category: req.query.category });
+
+    res.json({
+      success: true,
+      message: 'Demand forecast retrieved successfully',
+      data: {
+        ...options,
+        totalProducts: products.length,
+        needsReorder: products.filter(product => product.needsReorder).length,
+        products
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve demand forecast',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/forecast/:productId
+ * @desc Get daily sales history and both forecasts for a product
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @query As for GET /forecast, without category
+ * @returns {object} Reorder suggestion, daily history, weekday indices and daily forecasts
+ */
+router.get('/forecast/:productId', validateObjectId('productId'), validateForecastQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const options = getForecastOptions(req.query);
+    const forecast = await ForecastService.getProductForecast(req.params.productId, options);
+    if (!forecast) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product forecast retrieved successfully',
+      data: { ...options, ...forecast }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve product forecast',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/valuation
+ * @desc Get the value of stock on hand per product, variant and category
+ * @access Private (admin only)
+ * @query {string} category - Only products in this category
+ * @returns {object} Costing method, stock value rows, category totals and grand total
+ */
+router.get('/valuation', validateCostReport, handleValidationErrors, async (req, res) => {
+  try {
+    const valuation = await CostingService.getValuation({ category: req.query.category });
+
+    res.json({
+      success: true,
+      message: 'Inventory valuation retrieved successfully',
+      data: valuation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve inventory valuation',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/margins
+ * @desc Get revenue, cost of goods sold and gross margin for a date range
+ * @access Private (admin only)
+ * @query {string} from - Orders placed on or after this date
+ * @query {string} to - Orders placed on or before this date
+ * @query {string} category - Only products in this category
+ * @query {string} groupBy - product or category (default: product)
+ * @returns {object} Margin rows and totals; uncostedUnits counts units sold before costing was recorded
+ */
+router.get('/margins', validateCostReport, handleValidationErrors, async (req, res) => {
+  try {
+    const { from, to, category, groupBy = 'product' } = req.query;
+    if (from && to && new Date(from) > new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'From must be on or before to'
+      });
+    }
+
+    const margins = await CostingService.getMargins({ from, to, category, groupBy });
+
+    res.json({
+      success: true,
+      message: 'Margin report retrieved successfully',
+      data: {
+        from: from || null,
+        to: to || null,
+        groupBy,
+        ...margins
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve margin report',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/products/:productId/movements
+ * @desc Get the stock ledger for a product, newest first
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @query {string} type - Filter by movement type
+ * @query {string} warehouse - Filter by warehouse ID
+ * @query {string} from - Only movements on or after this date
+ * @query {string} to - Only movements on or before this date
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 50)
+ * @returns {object} Paginated movements, each with the balance after it
+ */
+router.get('/products/:productId/movements', validateObjectId('productId'), handleValidationErrors, async (req, res) => {
+  try {
+    const { type, warehouse, from, to, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const product = await Product.findById(req.params.productId).select('name sku stock');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const filter = { product: product._id };
+    if (type) filter.type = type;
+    if (warehouse) filter.warehouse = warehouse;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const movements = await StockMovement.find(filter)
+      .populate('warehouse', 'name code')
+      .populate('performedBy', 'firstName lastName email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await StockMovement.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      message: 'Stock movements retrieved successfully',
+      data: {
+        product,
+        movements,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalMovements: total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve stock movements',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/products/:productId/reconcile
+ * @desc Compare the ledger balance with Product.stock and warehouse levels
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @returns {object} Ledger and recorded balances with variances
+ */
+router.get('/products/:productId/reconcile', validateObjectId('productId'), handleValidationErrors, async (req, res) => {
+  try {
+    const reconciliation = await InventoryService.reconcile(req.params.productId);
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: reconciliation.isReconciled ? 'Stock matches the ledger' : 'Stock does not match the ledger',
+      data: reconciliation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile stock',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/inventory/products/:productId/receipts
+ * @desc Record stock received for a product
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity received (positive)
+ * @param {string} warehouse - Receiving warehouse ID (optional)
+ * @param {string} variant - Variant ID (required for products with variants)
+ * @param {object} lot - { lotNumber, expiryDate, manufactureDate } (required for lot-tracked products)
+ * @param {number} unitCost - Cost per unit received (optional, defaults to the average cost)
+ * @param {array} serialNumbers - One per unit (required for serial-tracked products)
+ * @param {string} reason - Note recorded on the movement (optional)
+ * @returns {object} Movement, lot, serials and new balance
+ */
+router.post('/products/:productId/receipts', validateObjectId('productId'), validateStockMovement, handleValidationErrors, async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity, 10);
+    if (quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Received quantity must be positive'
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (req.body.warehouse && !await Warehouse.exists({ _id: req.body.warehouse })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const variantError = checkVariant(product, req.body.variant);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    if (product.trackLots && !req.body.lot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lot number and expiry date are required for lot-tracked products'
+      });
+    }
+
+    const serials = SerialService.normalize(req.body.serialNumbers);
+    if (product.trackSerials) {
+      const serialError = await SerialService.checkNewSerials(product._id, serials, quantity);
+      if (serialError) {
+        return res.status(400).json({
+          success: false,
+          message: serialError
+        });
+      }
+    }
+
+    let result;
+    try {
+      result = await InventoryService.receiveStock(product._id, quantity, {
+        warehouse: req.body.warehouse,
+        variant: req.body.variant,
+        lot: req.body.lot,
+        unitCost: req.body.unitCost,
+        user: req.user,
+        reason: req.body.reason || 'Stock received'
+      });
+    } catch (receiveError) {
+      return res.status(400).json({
+        success: false,
+        message: receiveError.message
+      });
+    }
+
+    const units = product.trackSerials
+      ? await SerialService.register(product._id, req.body.variant, serials, { warehouse: req.body.warehouse })
+      : [];
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock received successfully',
+      data: {
+        movement: result.movement,
+        lot: result.lot || null,
+        serialNumbers: units.map(unit => unit.serialNumber),
+        stock: result.product.stock
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive stock',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/inventory/products/:productId/adjustments
+ * @desc Adjust a product's stock up or down with a reason
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Signed change in stock
+ * @param {string} warehouse - Warehouse ID (optional)
+ * @param {string} variant - Variant ID (required for products with variants)
+ * @param {string} lotId - Lot the adjustment applies to (optional)
+ * @param {number} unitCost - Cost per unit added (optional, defaults to the average cost)
+ * @param {array} serialNumbers - Units added or removed (required for serial-tracked products)
+ * @param {string} reason - Why the stock is being adjusted
+ * @returns {object} Movement and new balance
+ */
+router.post('/products/:productId/adjustments', validateObjectId('productId'), validateStockMovement, handleValidationErrors, async (req, res) => {
+  try {
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for stock adjustments'
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const variantError = checkVariant(product, req.body.variant);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    // Units added are registered; units removed must be ones in stock
+    const quantity = parseInt(req.body.quantity, 10);
+    const serials = SerialService.normalize(req.body.serialNumbers);
+    if (product.trackSerials) {
+      const serialError = quantity > 0
+        ? await SerialService.checkNewSerials(product._id, serials, quantity)
+        : await SerialService.checkStockSerials(product._id, req.body.variant, serials, -quantity);
+      if (serialError) {
+        return res.status(400).json({
+          success: false,
+          message: serialError
+        });
+      }
+    }
+
+    let result;
+    try {
+      result = await InventoryService.adjustStock(product._id, quantity, {
+        warehouse: req.body.warehouse,
+        variant: req.body.variant,
+        lot: req.body.lotId,
+        unitCost: req.body.unitCost,
+        user: req.user,
+        reason: req.body.reason
+      });
+    } catch (adjustError) {
+      return res.status(400).json({
+        success: false,
+        message: adjustError.message
+      });
+    }
+
+    if (product.trackSerials && quantity > 0) {
+      await SerialService.register(product._id, req.body.variant, serials, { warehouse: req.body.warehouse });
+    } else if (product.trackSerials) {
+      await SerialService.writeOff(product._id, serials);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: {
+        movement: result.movement,
+        stock: result.product.stock
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust stock',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/lots/expiring
+ * @desc Get lots with stock left that expire within N days, including expired lots
+ * @access Private (admin only)
+ * @query {number} days - Look-ahead window in days (default: 30)
+ * @returns {object} Lots sorted by expiry date
+ */
+router.get('/lots/expiring', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || 30);
+    if (isNaN(days) || days < 0 || days > 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be between 0 and 365'
+      });
+    }
+
+    const lots = await InventoryService.getExpiringLots({ days });
+
+    res.json({
+      success: true,
+      message: 'Expiring lots retrieved successfully',
+      data: {
+        days,
+        totalLots: lots.length,
+        expiredLots: lots.filter(lot => lot.isExpired).length,
+        lots
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve expiring lots',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/inventory/products/:productId/lots
+ * @desc Get a product's lots, earliest expiry first
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @query {boolean} inStock - Only lots with stock left (default: true)
+ * @returns {object} Lots
+ */
+router.get('/products/:productId/lots', validateObjectId('productId'), handleValidationErrors, async (req, res) => {
+  try {
+    const filter = { product: req.params.productId };
+    if (req.query.inStock !== 'false') filter.quantity = { $gt: 0 };
+
+    const lots = await StockLot.find(filter)
+      .populate('warehouse', 'name code')
+      .sort({ expiryDate: 1 });
+
+    res.json({
+      success: true,
+      message: 'Lots retrieved successfully',
+      data: lots
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve lots',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/inventory/lots/:lotId/write-off
+ * @desc Remove the remaining quantity of a lot from stock, e.g. once it has expired
+ * @access Private (admin only)
+ * @param {string} lotId - Lot ID
+ * @param {string} reason - Note recorded on the adjustment (optional)
+ * @returns {object} Movement and new balance
+ */
+router.post('/lots/:lotId/write-off', validateObjectId('lotId'), handleValidationErrors, async (req, res) => {
+  try {
+    const lot = await StockLot.findById(req.params.lotId);
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lot not found'
+      });
+    }
+
+    if (lot.quantity === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lot has no stock left to write off'
+      });
+    }
+
+    let result;
+    try {
+      result = await InventoryService.adjustStock(lot.product, -lot.quantity, {
+        variant: lot.variant,
+        lot: lot._id,
+        warehouse: lot.warehouse,
+        user: req.user,
+        reason: req.body.reason || (lot.isExpired ? `Expired lot ${lot.lotNumber} written off` : `Lot ${lot.lotNumber} written off`)
+      });
+    } catch (adjustError) {
+      return res.status(400).json({
+        success: false,
+        message: adjustError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Lot written off successfully',
+      data: {
+        movement: result.movement,
+        stock: result.product.stock
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to write off lot',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,18 +1,35 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import Address from '../models/Address.js';
+import Offer from '../models/offers.js';
+import InventoryService from '../services/inventoryService.js';
+import CartReservationService from '../services/cartReservationService.js';
+import SerialService from '../services/serialService.js';
+import OrderCancellationService from '../services/orderCancellationService.js';
+import ShipmentService from '../services/shipmentService.js';
+import TaxService from '../services/taxService.js';
+import ShippingService from '../services/shippingService.js';
+import InvoiceService from '../services/invoiceService.js';
 import {
     validateOrderCreation,
+    validateCheckout,
     validateOrderStatusUpdate,
     handleValidationErrors,
     validateObjectId,
     validateReturnRequest,
-    validateShipmentUpdate
+    validateShipmentCreation,
+    validateShipmentUpdate,
+    validateSerialAssignment,
+    validateItemCancellation
 } from '../middleware/extendedValidation.js';
 import authMiddleware, { adminOnly, logisticsOnly } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 // Email notification service stub
-const sendOrderNotification = async (type, order, userEmail) => {
+const sendOrderNotification = async (type, order, userEmail, shipment = null) => {
     // TODO: Implement actual email service (e.g., using nodemailer)
     console.log(`Sending ${type} notification to ${userEmail} for order ${order.orderNumber}`);
 
@@ -24,11 +41,14 @@ const sendOrderNotification = async (type, order, userEmail) => {
         case 'order_cancelled':
             console.log(`Order ${order.orderNumber} has been cancelled.`);
             break;
+        case 'order_items_cancelled':
+            console.log(`Items were cancelled from order ${order.orderNumber}. New total: ${order.totalAmount}`);
+            break;
         case 'order_reordered':
             console.log(`Order ${order.orderNumber} has been reordered.`);
             break;
         case 'shipment_updated':
-            console.log(`Shipment details updated for order ${order.orderNumber}. AWB: ${order.shipmentDetails?.awbNumber || 'N/A'}, Courier: ${order.shipmentDetails?.courier || 'N/A'}`);
+            console.log(`Shipment ${shipment?._id || ''} updated for order ${order.orderNumber}. Status: ${shipment?.status || 'N/A'}, AWB: ${shipment?.awbNumber || 'N/A'}, Courier: ${shipment?.courier || 'N/A'}`);
             break;
         default:
             console.log(`Notification type ${type} sent for order ${order.orderNumber}`);
@@ -38,20 +58,32 @@ const sendOrderNotification = async (type, order, userEmail) => {
     return true;
 };
 
+// Generate a unique order number
+const generateOrderNumber = () => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `ORD-${timestamp}-${random}`;
+};
+
 const router = express.Router();
 
 // Get User's Order History
 router.get('/', authMiddleware, async (req, res) => {
     try {
-        const { page = 1, limit = 10, status, shipmentStatus } = req.query;
+        const { page = 1, limit = 10, status, fulfilmentStatus, shipmentStatus } = req.query;
         const query = { user: req.user.id };
 
         if (status) {
             query.orderStatus = status;
         }
 
+        if (fulfilmentStatus) {
+            query.fulfilmentStatus = fulfilmentStatus;
+        }
+
+        // Orders with any shipment in this status
         if (shipmentStatus) {
-            query['shipmentDetails.shipmentStatus'] = shipmentStatus;
+            query['shipments.status'] = shipmentStatus;
         }
 
         const orders = await Order.find(query)
@@ -81,15 +113,20 @@ router.get('/', authMiddleware, async (req, res) => {
 // Get All Orders (Admin Only) with Pagination
 router.get('/admin/orders', authMiddleware, adminOnly, async (req, res) => {
     try {
-        const { page = 1, limit = 6, status, shipmentStatus, user } = req.query;
+        const { page = 1, limit = 6, status, fulfilmentStatus, shipmentStatus, user } = req.query;
         const query = {};
 
         if (status) {
             query.orderStatus = status;
         }
 
+        if (fulfilmentStatus) {
+            query.fulfilmentStatus = fulfilmentStatus;
+        }
+
+        // Orders with any shipment in this status
         if (shipmentStatus) {
-            query['shipmentDetails.shipmentStatus'] = shipmentStatus;
+            query['shipments.status'] = shipmentStatus;
         }
 
         if (user) {
@@ -120,24 +157,79 @@ router.get('/admin/orders', authMiddleware, adminOnly, async (req, res) => {
     }
 });
 
-// Place Order
-router.post('/', authMiddleware, validateOrderCreation, handleValidationErrors, async (req, res) => {
+// Place Order; a retry with the same Idempotency-Key gets the first response
+router.post('/', authMiddleware, validateOrderCreation, handleValidationErrors, idempotent('order.create'), async (req, res) => {
     const { items, shippingAddress, paymentMethod } = req.body;
     try {
-        // Generate unique order number
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-        const orderNumber = `ORD-${timestamp}-${random}`;
+        const orderNumber = generateOrderNumber();
+
+        // Take the stock for every line before writing the order
+        const orderId = new mongoose.Types.ObjectId();
+        // Stock held in other shoppers' carts is not available to this order
+        const heldShort = await CartReservationService.findShortLines(items, { user: req.user });
+        if (heldShort.length > 0) {
+            return res.status(409).json({
+                message: 'Insufficient stock for some items',
+                shortItems: heldShort
+            });
+        }
+
+        const warehouse = await InventoryService.resolveWarehouse(shippingAddress.zipCode);
+        const reservation = await InventoryService.reserveOrderStock(items, {
+            warehouse,
+            user: req.user,
+            reference: { kind: 'Order', document: orderId }
+        });
+        if (!reservation.success) {
+            return res.status(409).json({
+                message: 'Insufficient stock for some items',
+                shortItems: reservation.shortItems
+            });
+        }
+
+        // Price every line from the product or variant, never from the client
+        const pricedItems = InventoryService.prepareOrderItems(items.map(item => {
+            const product = reservation.products.get(item.product.toString());
+            return {
+                product: item.product,
+                variant: item.variant || null,
+                sku: item.variant ? product.variants.id(item.variant).sku : product.sku,
+                quantity: item.quantity,
+                price: product.priceFor(item.variant)
+            };
+        }), reservation);
+        const subtotal = pricedItems.reduce((total, item) => total + item.price * item.quantity, 0);
 
         const order = new Order({
+            _id: orderId,
             user: req.user.id,
             orderNumber,
-            items,
+            items: pricedItems,
             shippingAddress,
             paymentMethod,
-            totalAmount: items.reduce((total, item) => total + item.price * item.quantity, 0)
+            subtotal,
+            totalAmount: subtotal,
+            warehouse: warehouse?._id || null,
+            orderStatus: InventoryService.pendingOrderStatus(pricedItems),
+            stockReserved: true
         });
-        await order.save();
+
+        try {
+            await ShippingService.applyToOrder(order, warehouse);
+            await TaxService.applyToOrder(order);
+            await order.save();
+        } catch (saveError) {
+            await InventoryService.releaseOrderStock(order.items, {
+                warehouse,
+                user: req.user,
+                reference: { kind: 'Order', document: order._id },
+                reason: 'Order could not be saved'
+            });
+            throw saveError;
+        }
+
+        // The order holds the stock now, so the buyer's cart holds for it go
+        await CartReservationService.releaseLines(req.user.id, order.items);
 
         // Send order confirmation email
         try {
@@ -152,6 +244,171 @@ router.post('/', authMiddleware, validateOrderCreation, handleValidationErrors,
     }
 });
 
+// Checkout - build the order from the user's cart at current prices
+router.post('/checkout', authMiddleware, validateCheckout, handleValidationErrors, idempotent('order.checkout'), async (req, res) => {
+    const { addressId, paymentMethod, couponCode } = req.body;
+    try {
+        const cart = await Cart.findOne({ user: req.user.id }).populate('items.product');
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ message: 'Cart is empty' });
+        }
+
+        const address = await Address.findOne({ _id: addressId, user: req.user.id });
+        if (!address) {
+            return res.status(404).json({ message: 'Address not found' });
+        }
+
+        // Re-price every line and collect what changed since it was added
+        const changes = [];
+        const items = [];
+        cart.items.forEach(cartItem => {
+            const product = cartItem.product;
+            const variant = product && cartItem.variant ? product.variants.id(cartItem.variant) : null;
+
+            if (!product || !product.isActive || (cartItem.variant && (!variant || !variant.isActive))) {
+                changes.push({
+                    type: 'unavailable',
+                    product: product?._id || null,
+                    variant: cartItem.variant || null,
+                    name: product?.name || null
+                });
+                return;
+            }
+
+            const price = product.priceFor(cartItem.variant);
+            if (cartItem.price !== price) {
+                changes.push({
+                    type: 'price_changed',
+                    product: product._id,
+                    variant: cartItem.variant || null,
+                    name: product.name,
+                    oldPrice: cartItem.price,
+                    newPrice: price
+                });
+            }
+
+            items.push({
+                product: product._id,
+                variant: variant ? variant._id : null,
+                sku: variant ? variant.sku : product.sku,
+                quantity: cartItem.quantity,
+                price
+            });
+        });
+
+        // Backorder and pre-order products can be ordered beyond the stock on
+        // hand; other lines are checked against stock not held in other carts
+        const shortLines = await CartReservationService.findShortLines(items, { user: req.user });
+        shortLines.forEach(line => {
+            const cartItem = cart.items.find(entry => entry.product?._id.equals(line.product));
+            changes.push({
+                type: 'insufficient_stock',
+                product: line.product,
+                variant: line.variant,
+                name: cartItem?.product.name || null,
+                requested: line.requested,
+                available: line.available
+            });
+        });
+
+        const blockingChanges = changes.filter(change => change.type !== 'price_changed');
+        if (blockingChanges.length > 0) {
+            return res.status(409).json({
+                message: 'Some items in your cart are no longer available',
+                changes
+            });
+        }
+
+        const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+
+        let offer = null;
+        let discountAmount = 0;
+        if (couponCode) {
+            try {
+                offer = await Offer.validateCoupon(couponCode, subtotal, req.user.id);
+            } catch (couponError) {
+                return res.status(400).json({ message: couponError.message });
+            }
+            discountAmount = offer.calculateDiscount(subtotal);
+        }
+
+        const orderId = new mongoose.Types.ObjectId();
+        const warehouse = await InventoryService.resolveWarehouse(address.pincode);
+        const reservation = await InventoryService.reserveOrderStock(items, {
+            warehouse,
+            user: req.user,
+            reference: { kind: 'Order', document: orderId }
+        });
+        if (!reservation.success) {
+            return res.status(409).json({
+                message: 'Insufficient stock for some items',
+                shortItems: reservation.shortItems,
+                changes
+            });
+        }
+
+        const orderItems = InventoryService.prepareOrderItems(items, reservation);
+        const order = new Order({
+            _id: orderId,
+            user: req.user.id,
+            orderNumber: generateOrderNumber(),
+            items: orderItems,
+            shippingAddress: {
+                street: address.street,
+                city: address.city,
+                state: address.state,
+                zipCode: address.pincode,
+                country: address.country
+            },
+            paymentMethod,
+            subtotal,
+            discountAmount,
+            couponCode: offer ? offer.code : undefined,
+            totalAmount: subtotal - discountAmount,
+            warehouse: warehouse?._id || null,
+            orderStatus: InventoryService.pendingOrderStatus(orderItems),
+            stockReserved: true
+        });
+
+        try {
+            await ShippingService.applyToOrder(order, warehouse);
+            await TaxService.applyToOrder(order);
+            await order.save();
+        } catch (saveError) {
+            await InventoryService.releaseOrderStock(order.items, {
+                warehouse,
+                user: req.user,
+                reference: { kind: 'Order', document: order._id },
+                reason: 'Order could not be saved'
+            });
+            throw saveError;
+        }
+
+        if (offer) {
+            await offer.applyCoupon(req.user.id, order._id, discountAmount);
+        }
+
+        // Empty the cart now that the order exists; its holds become the order's stock
+        cart.items = [];
+        await cart.save();
+        await CartReservationService.releaseForUser(req.user.id);
+
+        try {
+            await sendOrderNotification('order_created', order, req.user.email);
+        } catch (emailError) {
+            console.error('Failed to send order confirmation email:', emailError);
+        }
+
+        res.status(201).json({
+            message: 'Order placed successfully',
+            order,
+            changes
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get Order by ID
 router.get('/:id', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
     const { id } = req.params;
@@ -176,70 +433,388 @@ router.get('/:id', authMiddleware, validateObjectId(), handleValidationErrors, a
     }
 });
 
-// Update Order Status
+// Update Order and Payment Status, following the allowed transitions
 router.put('/:id/status', authMiddleware, adminOnly, validateObjectId(), validateOrderStatusUpdate, handleValidationErrors, async (req, res) => {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, paymentStatus, note } = req.body;
     try {
-        const order = await Order.findByIdAndUpdate(id, { orderStatus: status.toLowerCase() }, { new: true });
+        const order = await Order.findById(id);
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
+
+        const changes = [];
+        if (status && status !== order.orderStatus) changes.push(['orderStatus', status]);
+        if (paymentStatus && paymentStatus !== order.paymentStatus) changes.push(['paymentStatus', paymentStatus]);
+
+        for (const [field, value] of changes) {
+            const transitionError = order.checkTransition(field, value);
+            if (transitionError) {
+                return res.status(400).json({
+                    message: transitionError,
+                    field,
+                    currentStatus: field === 'orderStatus' ? order.orderStatus : order.paymentStatus,
+                    allowed: Order.STATUS_TRANSITIONS[field][order[field]]
+                });
+            }
+        }
+
+        if (status === 'processing' && order.items.some(item => item.pendingQuantity > 0)) {
+            return res.status(400).json({ message: 'Cannot process an order with items awaiting stock' });
+        }
+        // Orders are shipped through their shipments
+        if (['shipped', 'delivered'].includes(status) && !['shipped', 'delivered'].includes(order.getFulfilmentStatus())) {
+            return res.status(400).json({
+                message: 'Ship every item in a shipment before marking the order shipped or delivered',
+                fulfilmentStatus: order.getFulfilmentStatus()
+            });
+        }
+
+        // Cancellations go through the cancellation service, after any
+        // payment status change, so prepaid orders are refunded
+        changes
+            .filter(([field]) => !(field === 'orderStatus' && status === 'cancelled'))
+            .forEach(([field, value]) => order.setStatus(field, value, note, req.user));
+        if (status === 'delivered') {
+            order.shipments
+                .filter(shipment => shipment.status === 'in transit')
+                .forEach(shipment => ShipmentService.setStatus(order, shipment, 'delivered', note, req.user));
+        }
+
+        let refund = null;
+        if (status === 'cancelled' && order.orderStatus !== 'cancelled') {
+            refund = await OrderCancellationService.cancelOrder(order, {
+                user: req.user,
+                reason: note || 'Order cancelled by admin'
+            });
+            order.increment();
+        }
+
+        await order.save();
+
+        if (refund) {
+            await OrderCancellationService.processRefund(order, refund, { user: req.user });
+            await order.save();
+        }
         res.json(order);
     } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'Order was changed by another request; try again' });
+        }
         res.status(400).json({ error: error.message });
     }
 });
 
-// Add/Update Shipment Details
-router.put('/:id/shipment', authMiddleware, validateObjectId(), validateShipmentUpdate, handleValidationErrors, async (req, res) => {
-    const { id } = req.params;
-    const { awbNumber, courier, shipmentStatus, shipmentDate, expectedDeliveryDate, trackingUrl } = req.body;
+// Get an order's status timeline
+router.get('/:id/timeline', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('user orderNumber orderStatus paymentStatus fulfilmentStatus timeline')
+            .populate('timeline.updatedBy', 'firstName lastName email role');
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
 
+        if (order.user.toString() !== req.user.id && !['admin', 'logistics'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden' });
+        }
+
+        res.json({
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            paymentStatus: order.paymentStatus,
+            fulfilmentStatus: order.fulfilmentStatus,
+            timeline: order.timeline
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download the tax invoice of a delivered order, issuing it on first request
+router.get('/:id/invoice', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
     try {
-        // Check if user is admin or logistics
-        if (req.user.role !== 'admin' && req.user.role !== 'logistics') {
-            return res.status(403).json({ message: 'Forbidden: Only admins or logistics team can update shipment details' });
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
         }
 
-        const order = await Order.findById(id);
+        if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Forbidden' });
+        }
+
+        const invoiceError = InvoiceService.checkInvoice(order);
+        if (invoiceError) {
+            return res.status(400).json({ message: invoiceError });
+        }
+
+        const invoice = await InvoiceService.getInvoice(order, { user: req.user });
+        const pdf = await InvoiceService.renderPdf(invoice);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${InvoiceService.fileName(invoice)}"`
+        });
+        res.send(pdf);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Only admins and the logistics team manage shipments; returns an error message or null
+const checkShipmentAccess = req => (req.user.role !== 'admin' && req.user.role !== 'logistics'
+    ? 'Forbidden: Only admins or logistics team can manage shipments'
+    : null);
+
+// Get an order's shipments
+router.get('/:id/shipments', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('user orderNumber orderStatus fulfilmentStatus shipments')
+            .populate('shipments.warehouse', 'name code');
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        // Validate that order is eligible for shipping (not cancelled or returned)
+        if (order.user.toString() !== req.user.id && !['admin', 'logistics'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden' });
+        }
+
+        res.json({
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            fulfilmentStatus: order.fulfilmentStatus,
+            shipments: order.shipments
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a shipment with some or all of the units not yet in a shipment
+router.post('/:id/shipments', authMiddleware, validateObjectId(), validateShipmentCreation, handleValidationErrors, async (req, res) => {
+    const { items, warehouse, awbNumber, courier, shipmentDate, expectedDeliveryDate, trackingUrl } = req.body;
+    try {
+        const accessError = checkShipmentAccess(req);
+        if (accessError) {
+            return res.status(403).json({ message: accessError });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        // Orders are packed once they are being processed
+        if (order.orderStatus !== 'processing') {
+            return res.status(400).json({
+                message: 'Shipments can only be created for processing orders',
+                currentStatus: order.orderStatus
+            });
+        }
+
+        const itemsError = ShipmentService.checkItems(order, items);
+        if (itemsError) {
+            return res.status(400).json({ message: itemsError });
+        }
+
+        order.shipments.push({
+            items: ShipmentService.buildItems(order, items),
+            warehouse: warehouse || null,
+            awbNumber,
+            courier,
+            shipmentDate: shipmentDate ? new Date(shipmentDate) : undefined,
+            expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined,
+            trackingUrl,
+            createdBy: req.user.id
+        });
+        await order.save();
+
+        res.status(201).json({
+            message: 'Shipment created successfully',
+            shipment: order.shipments[order.shipments.length - 1],
+            fulfilmentStatus: order.fulfilmentStatus
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update a shipment's details, its items while it is still being packed, and its status
+router.put('/:id/shipments/:shipmentId', authMiddleware, validateObjectId(), validateObjectId('shipmentId'), validateShipmentUpdate, handleValidationErrors, async (req, res) => {
+    const { items, warehouse, awbNumber, courier, status, shipmentDate, expectedDeliveryDate, trackingUrl, note } = req.body;
+    try {
+        const accessError = checkShipmentAccess(req);
+        if (accessError) {
+            return res.status(403).json({ message: accessError });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const shipment = order.shipments.id(req.params.shipmentId);
+        if (!shipment) {
+            return res.status(404).json({ message: 'Shipment not found' });
+        }
+
         if (['cancelled', 'returned'].includes(order.orderStatus)) {
-            return res.status(400).json({ message: 'Cannot update shipment for cancelled or returned orders' });
+            return res.status(400).json({ message: 'Cannot update shipments of cancelled or returned orders' });
+        }
+
+        if (items !== undefined) {
+            if (shipment.status !== 'pending') {
+                return res.status(400).json({ message: 'Items can only be changed before the shipment leaves' });
+            }
+            const itemsError = ShipmentService.checkItems(order, items, shipment);
+            if (itemsError) {
+                return res.status(400).json({ message: itemsError });
+            }
+        }
+
+        const statusChanged = status !== undefined && status !== shipment.status;
+        if (statusChanged) {
+            const transitionError = order.checkTransition('shipmentStatus', status, shipment);
+            if (transitionError) {
+                return res.status(400).json({
+                    message: transitionError,
+                    currentStatus: shipment.status,
+                    allowed: Order.STATUS_TRANSITIONS.shipmentStatus[shipment.status]
+                });
+            }
+            if (status === 'in transit' && order.orderStatus !== 'processing') {
+                return res.status(400).json({
+                    message: 'Only processing orders can be shipped',
+                    currentStatus: order.orderStatus
+                });
+            }
         }
 
         // Update shipment details
-        const shipmentUpdate = {};
-        if (awbNumber !== undefined) shipmentUpdate['shipmentDetails.awbNumber'] = awbNumber;
-        if (courier !== undefined) shipmentUpdate['shipmentDetails.courier'] = courier;
-        if (shipmentStatus !== undefined) shipmentUpdate['shipmentDetails.shipmentStatus'] = shipmentStatus;
-        if (shipmentDate !== undefined) shipmentUpdate['shipmentDetails.shipmentDate'] = new Date(shipmentDate);
-        if (expectedDeliveryDate !== undefined) shipmentUpdate['shipmentDetails.expectedDeliveryDate'] = new Date(expectedDeliveryDate);
-        if (trackingUrl !== undefined) shipmentUpdate['shipmentDetails.trackingUrl'] = trackingUrl;
-
-        const updatedOrder = await Order.findByIdAndUpdate(id, shipmentUpdate, { new: true })
-            .populate('user', 'name email');
+        if (items !== undefined) shipment.items = ShipmentService.buildItems(order, items);
+        if (warehouse !== undefined) shipment.warehouse = warehouse || null;
+        if (awbNumber !== undefined) shipment.awbNumber = awbNumber;
+        if (courier !== undefined) shipment.courier = courier;
+        if (shipmentDate !== undefined) shipment.shipmentDate = new Date(shipmentDate);
+        if (expectedDeliveryDate !== undefined) shipment.expectedDeliveryDate = new Date(expectedDeliveryDate);
+        if (trackingUrl !== undefined) shipment.trackingUrl = trackingUrl;
+
+        // Serial-tracked units leave with their serial numbers recorded
+        if (statusChanged && status === 'in transit') {
+            const unserialized = await ShipmentService.findUnserializedItems(order, shipment);
+            if (unserialized.length > 0) {
+                return res.status(400).json({
+                    message: 'Assign serial numbers to every serial-tracked item before shipping',
+                    items: unserialized.map(item => ({ itemId: item._id, product: item.product, variant: item.variant, quantity: item.quantity }))
+                });
+            }
+        }
+
+        // The order follows its shipments out of the warehouse and to the door
+        if (statusChanged) {
+            ShipmentService.setStatus(order, shipment, status, note, req.user);
+        }
+
+        await order.save();
+        const updatedOrder = await order.populate('user', 'name email');
 
         // Send email notification for shipment update
         try {
-            await sendOrderNotification('shipment_updated', updatedOrder, updatedOrder.user.email);
+            await sendOrderNotification('shipment_updated', updatedOrder, updatedOrder.user.email, shipment);
         } catch (emailError) {
             console.error('Failed to send shipment update email:', emailError);
         }
 
         res.json({
-            message: 'Shipment details updated successfully',
-            order: updatedOrder
+            message: 'Shipment updated successfully',
+            shipment,
+            fulfilmentStatus: order.fulfilmentStatus,
+            orderStatus: order.orderStatus
         });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+// Delete a shipment that has not left yet, putting its units back to be packed
+router.delete('/:id/shipments/:shipmentId', authMiddleware, validateObjectId(), validateObjectId('shipmentId'), handleValidationErrors, async (req, res) => {
+    try {
+        const accessError = checkShipmentAccess(req);
+        if (accessError) {
+            return res.status(403).json({ message: accessError });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const shipment = order.shipments.id(req.params.shipmentId);
+        if (!shipment) {
+            return res.status(404).json({ message: 'Shipment not found' });
+        }
+        if (shipment.status !== 'pending') {
+            return res.status(400).json({ message: 'Only shipments that have not left can be deleted' });
+        }
+
+        order.shipments.pull(shipment._id);
+        await order.save();
+
+        res.json({
+            message: 'Shipment deleted successfully',
+            fulfilmentStatus: order.fulfilmentStatus
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Assign serial numbers to an order line at fulfilment, replacing any assigned before
+router.put('/:id/items/:itemId/serials', authMiddleware, validateObjectId(), validateObjectId('itemId'), validateSerialAssignment, handleValidationErrors, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user.role !== 'logistics') {
+            return res.status(403).json({ message: 'Forbidden: Only admins or logistics team can assign serial numbers' });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const item = order.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Order item not found' });
+        }
+
+        // Assigning replaces the line's serials, so none of its units may have left
+        if (!['pending', 'processing'].includes(order.orderStatus) || order.shippedQuantity(item._id, ['in transit', 'delivered']) > 0) {
+            return res.status(400).json({ message: 'Serial numbers can only be assigned before the item ships' });
+        }
+        if (item.pendingQuantity > 0) {
+            return res.status(400).json({ message: 'Item is still awaiting stock' });
+        }
+
+        const product = await Product.findById(item.product).select('trackSerials');
+        if (!product?.trackSerials) {
+            return res.status(400).json({ message: 'Product is not serial-tracked' });
+        }
+
+        const serialError = await SerialService.assignToOrderItem(order, item, SerialService.normalize(req.body.serialNumbers));
+        if (serialError) {
+            return res.status(400).json({ message: serialError });
+        }
+        await order.save();
+
+        res.json({
+            message: 'Serial numbers assigned successfully',
+            item
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Cancel Order
 router.patch('/:id/cancel', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
     const { id } = req.params;
@@ -255,17 +830,27 @@ router.patch('/:id/cancel', authMiddleware, validateObjectId(), handleValidation
         }
 
         // Check if order can be cancelled (e.g., not shipped)
-        if (['shipped', 'delivered', 'cancelled'].includes(order.orderStatus)) {
+        if (order.checkTransition('orderStatus', 'cancelled')) {
             return res.status(400).json({
                 message: 'Order cannot be cancelled',
                 currentStatus: order.orderStatus
             });
         }
 
-        order.orderStatus = 'cancelled';
-        order.cancelledAt = new Date();
+        // Prepaid orders get back what is left to pay for, once the
+        // cancellation is saved; a concurrent change of the order fails it
+        const refund = await OrderCancellationService.cancelOrder(order, {
+            user: req.user,
+            reason: 'Order cancelled by customer'
+        });
+        order.increment();
         await order.save();
 
+        if (refund) {
+            await OrderCancellationService.processRefund(order, refund, { user: req.user });
+            await order.save();
+        }
+
         // Send order cancellation email
         try {
             await sendOrderNotification('order_cancelled', order, req.user.email);
@@ -280,16 +865,112 @@ router.patch('/:id/cancel', authMiddleware, validateObjectId(), handleValidation
                 orderNumber: order.orderNumber,
                 orderStatus: order.orderStatus,
                 cancelledAt: order.cancelledAt,
-                totalAmount: order.totalAmount
-            }
+                totalAmount: order.totalAmount,
+                paymentStatus: order.paymentStatus
+            },
+            refund
+        });
+    } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'Order was changed by another request; try again' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cancel some items of an order before it ships
+router.patch('/:id/items/cancel', authMiddleware, validateObjectId(), validateItemCancellation, handleValidationErrors, async (req, res) => {
+    const { items, reason } = req.body;
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        // Check if user owns the order
+        if (order.user.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Forbidden' });
+        }
+
+        const cancelError = OrderCancellationService.checkItems(order, items);
+        if (cancelError) {
+            return res.status(400).json({
+                message: cancelError,
+                currentStatus: order.orderStatus
+            });
+        }
+
+        const { cancelled, refund } = await OrderCancellationService.cancelItems(order, items, {
+            user: req.user,
+            reason: reason || 'Cancelled by customer'
+        });
+        order.increment();
+        await order.save();
+
+        if (refund) {
+            await OrderCancellationService.processRefund(order, refund, { user: req.user });
+            await order.save();
+        }
+
+        try {
+            await sendOrderNotification(order.orderStatus === 'cancelled' ? 'order_cancelled' : 'order_items_cancelled', order, req.user.email);
+        } catch (emailError) {
+            console.error('Failed to send item cancellation email:', emailError);
+        }
+
+        res.json({
+            message: order.orderStatus === 'cancelled' ? 'Order cancelled successfully' : 'Items cancelled successfully',
+            cancelled,
+            refund,
+            order
+        });
+    } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'Order was changed by another request; try again' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Retry a failed cancellation refund (admin only)
+router.post('/:id/refunds/:refundId/retry', authMiddleware, adminOnly, validateObjectId(), validateObjectId('refundId'), handleValidationErrors, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const refund = order.refunds.id(req.params.refundId);
+        if (!refund) {
+            return res.status(404).json({ message: 'Refund not found' });
+        }
+        if (refund.status !== 'failed') {
+            return res.status(400).json({ message: `Only failed refunds can be retried; this one is ${refund.status}` });
+        }
+
+        // Claim the retry so two admins cannot both pay it out
+        refund.status = 'pending';
+        order.increment();
+        await order.save();
+
+        await OrderCancellationService.processRefund(order, refund, { user: req.user });
+        await order.save();
+
+        res.json({
+            message: refund.status === 'processed' ? 'Refund processed successfully' : 'Refund failed again',
+            refund,
+            paymentStatus: order.paymentStatus
         });
     } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'Order was changed by another request; try again' });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// Reorder
-router.post('/:id/reorder', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
+// Reorder - the same items at current prices
+router.post('/:id/reorder', authMiddleware, validateObjectId(), handleValidationErrors, idempotent('order.reorder'), async (req, res) => {
     const { id } = req.params;
     try {
         const originalOrder = await Order.findById(id);
@@ -302,22 +983,110 @@ router.post('/:id/reorder', authMiddleware, validateObjectId(), handleValidation
             return res.status(403).json({ message: 'Forbidden' });
         }
 
-        // Generate new order number
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-        const orderNumber = `ORD-${timestamp}-${random}`;
+        const orderNumber = generateOrderNumber();
+
+        // Re-price every line at today's price and collect what changed since the original order
+        const products = await Product.find({ _id: { $in: originalOrder.items.map(item => item.product) } });
+        const changes = [];
+        const items = [];
+        originalOrder.items.forEach(orderItem => {
+            const product = products.find(candidate => candidate._id.equals(orderItem.product));
+            const variant = product && orderItem.variant ? product.variants.id(orderItem.variant) : null;
+
+            if (!product || !product.isActive || (orderItem.variant && (!variant || !variant.isActive))) {
+                changes.push({
+                    type: 'unavailable',
+                    product: orderItem.product,
+                    variant: orderItem.variant || null,
+                    name: product?.name || null
+                });
+                return;
+            }
+
+            const price = product.priceFor(orderItem.variant);
+            if (orderItem.price !== price) {
+                changes.push({
+                    type: 'price_changed',
+                    product: product._id,
+                    variant: orderItem.variant || null,
+                    name: product.name,
+                    oldPrice: orderItem.price,
+                    newPrice: price
+                });
+            }
+
+            items.push({
+                product: product._id,
+                variant: variant ? variant._id : null,
+                sku: variant ? variant.sku : product.sku,
+                quantity: orderItem.quantity,
+                price
+            });
+        });
+
+        if (changes.some(change => change.type === 'unavailable')) {
+            return res.status(409).json({
+                message: 'Some items from this order are no longer available',
+                changes
+            });
+        }
+
+        const orderId = new mongoose.Types.ObjectId();
+        const heldShort = await CartReservationService.findShortLines(items, { user: req.user });
+        if (heldShort.length > 0) {
+            return res.status(409).json({
+                message: 'Insufficient stock for some items',
+                shortItems: heldShort,
+                changes
+            });
+        }
+
+        const warehouse = await InventoryService.resolveWarehouse(originalOrder.shippingAddress.zipCode);
+        const reservation = await InventoryService.reserveOrderStock(items, {
+            warehouse,
+            user: req.user,
+            reference: { kind: 'Order', document: orderId }
+        });
+        if (!reservation.success) {
+            return res.status(409).json({
+                message: 'Insufficient stock for some items',
+                shortItems: reservation.shortItems,
+                changes
+            });
+        }
 
         // Create new order with same details
+        const orderItems = InventoryService.prepareOrderItems(items, reservation);
+        const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
         const newOrder = new Order({
+            _id: orderId,
             user: req.user.id,
             orderNumber,
-            items: originalOrder.items,
+            items: orderItems,
             shippingAddress: originalOrder.shippingAddress,
             paymentMethod: originalOrder.paymentMethod,
-            totalAmount: originalOrder.totalAmount
+            subtotal,
+            totalAmount: subtotal,
+            warehouse: warehouse?._id || null,
+            orderStatus: InventoryService.pendingOrderStatus(orderItems),
+            stockReserved: true
         });
 
-        await newOrder.save();
+        try {
+            await ShippingService.applyToOrder(newOrder, warehouse);
+            await TaxService.applyToOrder(newOrder);
+            await newOrder.save();
+        } catch (saveError) {
+            await InventoryService.releaseOrderStock(newOrder.items, {
+                warehouse,
+                user: req.user,
+                reference: { kind: 'Order', document: orderId },
+                reason: 'Order could not be saved'
+            });
+            throw saveError;
+        }
+
+        await CartReservationService.releaseLines(req.user.id, newOrder.items);
 
         // Send reorder confirmation email
         try {
@@ -328,7 +1097,8 @@ router.post('/:id/reorder', authMiddleware, validateObjectId(), handleValidation
 
         res.status(201).json({
             message: 'Order reordered successfully',
-            order: newOrder
+            order: newOrder,
+            changes
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -348,8 +1118,15 @@ router.post('/:id/return', authMiddleware, validateObjectId(), validateReturnReq
         if (order.user._id.toString() !== req.user.id) {
             return res.status(403).json({ message: 'Forbidden' });
         }
+        if (order.checkTransition('orderStatus', 'returned')) {
+            return res.status(400).json({
+                message: 'Only shipped or delivered orders can be returned',
+                currentStatus: order.orderStatus
+            });
+        }
+
         // Logic for processing return
-        order.orderStatus = 'returned';
+        order.setStatus('orderStatus', 'returned', reason, req.user);
         // You might want to add more logic here, like creating a ReturnRequest document
         await order.save();
         res.json({ message: 'Return processed successfully' });
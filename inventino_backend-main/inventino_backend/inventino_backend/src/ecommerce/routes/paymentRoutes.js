@@ -1,21 +1,49 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import PaymentController from '../controllers/paymentController.js';
+import Order from '../models/Order.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { handleValidationErrors } from '../middleware/extendedValidation.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
-// Initiate Payment
+// A payment can only be attached to an order by the signed-in owner of the
+// order; payments without an order stay open to guests
+const requireOrderOwner = (req, res, next) => {
+  if (!req.body.order) {
+    return next();
+  }
+
+  authMiddleware(req, res, async () => {
+    try {
+      const order = await Order.findById(req.body.order).select('user');
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      if (order.user.toString() !== req.user.id) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
+
+// Initiate Payment. Requests that fail validation do not use up an
+// idempotency key; keys of payments for an order are scoped to its owner.
 router.post(
   '/initiate',
   body('amount').isFloat({ gt: 0 }),
   body('currency').isString().isLength({ min: 3, max: 3 }),
   body('customerInfo').isObject(),
   body('paymentMethod').isString(),
+  body('order').optional().isMongoId(),
+  handleValidationErrors,
+  requireOrderOwner,
+  idempotent('payment.initiate'),
   async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
     try {
       const payment = await PaymentController.initiatePayment(req.body);
       res.json(payment);
@@ -50,15 +50,16 @@ export const pollOrders = async (req, res) => {
       user: userId,
       $or: [
         { updatedAt: { $gt: lastCheckedDate } },
-        { 'shipmentDetails.shipmentDate': { $gt: lastCheckedDate } },
-        { 'shipmentDetails.expectedDeliveryDate': { $gt: lastCheckedDate } }
+        { 'shipments.shipmentDate': { $gt: lastCheckedDate } },
+        { 'shipments.expectedDeliveryDate': { $gt: lastCheckedDate } }
       ]
     })
     .select({
       orderNumber: 1,
       orderStatus: 1,
       paymentStatus: 1,
-      shipmentDetails: 1,
+      fulfilmentStatus: 1,
+      shipments: 1,
       totalAmount: 1,
       updatedAt: 1,
       createdAt: 1
@@ -72,13 +73,15 @@ export const pollOrders = async (req, res) => {
       orderNumber: order.orderNumber,
       orderStatus: order.orderStatus,
       paymentStatus: order.paymentStatus,
-      shipmentDetails: {
-        shipmentStatus: order.shipmentDetails?.shipmentStatus,
-        awbNumber: order.shipmentDetails?.awbNumber,
-        courier: order.shipmentDetails?.courier,
-        expectedDeliveryDate: order.shipmentDetails?.expectedDeliveryDate,
-        trackingUrl: order.shipmentDetails?.trackingUrl
-      },
+      fulfilmentStatus: order.fulfilmentStatus,
+      shipments: order.shipments.map(shipment => ({
+        id: shipment._id,
+        status: shipment.status,
+        awbNumber: shipment.awbNumber,
+        courier: shipment.courier,
+        expectedDeliveryDate: shipment.expectedDeliveryDate,
+        trackingUrl: shipment.trackingUrl
+      })),
       totalAmount: order.totalAmount,
       updatedAt: order.updatedAt
     }));
@@ -256,7 +259,8 @@ export const getOrderStatus = async (req, res) => {
     const order = await Order.findById(orderId).select({
       user: 1,
       orderStatus: 1,
-      shipmentDetails: 1,
+      fulfilmentStatus: 1,
+      shipments: 1,
       totalAmount: 1,
       updatedAt: 1
     });
@@ -282,11 +286,13 @@ export const getOrderStatus = async (req, res) => {
       data: {
         orderId: order._id,
         orderStatus: order.orderStatus,
-        shipmentDetails: {
-          shipmentStatus: order.shipmentDetails?.shipmentStatus,
-          expectedDeliveryDate: order.shipmentDetails?.expectedDeliveryDate,
-          trackingUrl: order.shipmentDetails?.trackingUrl
-        },
+        fulfilmentStatus: order.fulfilmentStatus,
+        shipments: order.shipments.map(shipment => ({
+          id: shipment._id,
+          status: shipment.status,
+          expectedDeliveryDate: shipment.expectedDeliveryDate,
+          trackingUrl: shipment.trackingUrl
+        })),
         totalAmount: order.totalAmount,
         updatedAt: order.updatedAt,
         timestamp: new Date().toISOString()
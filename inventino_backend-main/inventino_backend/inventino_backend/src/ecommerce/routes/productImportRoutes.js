@@ -0,0 +1,135 @@
+import express from 'express';
+import multer from 'multer';
+import ProductImportService from '../services/productImportService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateProductImport,
+  validateProductExport,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: 1, fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, /\.(csv|xlsx)$/i.test(file.originalname))
+});
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+/**
+ * @route POST /api/admin/products/import
+ * @desc Create or update products from a CSV or XLSX file, matched by SKU.
+ * Without commit the file is only checked and nothing is written.
+ * @access Private (admin only)
+ * @param {file} file - .csv or .xlsx file with a header row
+ * @param {boolean} commit - Apply the import (default: false)
+ * @param {boolean} skipInvalid - Import the valid rows when some rows have errors
+ * @returns {object} Per-row results and a summary
+ */
+router.post('/import', upload.single('file'), validateProductImport, handleValidationErrors, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A .csv or .xlsx file is required'
+      });
+    }
+
+    let rows;
+    try {
+      rows = await ProductImportService.parseFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const preview = await ProductImportService.preview(rows);
+    const report = preview.rows.map(({ rowNumber, sku, action, errors }) => ({ rowNumber, sku, action, errors }));
+
+    if (req.body.commit !== 'true' && req.body.commit !== true) {
+      return res.json({
+        success: true,
+        message: 'Import checked, nothing was saved',
+        data: { committed: false, summary: preview.summary, rows: report }
+      });
+    }
+
+    const skipInvalid = req.body.skipInvalid === 'true' || req.body.skipInvalid === true;
+    if (preview.summary.invalidRows > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rows have errors; fix them or import with skipInvalid',
+        data: { committed: false, summary: preview.summary, rows: report }
+      });
+    }
+
+    const results = await ProductImportService.importRows(preview, { user: req.user });
+    const failed = results.filter(result => result.error);
+
+    res.json({
+      success: true,
+      message: failed.length > 0 ? `Import finished with ${failed.length} failed rows` : 'Import finished',
+      data: {
+        committed: true,
+        summary: {
+          ...preview.summary,
+          created: results.filter(result => !result.error && result.action === 'create').length,
+          updated: results.filter(result => !result.error && result.action === 'update').length,
+          failed: failed.length,
+          skipped: preview.summary.invalidRows
+        },
+        rows: report.map(row => ({
+          ...row,
+          ...(results.find(result => result.rowNumber === row.rowNumber) || { action: 'skipped' })
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import products',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/products/export
+ * @desc Download products in the import format
+ * @access Private (admin only)
+ * @query {string} format - csv or xlsx (default: csv)
+ * @query {string} category - Filter by category ID
+ * @returns {file} CSV or XLSX file
+ */
+router.get('/export', validateProductExport, handleValidationErrors, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const file = await ProductImportService.exportProducts({
+      format,
+      category: req.query.category,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv',
+      'Content-Disposition': `attachment; filename="products.${format}"`
+    });
+    res.send(Buffer.from(file));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export products',
+      error: error.message
+    });
+  }
+});
+
+export default router;
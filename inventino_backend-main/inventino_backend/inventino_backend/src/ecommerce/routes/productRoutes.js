@@ -3,12 +3,21 @@ import multer from 'multer';
 import slugify from 'slugify';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import ProductType from '../models/ProductType.js';
+import InventoryService from '../services/inventoryService.js';
+import CostingService from '../services/costingService.js';
+import CartReservationService from '../services/cartReservationService.js';
+import ProductAlertService from '../services/productAlertService.js';
+import StockLevel from '../models/StockLevel.js';
+import { normalizeGtin, renderBarcodeSvg, renderBarcodePng } from '../utils/barcode.js';
 import {
     validateProductCreation,
     validateProductUpdate,
     validateProductQuery,
     handleValidationErrors,
     validateObjectId,
+    validateVariantCreation,
+    validateVariantUpdate,
 } from '../middleware/extendedValidation.js';
 import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
 
@@ -16,6 +25,53 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { files: 10 } }
 
 const router = express.Router();
 
+// Check a barcode is not used elsewhere in the catalogue; `holder` is the
+// product or variant it is being set on (null for a new one). Returns an error message or null
+const checkBarcode = async (product, barcode, holder = null) => {
+    if (!barcode) return null;
+    const gtin = normalizeGtin(barcode);
+    const others = product ? [product, ...product.variants].filter(candidate => candidate !== holder) : [];
+    if (others.some(candidate => candidate.gtin === gtin)) {
+        return 'Barcode is already used on this product';
+    }
+    const taken = await Product.barcodeInUse(gtin, product?._id);
+    return taken ? 'Barcode is already used by another product' : null;
+};
+
+// Look up a scanned barcode (admin and logistics)
+router.get('/scan/:code', authMiddleware, async (req, res) => {
+    try {
+        if (!['admin', 'logistics'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden: Only admins or logistics team can scan products' });
+        }
+
+        if (!normalizeGtin(req.params.code)) {
+            return res.status(400).json({ message: 'Not a valid EAN-8, UPC-A, EAN-13 or GTIN-14 barcode' });
+        }
+
+        const match = await Product.findByBarcode(req.params.code);
+        if (!match) {
+            return res.status(404).json({ message: 'No product with this barcode' });
+        }
+
+        const { product, variant } = match;
+        const warehouses = await StockLevel.find({ product: product._id })
+            .populate('warehouse', 'name code')
+            .select('warehouse quantity');
+
+        res.json({
+            product,
+            variant: variant || null,
+            sku: variant ? variant.sku : product.sku,
+            price: product.priceFor(variant?._id),
+            stock: variant ? variant.stock : product.stock,
+            warehouses
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
 // Get all products with pagination and filtering
 router.get('/', validateProductQuery, handleValidationErrors, async (req, res) => {
     try {
@@ -62,7 +118,8 @@ router.get('/', validateProductQuery, handleValidationErrors, async (req, res) =
         const total = await Product.countDocuments(filter);
 
         res.json({
-            products,
+            // Stock held in other shoppers' carts is not available
+            products: await CartReservationService.applyToProducts(products),
             totalPages: Math.ceil(total / limit),
             currentPage: parseInt(page),
             total
@@ -84,19 +141,25 @@ router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res)
             return res.status(404).json({ message: 'Product not found' });
         }
 
-        res.json(product);
+        const [data] = await CartReservationService.applyToProducts([product]);
+        res.json(data);
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 });
 
 // Create product (admin only)
-router.post('/', adminOnly, upload.array('images'), validateProductCreation, handleValidationErrors, async (req, res) => {
+router.post('/', authMiddleware, adminOnly, upload.array('images'), validateProductCreation, handleValidationErrors, async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ message: 'At least one image is required' });
         }
 
+        const barcodeError = await checkBarcode(null, req.body.barcode);
+        if (barcodeError) {
+            return res.status(400).json({ message: barcodeError });
+        }
+
         const images = req.files.map(file => ({
             data: file.buffer,
             contentType: file.mimetype
@@ -116,6 +179,22 @@ router.post('/', adminOnly, upload.array('images'), validateProductCreation, han
         const product = new Product(productData);
 
         await product.save();
+
+        // Opening stock is the first entry in the product's ledger
+        if (product.stock > 0) {
+            const cost = product.variants.length === 0
+                ? await CostingService.recordCost(product, null, product.stock, req.body.unitCost)
+                : null;
+            await InventoryService.recordMovement({
+                product: product._id,
+                type: 'receipt',
+                quantity: product.stock,
+                balanceAfter: product.stock,
+                cost,
+                reason: 'Opening stock',
+                user: req.user
+            });
+        }
         await product.populate('category', 'name slug');
         await product.populate('productType', 'name slug');
 
@@ -126,7 +205,7 @@ router.post('/', adminOnly, upload.array('images'), validateProductCreation, han
 });
 
 // Update product (admin only)
-router.put('/:id', adminOnly, upload.array('images'), validateObjectId(), validateProductUpdate, handleValidationErrors, async (req, res) => {
+router.put('/:id', authMiddleware, adminOnly, upload.array('images'), validateObjectId(), validateProductUpdate, handleValidationErrors, async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
 
@@ -139,7 +218,46 @@ router.put('/:id', adminOnly, upload.array('images'), validateObjectId(), valida
             return res.status(403).json({ message: 'Forbidden' });
         }
 
-        const updateData = { ...req.body, updatedAt: Date.now() };
+        // Stock of warehouse-tracked products is the total of its stock levels
+        if (req.body.stock !== undefined && await InventoryService.isWarehouseTracked(product._id)) {
+            return res.status(400).json({
+                message: 'Stock for this product is managed per warehouse. Use /api/admin/warehouses/:id/stock/:productId instead.'
+            });
+        }
+
+        // Stock of a product with variants is the total of its variants
+        if (req.body.stock !== undefined && product.hasVariants()) {
+            return res.status(400).json({
+                message: 'Stock for this product is managed per variant. Use /api/products/:id/variants/:variantId instead.'
+            });
+        }
+
+        // Average cost only changes as stock moves through the ledger
+        const { stock, stockAdjustmentReason, variants, averageCost, gtin, backorder, preorder, ...fields } = req.body;
+        const updateData = { ...fields, updatedAt: Date.now() };
+
+        // The update skips the model hooks, so keep the GTIN in step here
+        if (fields.barcode !== undefined) {
+            const barcodeError = await checkBarcode(product, fields.barcode, product);
+            if (barcodeError) {
+                return res.status(400).json({ message: barcodeError });
+            }
+            if (fields.barcode) {
+                updateData.gtin = normalizeGtin(fields.barcode);
+            } else {
+                delete updateData.barcode;
+                updateData.$unset = { barcode: 1, gtin: 1 };
+            }
+        }
+
+        // Set backorder and pre-order settings field by field so the pending
+        // quantity counters are never overwritten
+        Object.entries({ backorder, preorder }).forEach(([group, settings]) => {
+            if (!settings || typeof settings !== 'object') return;
+            Object.entries(settings)
+                .filter(([key]) => key !== 'quantity')
+                .forEach(([key, value]) => { updateData[`${group}.${key}`] = value; });
+        });
 
         if (req.files && req.files.length > 0) {
             updateData.images = req.files.map(file => ({
@@ -151,9 +269,34 @@ router.put('/:id', adminOnly, upload.array('images'), validateObjectId(), valida
         const updatedProduct = await Product.findByIdAndUpdate(
             req.params.id,
             updateData,
-            { new: true }
+            { new: true, runValidators: true }
         ).populate('category', 'name slug').populate('productType', 'name slug');
 
+        if (fields.price !== undefined) {
+            ProductAlertService.checkPriceDrop(updatedProduct)
+                .catch(error => console.error('Failed to check price drop alerts:', error));
+        }
+
+        // Stock edits go through the ledger as adjustments, once the other
+        // fields have been validated and saved
+        if (stock !== undefined) {
+            const delta = parseInt(stock, 10) - updatedProduct.stock;
+            if (delta !== 0) {
+                try {
+                    const result = await InventoryService.adjustStock(product._id, delta, {
+                        user: req.user,
+                        reason: stockAdjustmentReason || 'Stock edited on product'
+                    });
+                    updatedProduct.stock = result.product.stock;
+                } catch (adjustError) {
+                    return res.status(400).json({
+                        message: `${adjustError.message}; the other changes were saved`,
+                        product: updatedProduct
+                    });
+                }
+            }
+        }
+
         res.json(updatedProduct);
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -161,7 +304,7 @@ router.put('/:id', adminOnly, upload.array('images'), validateObjectId(), valida
 });
 
 // Delete product (admin only)
-router.delete('/:id', adminOnly, validateObjectId(), handleValidationErrors, async (req, res) => {
+router.delete('/:id', authMiddleware, adminOnly, validateObjectId(), handleValidationErrors, async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
 
@@ -205,7 +348,7 @@ router.get('/:id/image/:index', validateObjectId(), async (req, res) => {
 });
 
 // Add images to existing product (admin only)
-router.post('/:id/images', adminOnly, upload.array('images'), validateObjectId(), async (req, res) => {
+router.post('/:id/images', authMiddleware, adminOnly, upload.array('images'), validateObjectId(), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
 
@@ -232,7 +375,7 @@ router.post('/:id/images', adminOnly, upload.array('images'), validateObjectId()
 });
 
 // Update product image by index (admin only)
-router.put('/:id/image/:index', adminOnly, upload.single('image'), validateObjectId(), async (req, res) => {
+router.put('/:id/image/:index', authMiddleware, adminOnly, upload.single('image'), validateObjectId(), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
 
@@ -263,7 +406,7 @@ router.put('/:id/image/:index', adminOnly, upload.single('image'), validateObjec
 });
 
 // Delete product image by index (admin only)
-router.delete('/:id/image/:index', adminOnly, validateObjectId(), async (req, res) => {
+router.delete('/:id/image/:index', authMiddleware, adminOnly, validateObjectId(), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
 
@@ -285,6 +428,246 @@ router.delete('/:id/image/:index', adminOnly, validateObjectId(), async (req, re
     }
 });
 
+// Add a variant to a product (admin only)
+router.post('/:id/variants', authMiddleware, adminOnly, upload.array('images'), validateObjectId(), validateVariantCreation, handleValidationErrors, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const productType = await ProductType.findById(product.productType);
+        if (!productType) {
+            return res.status(400).json({ message: 'Product type not found' });
+        }
+
+        const { attributes } = req.body;
+        const attributeError = productType.checkVariantAttributes(attributes);
+        if (attributeError) {
+            return res.status(400).json({ message: attributeError });
+        }
+
+        const duplicate = product.variants.find(variant =>
+            Object.entries(attributes).every(([name, value]) => variant.attributes.get(name) === value)
+        );
+        if (duplicate) {
+            return res.status(400).json({ message: `Variant with these attributes already exists (SKU ${duplicate.sku})` });
+        }
+
+        // Stock held outside variants would no longer add up once variants exist
+        if (product.variants.length === 0 && product.stock > 0) {
+            return res.status(400).json({
+                message: 'Product has stock that is not assigned to a variant. Adjust it to zero before adding variants.'
+            });
+        }
+
+        const barcodeError = await checkBarcode(product, req.body.barcode);
+        if (barcodeError) {
+            return res.status(400).json({ message: barcodeError });
+        }
+
+        product.variants.push({
+            sku: req.body.sku,
+            barcode: req.body.barcode || undefined,
+            attributes,
+            price: req.body.price ?? null,
+            images: (req.files || []).map(file => ({
+                data: file.buffer,
+                contentType: file.mimetype
+            }))
+        });
+        const variant = product.variants[product.variants.length - 1];
+        await product.save();
+
+        // Opening stock goes through the ledger like any other receipt
+        const openingStock = parseInt(req.body.stock || 0, 10);
+        if (openingStock > 0) {
+            await InventoryService.receiveStock(product._id, openingStock, {
+                variant: variant._id,
+                unitCost: req.body.unitCost,
+                user: req.user,
+                reason: 'Opening stock'
+            });
+        }
+
+        const updatedProduct = await Product.findById(product._id);
+        res.status(201).json({
+            message: 'Variant added successfully',
+            variant: updatedProduct.variants.id(variant._id),
+            stock: updatedProduct.stock
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Variant SKU already exists' });
+        }
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Update a product variant (admin only)
+router.put('/:id/variants/:variantId', authMiddleware, adminOnly, upload.array('images'), validateObjectId(), validateObjectId('variantId'), validateVariantUpdate, handleValidationErrors, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const variant = product.variants.id(req.params.variantId);
+        if (!variant) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+
+        const { sku, price, isActive, stock, stockAdjustmentReason } = req.body;
+
+        if (req.body.attributes !== undefined) {
+            const { attributes } = req.body;
+            const productType = await ProductType.findById(product.productType);
+            const attributeError = productType
+                ? productType.checkVariantAttributes(attributes)
+                : 'Product type not found';
+            if (attributeError) {
+                return res.status(400).json({ message: attributeError });
+            }
+            variant.attributes = attributes;
+        }
+        if (req.body.barcode !== undefined) {
+            const barcodeError = await checkBarcode(product, req.body.barcode, variant);
+            if (barcodeError) {
+                return res.status(400).json({ message: barcodeError });
+            }
+            variant.barcode = req.body.barcode || undefined;
+        }
+        if (sku !== undefined) variant.sku = sku;
+        if (price !== undefined) variant.price = price;
+        if (isActive !== undefined) variant.isActive = isActive === true || isActive === 'true';
+        if (req.files && req.files.length > 0) {
+            variant.images = req.files.map(file => ({
+                data: file.buffer,
+                contentType: file.mimetype
+            }));
+        }
+        await product.save();
+
+        if (price !== undefined) {
+            ProductAlertService.checkPriceDrop(product)
+                .catch(error => console.error('Failed to check price drop alerts:', error));
+        }
+
+        // Stock edits go through the ledger as adjustments
+        if (stock !== undefined) {
+            const delta = parseInt(stock, 10) - variant.stock;
+            if (delta !== 0) {
+                try {
+                    await InventoryService.adjustStock(product._id, delta, {
+                        variant: variant._id,
+                        user: req.user,
+                        reason: stockAdjustmentReason || 'Stock edited on variant'
+                    });
+                } catch (adjustError) {
+                    return res.status(400).json({ message: `${adjustError.message}; the other changes were saved` });
+                }
+            }
+        }
+
+        const updatedProduct = await Product.findById(product._id);
+        res.json({
+            message: 'Variant updated successfully',
+            variant: updatedProduct.variants.id(variant._id),
+            stock: updatedProduct.stock
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Variant SKU already exists' });
+        }
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Delete a product variant that holds no stock (admin only)
+router.delete('/:id/variants/:variantId', authMiddleware, adminOnly, validateObjectId(), validateObjectId('variantId'), handleValidationErrors, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const variant = product.variants.id(req.params.variantId);
+        if (!variant) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+
+        if (variant.stock > 0) {
+            return res.status(400).json({ message: 'Variant still holds stock. Adjust it to zero or deactivate the variant instead.' });
+        }
+
+        variant.deleteOne();
+        await product.save();
+
+        res.json({ message: 'Variant deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Barcode label image for a product or variant, as SVG or PNG (admin only)
+router.get('/:id/barcode', authMiddleware, adminOnly, validateObjectId(), handleValidationErrors, async (req, res) => {
+    try {
+        const { variant: variantId, format = 'svg' } = req.query;
+        if (!['svg', 'png'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be svg or png' });
+        }
+
+        const product = await Product.findById(req.params.id).select('barcode variants._id variants.barcode');
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const holder = variantId ? product.variants.id(variantId) : product;
+        if (!holder) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+        if (!holder.barcode) {
+            return res.status(404).json({ message: 'No barcode set' });
+        }
+
+        let image;
+        try {
+            image = format === 'png' ? await renderBarcodePng(holder.barcode) : renderBarcodeSvg(holder.barcode);
+        } catch (renderError) {
+            return res.status(400).json({ message: renderError.message });
+        }
+
+        res.set('Content-Type', format === 'png' ? 'image/png' : 'image/svg+xml');
+        res.set('Content-Disposition', `inline; filename="${holder.barcode}.${format}"`);
+        res.send(image);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Get a variant image by index
+router.get('/:id/variants/:variantId/image/:index', validateObjectId(), validateObjectId('variantId'), handleValidationErrors, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id).select('variants');
+        const variant = product?.variants.id(req.params.variantId);
+
+        if (!variant) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+
+        const index = parseInt(req.params.index, 10);
+        if (isNaN(index) || index < 0 || index >= variant.images.length) {
+            return res.status(400).json({ message: 'Invalid image index' });
+        }
+
+        const image = variant.images[index];
+        res.set('Content-Type', image.contentType);
+        res.send(image.data);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
 // Get products by category
 router.get('/category/:categorySlug', async (req, res) => {
     try {
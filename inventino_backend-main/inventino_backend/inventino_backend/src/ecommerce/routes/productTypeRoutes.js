@@ -38,7 +38,7 @@ router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res)
 // Create new product type
 router.post('/', authMiddleware, validateProductTypeCreation, handleValidationErrors, async (req, res) => {
   try {
-    const { name, description, category } = req.body;
+    const { name, description, category, variantAttributes } = req.body;
     const slug = slugify(name, { lower: true, strict: true });
 
     const existing = await ProductType.findOne({ slug });
@@ -51,6 +51,7 @@ router.post('/', authMiddleware, validateProductTypeCreation, handleValidationEr
       slug,
       description,
       category,
+      variantAttributes,
       createdBy: req.user.id
     });
 
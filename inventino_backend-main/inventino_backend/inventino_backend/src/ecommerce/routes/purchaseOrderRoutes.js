@@ -0,0 +1,528 @@
+import express from 'express';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import InventoryService from '../services/inventoryService.js';
+import SerialService from '../services/serialService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validatePurchaseOrder,
+  validatePurchaseOrderReceipt,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+// Check the supplier, warehouse and line products exist; returns an error message or null
+const checkPurchaseOrderRefs = async ({ supplier, warehouse, lines }) => {
+  if (!await Supplier.exists({ _id: supplier, isActive: true })) {
+    return 'Supplier not found or inactive';
+  }
+  if (warehouse && !await Warehouse.exists({ _id: warehouse })) {
+    return 'Warehouse not found';
+  }
+
+  const keys = lines.map(line => `${line.product}:${line.variant || ''}`);
+  if (new Set(keys).size !== keys.length) {
+    return 'Each product can only appear once on a purchase order';
+  }
+
+  const products = await Product.find({ _id: { $in: lines.map(line => line.product) } }).select('variants');
+  for (const line of lines) {
+    const product = products.find(candidate => candidate._id.toString() === line.product.toString());
+    if (!product) {
+      return 'One or more products not found';
+    }
+    if (line.variant ? !product.variants.id(line.variant) : product.hasVariants()) {
+      return `Line for product ${line.product} needs a valid variant`;
+    }
+  }
+  return null;
+};
+
+// Find the purchase order line a received line refers to
+const findLine = (purchaseOrder, receivedLine) => {
+  return purchaseOrder.lines.find(line =>
+    line.product.toString() === receivedLine.product &&
+    (line.variant ? line.variant.toString() : null) === (receivedLine.variant || null)
+  );
+};
+
+/**
+ * @route GET /api/admin/purchase-orders
+ * @desc Get purchase orders with filtering and pagination
+ * @access Private (admin only)
+ * @query {string} status - Filter by status
+ * @query {string} supplier - Filter by supplier ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ * @returns {object} Paginated purchase orders
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, supplier, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (supplier) filter.supplier = supplier;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate('supplier', 'name code')
+      .populate('warehouse', 'name code')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await PurchaseOrder.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      message: 'Purchase orders retrieved successfully',
+      data: {
+        purchaseOrders,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalPurchaseOrders: total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve purchase orders',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/purchase-orders/:id
+ * @desc Get a purchase order with its lines and receipts
+ * @access Private (admin only)
+ * @param {string} id - Purchase order ID
+ * @returns {object} Purchase order details
+ */
+router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('warehouse', 'name code')
+      .populate('lines.product', 'name sku stock')
+      .populate('receipts.receivedBy', 'firstName lastName email');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Purchase order retrieved successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve purchase order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/purchase-orders
+ * @desc Create a draft purchase order
+ * @access Private (admin only)
+ * @param {string} supplier - Supplier ID
+ * @param {string} warehouse - Receiving warehouse ID (optional)
+ * @param {array} lines - Array of {product, variant, quantityOrdered, unitCost}
+ * @param {string} expectedDeliveryDate - Expected delivery date (optional)
+ * @returns {object} Created purchase order
+ */
+router.post('/', validatePurchaseOrder, handleValidationErrors, async (req, res) => {
+  try {
+    const { supplier, warehouse, lines, expectedDeliveryDate, notes } = req.body;
+
+    const refError = await checkPurchaseOrderRefs({ supplier, warehouse, lines });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      supplier,
+      warehouse: warehouse || null,
+      lines: lines.map(line => ({
+        product: line.product,
+        variant: line.variant || null,
+        quantityOrdered: line.quantityOrdered,
+        unitCost: line.unitCost
+      })),
+      expectedDeliveryDate,
+      notes,
+      createdBy: req.user.id
+    });
+    await purchaseOrder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/purchase-orders/:id
+ * @desc Update a draft purchase order
+ * @access Private (admin only)
+ * @param {string} id - Purchase order ID
+ * @returns {object} Updated purchase order
+ */
+router.put('/:id', validateObjectId(), validatePurchaseOrder, handleValidationErrors, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    const { supplier, warehouse, lines, expectedDeliveryDate, notes } = req.body;
+
+    const refError = await checkPurchaseOrderRefs({ supplier, warehouse, lines });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    purchaseOrder.supplier = supplier;
+    purchaseOrder.warehouse = warehouse || null;
+    purchaseOrder.lines = lines.map(line => ({
+      product: line.product,
+      variant: line.variant || null,
+      quantityOrdered: line.quantityOrdered,
+      unitCost: line.unitCost
+    }));
+    if (expectedDeliveryDate !== undefined) purchaseOrder.expectedDeliveryDate = expectedDeliveryDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update purchase order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/purchase-orders/:id/send
+ * @desc Mark a draft purchase order as sent to the supplier
+ * @access Private (admin only)
+ * @param {string} id - Purchase order ID
+ * @returns {object} Updated purchase order
+ */
+router.post('/:id/send', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be sent'
+      });
+    }
+
+    purchaseOrder.status = 'sent';
+    purchaseOrder.sentAt = new Date();
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order sent successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send purchase order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/purchase-orders/:id/receive
+ * @desc Receive goods against a sent purchase order; unreceived quantity stays open
+ * @access Private (admin only)
+ * @param {string} id - Purchase order ID
+ * @param {array} lines - Array of {product, variant, quantity} received, with
+ *   lotNumber, expiryDate and manufactureDate for lot-tracked products and
+ *   serialNumbers for serial-tracked products
+ * @param {string} notes - Receipt notes (optional)
+ * @returns {object} Updated purchase order
+ */
+router.post('/:id/receive', validateObjectId(), validatePurchaseOrderReceipt, handleValidationErrors, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive against a purchase order that is ${purchaseOrder.status}`
+      });
+    }
+
+    const { lines, notes } = req.body;
+
+    // Check every line before touching stock so a bad line does not leave a partial receipt
+    const lotTracked = await Product.find({
+      _id: { $in: purchaseOrder.lines.map(line => line.product) },
+      trackLots: true
+    }).distinct('_id');
+    const serialTracked = await Product.find({
+      _id: { $in: purchaseOrder.lines.map(line => line.product) },
+      trackSerials: true
+    }).distinct('_id');
+
+    const received = [];
+    for (const receivedLine of lines) {
+      const line = findLine(purchaseOrder, receivedLine);
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${receivedLine.product} is not on this purchase order`
+        });
+      }
+
+      const quantity = parseInt(receivedLine.quantity, 10);
+      const alreadyReceiving = received
+        .filter(entry => entry.line === line)
+        .reduce((total, entry) => total + entry.quantity, 0);
+      if (quantity + alreadyReceiving > purchaseOrder.openQuantity(line)) {
+        return res.status(400).json({
+          success: false,
+          message: `Received quantity for product ${receivedLine.product} exceeds the open quantity of ${purchaseOrder.openQuantity(line)}`
+        });
+      }
+
+      const isLotTracked = lotTracked.some(id => id.equals(line.product));
+      if (isLotTracked && (!receivedLine.lotNumber || !receivedLine.expiryDate)) {
+        return res.status(400).json({
+          success: false,
+          message: `Lot number and expiry date are required for product ${receivedLine.product}`
+        });
+      }
+
+      const serials = SerialService.normalize(receivedLine.serialNumbers);
+      if (serialTracked.some(id => id.equals(line.product))) {
+        const receivingSerials = received
+          .filter(entry => entry.line.product.equals(line.product))
+          .flatMap(entry => entry.serials);
+        const serialError = serials.some(serial => receivingSerials.includes(serial))
+          ? 'Serial numbers must not repeat'
+          : await SerialService.checkNewSerials(line.product, serials, quantity);
+        if (serialError) {
+          return res.status(400).json({
+            success: false,
+            message: `Product ${receivedLine.product}: ${serialError}`
+          });
+        }
+      }
+
+      received.push({
+        line,
+        quantity,
+        serials,
+        lot: isLotTracked ? {
+          lotNumber: receivedLine.lotNumber,
+          expiryDate: receivedLine.expiryDate,
+          manufactureDate: receivedLine.manufactureDate
+        } : null
+      });
+    }
+
+    const receiptLines = [];
+    for (const { line, quantity, serials, lot } of received) {
+      const result = await InventoryService.receiveStock(line.product, quantity, {
+        variant: line.variant,
+        lot,
+        unitCost: line.unitCost,
+        purchaseOrder: purchaseOrder._id,
+        warehouse: purchaseOrder.warehouse,
+        user: req.user,
+        reference: { kind: 'PurchaseOrder', document: purchaseOrder._id },
+        reason: `Received against ${purchaseOrder.poNumber}`
+      });
+      if (serialTracked.some(id => id.equals(line.product))) {
+        await SerialService.register(line.product, line.variant, serials, {
+          warehouse: purchaseOrder.warehouse,
+          purchaseOrder: purchaseOrder._id
+        });
+      }
+      line.quantityReceived += quantity;
+      receiptLines.push({
+        product: line.product,
+        variant: line.variant,
+        quantity,
+        lot: result.lot ? result.lot._id : null
+      });
+    }
+
+    purchaseOrder.receipts.push({
+      receivedBy: req.user.id,
+      lines: receiptLines,
+      notes
+    });
+    purchaseOrder.refreshReceiptStatus();
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: purchaseOrder.status === 'received'
+        ? 'Purchase order fully received'
+        : 'Goods received; remaining quantity is still open',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive purchase order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/purchase-orders/:id/close
+ * @desc Close a purchase order; any open quantity will no longer be received
+ * @access Private (admin only)
+ * @param {string} id - Purchase order ID
+ * @returns {object} Updated purchase order
+ */
+router.post('/:id/close', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!['sent', 'partially_received', 'received'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot close a purchase order that is ${purchaseOrder.status}`
+      });
+    }
+
+    purchaseOrder.status = 'closed';
+    purchaseOrder.closedAt = new Date();
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order closed successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close purchase order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/purchase-orders/:id
+ * @desc Delete a draft purchase order
+ * @access Private (admin only)
+ * @param {string} id - Purchase order ID
+ * @returns {object} Success message
+ */
+router.delete('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be deleted'
+      });
+    }
+
+    await PurchaseOrder.findByIdAndDelete(purchaseOrder._id);
+
+    res.json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete purchase order',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,9 @@
 import express from 'express';
 import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import InventoryService from '../services/inventoryService.js';
+import SerialService from '../services/serialService.js';
+import InvoiceService from '../services/invoiceService.js';
 import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
 import {
     validateObjectId,
@@ -127,6 +131,7 @@ router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res)
  * @param {string} id - Return request ID
  * @param {string} status - New status
  * @param {string} notes - Status update notes
+ * @param {boolean} restock - Put the items back into stock once inspected (default: true)
  * @returns {object} Updated return request
  */
 router.put('/:id/status', validateObjectId(), handleValidationErrors, async (req, res) => {
@@ -158,6 +163,41 @@ router.put('/:id/status', validateObjectId(), handleValidationErrors, async (req
     // Update status and add timeline entry
     await returnRequest.updateStatus(status, notes || 'Status updated by admin', req.user.id);
 
+    // Restock the returned items once they have been inspected
+    if (['inspected', 'completed'].includes(status) && !returnRequest.restockedAt && req.body.restock !== false) {
+      const order = await Order.findById(returnRequest.order).select('warehouse items');
+
+      // Returned units go back into stock at the cost they were sold at
+      const items = returnRequest.items.map(item => {
+        const orderItem = order?.items.find(candidate =>
+          candidate.product.equals(item.product) && String(candidate.variant || '') === String(item.variant || ''));
+        return { product: item.product, variant: item.variant, quantity: item.quantity, unitCost: orderItem?.unitCost ?? null };
+      });
+      await InventoryService.releaseStock(items, {
+        type: 'return_restock',
+        warehouse: order?.warehouse,
+        user: req.user,
+        reference: { kind: 'ReturnRequest', document: returnRequest._id },
+        reason: `Restocked from return ${returnRequest.returnNumber}`
+      });
+      returnRequest.restockedAt = new Date();
+      await returnRequest.save();
+      await SerialService.markReturned(returnRequest, { restocked: true, warehouse: order?.warehouse });
+    } else if (['inspected', 'completed'].includes(status) && !returnRequest.restockedAt) {
+      await SerialService.markReturned(returnRequest);
+    }
+
+    // Refunded items are credited against the order's invoice
+    if (status === 'completed') {
+      try {
+        if (!await InvoiceService.checkCreditNote(returnRequest)) {
+          await InvoiceService.getCreditNote(returnRequest, { user: req.user });
+        }
+      } catch (creditNoteError) {
+        console.error('Failed to issue credit note:', creditNoteError);
+      }
+    }
+
     // Populate the updated document
     await returnRequest.populate('user', 'firstName lastName email');
     await returnRequest.populate('order', 'orderNumber totalAmount');
@@ -177,6 +217,48 @@ router.put('/:id/status', validateObjectId(), handleValidationErrors, async (req
   }
 });
 
+/**
+ * @route GET /api/admin/returns/:id/credit-note
+ * @desc Download the GST credit note of a completed return, issuing it on first request
+ * @access Private (admin only)
+ * @param {string} id - Return request ID
+ * @returns {file} Credit note PDF
+ */
+router.get('/:id/credit-note', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const creditNoteError = await InvoiceService.checkCreditNote(returnRequest);
+    if (creditNoteError) {
+      return res.status(400).json({
+        success: false,
+        message: creditNoteError
+      });
+    }
+
+    const creditNote = await InvoiceService.getCreditNote(returnRequest, { user: req.user });
+    const pdf = await InvoiceService.renderPdf(creditNote);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${InvoiceService.fileName(creditNote)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate credit note',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route DELETE /api/admin/returns/:id
  * @desc Delete a return request
@@ -1,6 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import Review from '../models/Review.js';
+import Product from '../models/Product.js';
 import {
   validateReview,
   validateReviewUpdate,
@@ -13,10 +14,13 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { files: 1 } })
 
 const router = express.Router();
 
-// Get all reviews for a product
+// Get all reviews for a product (?variant= for one variant)
 router.get('/product/:productId', validateObjectId('productId'), handleValidationErrors, async (req, res) => {
   try {
-    const reviews = await Review.find({ product: req.params.productId })
+    const filter = { product: req.params.productId };
+    if (req.query.variant) filter.variant = req.query.variant;
+
+    const reviews = await Review.find(filter)
       .populate('user', 'firstName lastName email')
       .sort({ createdAt: -1 });
     res.json(reviews);
@@ -46,6 +50,13 @@ router.post('/', authMiddleware, upload.single('image'), validateReview, handleV
       user: req.user.id,
     };
 
+    if (reviewData.variant) {
+      const product = await Product.exists({ _id: reviewData.product, 'variants._id': reviewData.variant });
+      if (!product) {
+        return res.status(400).json({ message: 'Variant does not belong to this product' });
+      }
+    }
+
     if (req.file) {
       reviewData.image = {
         data: req.file.buffer,
@@ -0,0 +1,130 @@
+import express from 'express';
+import SerialNumber from '../models/SerialNumber.js';
+import SerialService from '../services/serialService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+/**
+ * @route GET /api/admin/serials
+ * @desc Get serial numbers with filtering and pagination
+ * @access Private (admin only)
+ * @query {string} product - Filter by product ID
+ * @query {string} status - Filter by status (in_stock, sold, returned, written_off)
+ * @query {string} order - Filter by order ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 50)
+ * @returns {object} Paginated serial numbers
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { product, status, order, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const filter = {};
+    if (product) filter.product = product;
+    if (status) filter.status = status;
+    if (order) filter.order = order;
+
+    const serials = await SerialNumber.find(filter)
+      .select('-history')
+      .populate('product', 'name sku')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await SerialNumber.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      message: 'Serial numbers retrieved successfully',
+      data: {
+        serials,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalSerials: total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve serial numbers',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/serials/lookup/:serialNumber
+ * @desc Find a unit by serial number or IMEI with the order and customer it
+ *   was sold to, for warranty claims
+ * @access Private (admin only)
+ * @param {string} serialNumber - Serial number or IMEI
+ * @returns {object} Matching units with their history
+ */
+router.get('/lookup/:serialNumber', async (req, res) => {
+  try {
+    const units = await SerialService.lookup(req.params.serialNumber);
+    if (units.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Serial number not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Serial number found',
+      data: units
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up serial number',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/serials/order/:id
+ * @desc Get the units shipped on an order
+ * @access Private (admin only)
+ * @param {string} id - Order ID
+ * @returns {object} Serial numbers on the order
+ */
+router.get('/order/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const serials = await SerialNumber.find({ $or: [{ order: req.params.id }, { 'history.order': req.params.id }] })
+      .populate('product', 'name sku');
+
+    res.json({
+      success: true,
+      message: 'Serial numbers retrieved successfully',
+      data: serials
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve serial numbers',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,149 @@
+import express from 'express';
+import ShippingRate from '../models/ShippingRate.js';
+import ShippingService from '../services/shippingService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import { SHIPPING_ZONES, DEFAULT_RATE_CARDS } from '../config/shipping.js';
+import {
+  validateShippingQuote,
+  validateShippingRate,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/shipping/quote
+ * @desc Quote the shipping charge for products delivered to a pincode
+ * @access Public
+ * @query {string} pincode - Destination pincode
+ * @query {Array} items - Up to 20 of [{ product, variant, quantity }], e.g. items[0][product]=...&items[0][quantity]=2
+ * @returns {object} Zone, weights, charge and free-shipping threshold
+ */
+router.get('/quote', validateShippingQuote, handleValidationErrors, async (req, res) => {
+  try {
+    const { pincode } = req.query;
+    const items = req.query.items.map(({ product, variant, quantity }) => ({ product, variant, quantity }));
+
+    const itemError = await ShippingService.checkItems(items);
+    if (itemError) {
+      return res.status(400).json({
+        success: false,
+        message: itemError
+      });
+    }
+
+    const quote = await ShippingService.quote({ items, pincode });
+
+    res.json({
+      success: true,
+      message: 'Shipping quote calculated successfully',
+      data: quote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate shipping quote',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/shipping/rates
+ * @desc Get the rate card of every zone, saved or default
+ * @access Private (admin only)
+ * @returns {object} Rate cards by zone
+ */
+router.get('/rates', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const saved = await ShippingRate.find();
+    const rates = SHIPPING_ZONES.map(zone => {
+      const card = saved.find(candidate => candidate.zone === zone);
+      return card
+        ? { ...card.toObject(), isDefault: false }
+        : { zone, ...DEFAULT_RATE_CARDS[zone], freeShippingThreshold: null, isActive: true, isDefault: true };
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipping rates retrieved successfully',
+      data: rates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve shipping rates',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/shipping/rates/:zone
+ * @desc Create or replace the rate card of a zone
+ * @access Private (admin only)
+ * @param {string} zone - local, regional, metro, national or special
+ * @param {Array} slabs - [{ maxWeight, charge }], weights in kg
+ * @param {number} extraWeightStep - kg charged per step above the last slab (default: 1)
+ * @param {number} extraWeightCharge - Charge per step above the last slab
+ * @param {number} freeShippingThreshold - Order value from which shipping is free (optional)
+ * @returns {object} Saved rate card
+ */
+router.put('/rates/:zone', authMiddleware, adminOnly, validateShippingRate, handleValidationErrors, async (req, res) => {
+  try {
+    const { slabs, extraWeightStep, extraWeightCharge, freeShippingThreshold, isActive } = req.body;
+
+    const rate = await ShippingRate.findOne({ zone: req.params.zone }) || new ShippingRate({ zone: req.params.zone });
+    rate.slabs = slabs;
+    if (extraWeightStep !== undefined) rate.extraWeightStep = extraWeightStep;
+    if (extraWeightCharge !== undefined) rate.extraWeightCharge = extraWeightCharge;
+    if (freeShippingThreshold !== undefined) rate.freeShippingThreshold = freeShippingThreshold;
+    if (isActive !== undefined) rate.isActive = isActive;
+    rate.updatedBy = req.user.id;
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Shipping rate saved successfully',
+      data: rate
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save shipping rate',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/shipping/rates/:zone
+ * @desc Remove a zone's rate card so the default applies again
+ * @access Private (admin only)
+ * @param {string} zone - Zone name
+ * @returns {object} Success message
+ */
+router.delete('/rates/:zone', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const rate = await ShippingRate.findOneAndDelete({ zone: req.params.zone });
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No saved rate card for this zone'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping rate removed; the default rate card applies'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove shipping rate',
+      error: error.message
+    });
+  }
+});
+
+export default router;
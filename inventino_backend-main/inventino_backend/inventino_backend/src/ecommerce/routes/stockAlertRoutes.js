@@ -0,0 +1,74 @@
+import express from 'express';
+import StockAlert from '../models/StockAlert.js';
+import Product from '../models/Product.js';
+import ProductAlertService from '../services/productAlertService.js';
+import {
+    validateStockAlert,
+    handleValidationErrors,
+    validateObjectId,
+} from '../middleware/extendedValidation.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Get the user's back-in-stock alerts
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const alerts = await StockAlert.find({ user: req.user.id })
+            .populate('product', 'name price stock isActive')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            alerts,
+            totalItems: alerts.length
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Ask to be told when an out-of-stock product or variant is back.
+// Wishlisted products alert without this.
+router.post('/', authMiddleware, validateStockAlert, handleValidationErrors, async (req, res) => {
+    try {
+        const { productId, variantId = null } = req.body;
+
+        const product = await Product.findById(productId).select('name stock isActive variants');
+        if (!product || !product.isActive) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const variant = variantId ? product.variants.id(variantId) : null;
+        if (variantId && (!variant || !variant.isActive)) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+        if ((variant || product).stock > 0) {
+            return res.status(400).json({ message: 'Product is in stock' });
+        }
+
+        const alert = await ProductAlertService.subscribe(req.user.id, product._id, variantId);
+
+        res.status(201).json({
+            message: 'We will let you know when it is back in stock',
+            alert
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Cancel a back-in-stock alert
+router.delete('/:id', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
+    try {
+        const alert = await StockAlert.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+        if (!alert) {
+            return res.status(404).json({ message: 'Alert not found' });
+        }
+
+        res.json({ message: 'Alert removed' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,213 @@
+import express from 'express';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateSupplierCreation,
+  validateSupplierUpdate,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+/**
+ * @route GET /api/admin/suppliers
+ * @desc Get suppliers with optional search
+ * @access Private (admin only)
+ * @query {string} search - Match name or code
+ * @query {boolean} active - Filter by active flag
+ * @returns {object} Suppliers list
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, active } = req.query;
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Suppliers retrieved successfully',
+      data: suppliers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve suppliers',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/suppliers/:id
+ * @desc Get a supplier with its open purchase orders
+ * @access Private (admin only)
+ * @param {string} id - Supplier ID
+ * @returns {object} Supplier details
+ */
+router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const openPurchaseOrders = await PurchaseOrder.find({
+      supplier: supplier._id,
+      status: { $in: ['draft', 'sent', 'partially_received'] }
+    }).select('poNumber status expectedDeliveryDate createdAt');
+
+    res.json({
+      success: true,
+      message: 'Supplier retrieved successfully',
+      data: {
+        ...supplier.toObject(),
+        openPurchaseOrders
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve supplier',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/suppliers
+ * @desc Create a supplier
+ * @access Private (admin only)
+ * @param {string} name - Supplier name
+ * @param {string} code - Unique supplier code
+ * @param {number} leadTimeDays - Typical delivery lead time (optional)
+ * @returns {object} Created supplier
+ */
+router.post('/', validateSupplierCreation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, code, contactName, email, phone, gstin, address, leadTimeDays, paymentTerms } = req.body;
+
+    const supplier = new Supplier({
+      name,
+      code,
+      contactName,
+      email,
+      phone,
+      gstin,
+      address,
+      leadTimeDays,
+      paymentTerms,
+      createdBy: req.user.id
+    });
+    await supplier.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier code already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create supplier',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/suppliers/:id
+ * @desc Update a supplier
+ * @access Private (admin only)
+ * @param {string} id - Supplier ID
+ * @returns {object} Updated supplier
+ */
+router.put('/:id', validateObjectId(), validateSupplierUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const { code, createdBy, ...updateData } = req.body;
+
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update supplier',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/suppliers/:id
+ * @desc Deactivate a supplier (kept for purchase order history)
+ * @access Private (admin only)
+ * @param {string} id - Supplier ID
+ * @returns {object} Success message
+ */
+router.delete('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate supplier',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,518 @@
+import express from 'express';
+import TransferOrder from '../models/TransferOrder.js';
+import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import StockLevel from '../models/StockLevel.js';
+import InventoryService from '../services/inventoryService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateTransferOrder,
+  validateTransferShipment,
+  validateTransferReceipt,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+// Check the warehouses and line products; returns an error message or null
+const checkTransferRefs = async ({ sourceWarehouse, destinationWarehouse, lines }) => {
+  const warehouses = await Warehouse.countDocuments({ _id: { $in: [sourceWarehouse, destinationWarehouse] }, isActive: true });
+  if (warehouses !== 2) {
+    return 'Source or destination warehouse not found or inactive';
+  }
+
+  const keys = lines.map(line => `${line.product}:${line.variant || ''}`);
+  if (new Set(keys).size !== keys.length) {
+    return 'Each product can only appear once on a transfer';
+  }
+
+  const products = await Product.find({ _id: { $in: lines.map(line => line.product) } }).select('variants');
+  const stocked = await StockLevel.find({ warehouse: sourceWarehouse, product: { $in: lines.map(line => line.product) } }).distinct('product');
+  for (const line of lines) {
+    const product = products.find(candidate => candidate._id.toString() === line.product.toString());
+    if (!product) {
+      return 'One or more products not found';
+    }
+    if (line.variant ? !product.variants.id(line.variant) : product.hasVariants()) {
+      return `Line for product ${line.product} needs a valid variant`;
+    }
+    // Only warehouse-tracked stock can be moved between warehouses
+    if (!stocked.some(id => id.equals(product._id))) {
+      return `Product ${line.product} is not stocked in the source warehouse`;
+    }
+  }
+  return null;
+};
+
+/**
+ * @route GET /api/admin/transfers
+ * @desc Get transfer orders with filtering and pagination
+ * @access Private (admin only)
+ * @query {string} status - Filter by status
+ * @query {string} warehouse - Transfers out of or into this warehouse
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ * @returns {object} Paginated transfer orders
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, warehouse, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (warehouse) filter.$or = [{ sourceWarehouse: warehouse }, { destinationWarehouse: warehouse }];
+
+    const transfers = await TransferOrder.find(filter)
+      .populate('sourceWarehouse', 'name code')
+      .populate('destinationWarehouse', 'name code')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await TransferOrder.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      message: 'Transfers retrieved successfully',
+      data: {
+        transfers,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalTransfers: total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve transfers',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/transfers/in-transit
+ * @desc Get units dispatched on transfers that have not been received yet
+ * @access Private (admin only)
+ * @query {string} warehouse - Only transfers into this warehouse
+ * @returns {object} In-transit quantity per product and variant
+ */
+router.get('/in-transit', async (req, res) => {
+  try {
+    const products = await InventoryService.getInTransit({ warehouse: req.query.warehouse });
+
+    res.json({
+      success: true,
+      message: 'In-transit stock retrieved successfully',
+      data: {
+        totalUnits: products.reduce((total, entry) => total + entry.quantity, 0),
+        products
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve in-transit stock',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/transfers/:id
+ * @desc Get a transfer order with its lines
+ * @access Private (admin only)
+ * @param {string} id - Transfer order ID
+ * @returns {object} Transfer order details, with any shortfall once received
+ */
+router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const transfer = await TransferOrder.findById(req.params.id)
+      .populate('sourceWarehouse', 'name code')
+      .populate('destinationWarehouse', 'name code')
+      .populate('lines.product', 'name sku')
+      .populate('createdBy dispatchedBy receivedBy', 'firstName lastName email');
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer retrieved successfully',
+      data: {
+        transfer,
+        shortfall: transfer.getShortfall()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve transfer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/transfers
+ * @desc Create a draft transfer between two warehouses
+ * @access Private (admin only)
+ * @param {string} sourceWarehouse - Warehouse the stock leaves
+ * @param {string} destinationWarehouse - Warehouse the stock arrives at
+ * @param {array} lines - Array of {product, variant, quantity}
+ * @param {string} notes - Notes (optional)
+ * @returns {object} Created transfer order
+ */
+router.post('/', validateTransferOrder, handleValidationErrors, async (req, res) => {
+  try {
+    const { sourceWarehouse, destinationWarehouse, lines, notes } = req.body;
+
+    const refError = await checkTransferRefs({ sourceWarehouse, destinationWarehouse, lines });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    const transfer = new TransferOrder({
+      sourceWarehouse,
+      destinationWarehouse,
+      lines: lines.map(line => ({
+        product: line.product,
+        variant: line.variant || null,
+        quantity: line.quantity
+      })),
+      notes,
+      createdBy: req.user.id
+    });
+    await transfer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer created successfully',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create transfer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/transfers/:id
+ * @desc Update a draft transfer
+ * @access Private (admin only)
+ * @param {string} id - Transfer order ID
+ * @returns {object} Updated transfer order
+ */
+router.put('/:id', validateObjectId(), validateTransferOrder, handleValidationErrors, async (req, res) => {
+  try {
+    const transfer = await TransferOrder.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft transfers can be edited'
+      });
+    }
+
+    const { sourceWarehouse, destinationWarehouse, lines, notes } = req.body;
+
+    const refError = await checkTransferRefs({ sourceWarehouse, destinationWarehouse, lines });
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    transfer.sourceWarehouse = sourceWarehouse;
+    transfer.destinationWarehouse = destinationWarehouse;
+    transfer.lines = lines.map(line => ({
+      product: line.product,
+      variant: line.variant || null,
+      quantity: line.quantity
+    }));
+    if (notes !== undefined) transfer.notes = notes;
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: 'Transfer updated successfully',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update transfer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/transfers/:id/dispatch
+ * @desc Dispatch a draft transfer; its quantities leave the source warehouse
+ * @access Private (admin only)
+ * @param {string} id - Transfer order ID
+ * @returns {object} Dispatched transfer, or the short lines when stock is insufficient
+ */
+router.post('/:id/dispatch', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const transfer = await TransferOrder.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft transfers can be dispatched'
+      });
+    }
+
+    // Claim the transfer so two requests cannot dispatch it twice
+    const claimed = await TransferOrder.findOneAndUpdate(
+      { _id: transfer._id, status: 'draft' },
+      { status: 'dispatched', dispatchedBy: req.user.id, dispatchedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer is already being dispatched'
+      });
+    }
+
+    const shortItems = await InventoryService.dispatchTransfer(claimed, { user: req.user });
+    if (shortItems.length > 0) {
+      await TransferOrder.updateOne(
+        { _id: claimed._id },
+        { status: 'draft', $unset: { dispatchedBy: 1, dispatchedAt: 1 } }
+      );
+      return res.status(409).json({
+        success: false,
+        message: 'Insufficient stock in the source warehouse',
+        shortItems
+      });
+    }
+    await claimed.save();
+
+    res.json({
+      success: true,
+      message: 'Transfer dispatched successfully',
+      data: claimed
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispatch transfer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/transfers/:id/in-transit
+ * @desc Mark a dispatched transfer as handed to the carrier
+ * @access Private (admin only)
+ * @param {string} id - Transfer order ID
+ * @param {string} carrier - Carrier name (optional)
+ * @param {string} trackingNumber - Carrier tracking number (optional)
+ * @returns {object} Updated transfer order
+ */
+router.post('/:id/in-transit', validateObjectId(), validateTransferShipment, handleValidationErrors, async (req, res) => {
+  try {
+    const transfer = await TransferOrder.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'dispatched') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only dispatched transfers can be marked in transit'
+      });
+    }
+
+    transfer.status = 'in_transit';
+    transfer.inTransitAt = new Date();
+    if (req.body.carrier !== undefined) transfer.carrier = req.body.carrier;
+    if (req.body.trackingNumber !== undefined) transfer.trackingNumber = req.body.trackingNumber;
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: 'Transfer marked in transit',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update transfer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/transfers/:id/receive
+ * @desc Receive a transfer at the destination warehouse
+ * @access Private (admin only)
+ * @param {string} id - Transfer order ID
+ * @param {array} lines - Array of {lineId, quantityReceived} for lines that
+ *   arrived short (optional; other lines are received in full)
+ * @param {string} notes - Receipt notes (optional)
+ * @returns {object} Received transfer with any shortfall
+ */
+router.post('/:id/receive', validateObjectId(), validateTransferReceipt, handleValidationErrors, async (req, res) => {
+  try {
+    const transfer = await TransferOrder.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (!['dispatched', 'in_transit'].includes(transfer.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive a transfer that is ${transfer.status}`
+      });
+    }
+
+    const received = new Map();
+    for (const entry of req.body.lines || []) {
+      const line = transfer.lines.id(entry.lineId);
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${entry.lineId} is not on this transfer`
+        });
+      }
+      const quantity = parseInt(entry.quantityReceived, 10);
+      if (quantity > line.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Received quantity for line ${entry.lineId} exceeds the dispatched quantity of ${line.quantity}`
+        });
+      }
+      received.set(line._id.toString(), quantity);
+    }
+
+    // Claim the transfer so two requests cannot receive it twice
+    const claimed = await TransferOrder.findOneAndUpdate(
+      { _id: transfer._id, status: transfer.status },
+      { status: 'received', receivedBy: req.user.id, receivedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer is already being received'
+      });
+    }
+
+    await InventoryService.receiveTransfer(claimed, received, { user: req.user });
+    if (req.body.notes) {
+      claimed.notes = [claimed.notes, req.body.notes].filter(Boolean).join('\n');
+    }
+    await claimed.save();
+
+    const shortfall = claimed.getShortfall();
+    res.json({
+      success: true,
+      message: shortfall.length > 0
+        ? 'Transfer received with a shortfall'
+        : 'Transfer received successfully',
+      data: {
+        transfer: claimed,
+        shortfall
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive transfer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/transfers/:id/cancel
+ * @desc Cancel a draft transfer
+ * @access Private (admin only)
+ * @param {string} id - Transfer order ID
+ * @returns {object} Cancelled transfer order
+ */
+router.post('/:id/cancel', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const transfer = await TransferOrder.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    // Dispatched stock has left the source; it must be received, not cancelled
+    if (transfer.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft transfers can be cancelled'
+      });
+    }
+
+    transfer.status = 'cancelled';
+    transfer.cancelledAt = new Date();
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled successfully',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel transfer',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 import { body } from 'express-validator';
 import User from '../models/User.js';
 import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import SerialService from '../services/serialService.js';
+import InvoiceService from '../services/invoiceService.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
@@ -615,7 +618,8 @@ router.post('/logout', authMiddleware, async (req, res) => {
  * @access Private (authenticated users)
  * @param {string} order - Order ID
  * @param {string} type - Type of request (return/replacement/exchange)
- * @param {array} items - Array of items to return
+ * @param {array} items - Array of items to return, with the serialNumbers
+ *   shipped for serial-tracked products
  * @param {object} pickupAddress - Pickup address
  * @param {string} customerNotes - Customer notes
  * @returns {object} Created return request
@@ -628,6 +632,7 @@ router.post('/returns', authMiddleware, [
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
   body('items.*.reason').isIn(['defective', 'wrong_item', 'damaged_in_transit', 'not_as_described', 'size_issue', 'color_issue', 'quality_issue', 'changed_mind', 'duplicate_item', 'other']).withMessage('Valid reason is required'),
   body('items.*.expectedAction').isIn(['refund', 'replacement', 'exchange', 'repair']).withMessage('Valid expected action is required'),
+  body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
   body('pickupAddress.street').notEmpty().withMessage('Street is required'),
   body('pickupAddress.city').notEmpty().withMessage('City is required'),
   body('pickupAddress.state').notEmpty().withMessage('State is required'),
@@ -637,6 +642,23 @@ router.post('/returns', authMiddleware, [
     const { order, type, items, pickupAddress, customerNotes } = req.body;
     const userId = req.user.id;
 
+    const existingOrder = await Order.findOne({ _id: order, user: userId });
+    if (!existingOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Serial-tracked units must be ones shipped on this order
+    const serialError = await SerialService.checkReturnSerials(existingOrder, items);
+    if (serialError) {
+      return res.status(400).json({
+        success: false,
+        message: serialError
+      });
+    }
+
     const returnRequest = new ReturnRequest({
       user: userId,
       order,
@@ -763,4 +785,50 @@ router.get('/returns/:id', authMiddleware, validateObjectId(), handleValidationE
   }
 });
 
+/**
+ * @route GET /api/users/returns/:id/credit-note
+ * @desc Download the GST credit note of a completed return
+ * @access Private (authenticated users)
+ * @param {string} id - Return request ID
+ * @returns {file} Credit note PDF
+ */
+router.get('/returns/:id/credit-note', authMiddleware, validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const creditNoteError = await InvoiceService.checkCreditNote(returnRequest);
+    if (creditNoteError) {
+      return res.status(400).json({
+        success: false,
+        message: creditNoteError
+      });
+    }
+
+    const creditNote = await InvoiceService.getCreditNote(returnRequest, { user: req.user });
+    const pdf = await InvoiceService.renderPdf(creditNote);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${InvoiceService.fileName(creditNote)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate credit note',
+      error: error.message
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,407 @@
+import express from 'express';
+import Warehouse from '../models/Warehouse.js';
+import StockLevel from '../models/StockLevel.js';
+import Product from '../models/Product.js';
+import Pincode from '../models/pincode.js';
+import InventoryService from '../services/inventoryService.js';
+import authMiddleware, { adminOnly } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateWarehouseCreation,
+  validateWarehouseUpdate,
+  validateWarehousePincodes,
+  validateStockLevelUpdate,
+  handleValidationErrors
+} from '../middleware/extendedValidation.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authMiddleware);
+router.use(adminOnly);
+
+/**
+ * @route GET /api/admin/warehouses
+ * @desc Get all warehouses
+ * @access Private (admin only)
+ * @query {boolean} active - Filter by active flag
+ * @returns {object} Warehouses list
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const warehouses = await Warehouse.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Warehouses retrieved successfully',
+      data: warehouses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve warehouses',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/warehouses/products/:productId/stock
+ * @desc Get a product's stock in every warehouse
+ * @access Private (admin only)
+ * @param {string} productId - Product ID
+ * @returns {object} Per-warehouse stock levels and the product total
+ */
+router.get('/products/:productId/stock', validateObjectId('productId'), handleValidationErrors, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('name sku stock');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const levels = await StockLevel.find({ product: product._id })
+      .populate('warehouse', 'name code address.state isActive');
+
+    res.json({
+      success: true,
+      message: 'Stock levels retrieved successfully',
+      data: {
+        product,
+        totalStock: product.stock,
+        levels
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve stock levels',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/warehouses/:id
+ * @desc Get a warehouse with the pincodes it serves
+ * @access Private (admin only)
+ * @param {string} id - Warehouse ID
+ * @returns {object} Warehouse details
+ */
+router.get('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const pincodes = await Pincode.find({ warehouse: warehouse._id }).select('pincode city state');
+
+    res.json({
+      success: true,
+      message: 'Warehouse retrieved successfully',
+      data: {
+        ...warehouse.toObject(),
+        pincodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve warehouse',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/warehouses
+ * @desc Create a warehouse
+ * @access Private (admin only)
+ * @param {string} name - Warehouse name
+ * @param {string} code - Unique warehouse code
+ * @param {object} address - Street, city, state and pincode
+ * @param {string} gstin - GST registration in the warehouse's state (optional)
+ * @param {boolean} isDefault - Serve unmapped pincodes from this warehouse
+ * @returns {object} Created warehouse
+ */
+router.post('/', validateWarehouseCreation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, code, address, contactPhone, gstin, isDefault } = req.body;
+
+    const warehouse = new Warehouse({
+      name,
+      code,
+      address,
+      contactPhone,
+      gstin,
+      isDefault,
+      createdBy: req.user.id
+    });
+    await warehouse.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      data: warehouse
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warehouse code already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create warehouse',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/warehouses/:id
+ * @desc Update a warehouse
+ * @access Private (admin only)
+ * @param {string} id - Warehouse ID
+ * @returns {object} Updated warehouse
+ */
+router.put('/:id', validateObjectId(), validateWarehouseUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const { name, address, contactPhone, gstin, isDefault, isActive } = req.body;
+    if (name !== undefined) warehouse.name = name;
+    if (address !== undefined) warehouse.address = { ...warehouse.address.toObject(), ...address };
+    if (contactPhone !== undefined) warehouse.contactPhone = contactPhone;
+    if (gstin !== undefined) warehouse.gstin = gstin;
+    if (isDefault !== undefined) warehouse.isDefault = isDefault;
+    if (isActive !== undefined) warehouse.isActive = isActive;
+    await warehouse.save();
+
+    res.json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      data: warehouse
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update warehouse',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/warehouses/:id
+ * @desc Delete a warehouse that holds no stock
+ * @access Private (admin only)
+ * @param {string} id - Warehouse ID
+ * @returns {object} Success message
+ */
+router.delete('/:id', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const holdsStock = await StockLevel.exists({ warehouse: warehouse._id, quantity: { $gt: 0 } });
+    if (holdsStock) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warehouse still holds stock. Move or adjust it before deleting.'
+      });
+    }
+
+    await StockLevel.deleteMany({ warehouse: warehouse._id });
+    await Pincode.updateMany({ warehouse: warehouse._id }, { warehouse: null });
+    await Warehouse.findByIdAndDelete(warehouse._id);
+
+    res.json({
+      success: true,
+      message: 'Warehouse deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete warehouse',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/warehouses/:id/stock
+ * @desc Get stock levels held in a warehouse
+ * @access Private (admin only)
+ * @param {string} id - Warehouse ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 50)
+ * @returns {object} Paginated stock levels
+ */
+router.get('/:id/stock', validateObjectId(), handleValidationErrors, async (req, res) => {
+  try {
+    const pageNum = parseInt(req.query.page || 1);
+    const limitNum = parseInt(req.query.limit || 50);
+
+    const filter = { warehouse: req.params.id };
+    const levels = await StockLevel.find(filter)
+      .populate('product', 'name sku stock isActive')
+      .sort({ updatedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await StockLevel.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      message: 'Stock levels retrieved successfully',
+      data: {
+        levels,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalLevels: total,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve stock levels',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/warehouses/:id/stock/:productId
+ * @desc Set a product's on-hand quantity in a warehouse
+ * @access Private (admin only)
+ * @param {string} id - Warehouse ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - On-hand quantity
+ * @param {string} reason - Reason recorded on the adjustment (optional)
+ * @returns {object} Stock level and recomputed product total
+ */
+router.put('/:id/stock/:productId', validateObjectId(), validateObjectId('productId'), validateStockLevelUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Stock of a product with variants is the total of its variants, which are not stocked per warehouse
+    if (product.hasVariants()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock for this product is managed per variant. Use /api/products/:id/variants/:variantId instead.'
+      });
+    }
+
+    const { level, product: updatedProduct } = await InventoryService.setStockLevel(
+      product._id,
+      warehouse._id,
+      parseInt(req.body.quantity),
+      { user: req.user, reason: req.body.reason }
+    );
+
+    res.json({
+      success: true,
+      message: 'Stock level updated successfully',
+      data: {
+        level,
+        totalStock: updatedProduct.stock
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update stock level',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/warehouses/:id/pincodes
+ * @desc Assign delivery pincodes to a warehouse
+ * @access Private (admin only)
+ * @param {string} id - Warehouse ID
+ * @param {array} pincodes - 6-digit pincodes served by this warehouse
+ * @returns {object} Number of pincodes assigned and any unknown pincodes
+ */
+router.put('/:id/pincodes', validateObjectId(), validateWarehousePincodes, handleValidationErrors, async (req, res) => {
+  try {
+    const { pincodes } = req.body;
+
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const result = await Pincode.updateMany(
+      { pincode: { $in: pincodes } },
+      { warehouse: warehouse._id }
+    );
+
+    const known = await Pincode.find({ pincode: { $in: pincodes } }).distinct('pincode');
+    const unknown = pincodes.filter(pincode => !known.includes(pincode));
+
+    res.json({
+      success: true,
+      message: 'Pincodes assigned successfully',
+      data: {
+        assignedCount: result.modifiedCount,
+        unknownPincodes: unknown
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign pincodes',
+      error: error.message
+    });
+  }
+});
+
+export default router;
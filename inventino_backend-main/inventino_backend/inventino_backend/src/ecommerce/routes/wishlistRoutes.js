@@ -11,10 +11,25 @@ import authMiddleware from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// Match a wishlist or cart line by product and variant
+const isSameItem = (item, productId, variantId) => {
+    return item.product.toString() === productId &&
+        (item.variant ? item.variant.toString() : null) === (variantId || null);
+};
+
+// Resolve the variant to buy; products with variants must name one
+const resolveVariant = (product, variantId) => {
+    if (variantId) {
+        const variant = product.variants.id(variantId);
+        return variant && variant.isActive ? { variant } : { error: 'Variant not found' };
+    }
+    return product.hasVariants() ? { error: 'Please choose a variant of this product' } : { variant: null };
+};
+
 // Get user's wishlist
 router.get('/', authMiddleware, async (req, res) => {
     try {
-        const wishlist = await Wishlist.findOne({ user: req.user._id })
+        const wishlist = await Wishlist.findOne({ user: req.user.id })
             .populate({
                 path: 'products.product',
                 select: 'name price images category stock isActive description brand rating',
@@ -50,7 +65,7 @@ router.get('/', authMiddleware, async (req, res) => {
 // Add product to wishlist
 router.post('/', authMiddleware, validateWishlistItem, handleValidationErrors, async (req, res) => {
     try {
-        const { productId } = req.body;
+        const { productId, variantId = null } = req.body;
 
         // Check if product exists and is active
         const product = await Product.findById(productId);
@@ -60,20 +75,23 @@ router.post('/', authMiddleware, validateWishlistItem, handleValidationErrors, a
         if (!product.isActive) {
             return res.status(400).json({ message: 'Product is not available' });
         }
+        if (variantId && !product.variants.id(variantId)) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
 
         // Find or create wishlist for user
-        let wishlist = await Wishlist.findOne({ user: req.user._id });
+        let wishlist = await Wishlist.findOne({ user: req.user.id });
 
         if (!wishlist) {
             wishlist = new Wishlist({
-                user: req.user._id,
+                user: req.user.id,
                 products: []
             });
         }
 
         // Check if product already exists in wishlist
         const existingProductIndex = wishlist.products.findIndex(
-            item => item.product.toString() === productId
+            item => isSameItem(item, productId, variantId)
         );
 
         if (existingProductIndex > -1) {
@@ -83,7 +101,9 @@ router.post('/', authMiddleware, validateWishlistItem, handleValidationErrors, a
         // Add product to wishlist
         wishlist.products.push({
             product: productId,
-            addedAt: new Date()
+            variant: variantId,
+            addedAt: new Date(),
+            priceWhenAdded: product.priceFor(variantId)
         });
 
         await wishlist.save();
@@ -109,13 +129,13 @@ router.post('/', authMiddleware, validateWishlistItem, handleValidationErrors, a
     }
 });
 
-// Remove product from wishlist
+// Remove product from wishlist (?variantId= for a specific variant)
 router.delete('/:productId', authMiddleware, validateObjectId('productId'), handleValidationErrors, async (req, res) => {
     try {
         const { productId } = req.params;
 
-        const wishlist = await Wishlist.findOne({ user: req.user._id });
-        console.log('Delete product from wishlist for userId:', req.user._id, 'productId:', productId, 'wishlist found:', !!wishlist);
+        const wishlist = await Wishlist.findOne({ user: req.user.id });
+        console.log('Delete product from wishlist for userId:', req.user.id, 'productId:', productId, 'wishlist found:', !!wishlist);
 
         if (!wishlist) {
             return res.status(404).json({ message: 'Wishlist not found' });
@@ -123,7 +143,7 @@ router.delete('/:productId', authMiddleware, validateObjectId('productId'), hand
 
         // Find product in wishlist
         const productIndex = wishlist.products.findIndex(
-            item => item.product.toString() === productId
+            item => isSameItem(item, productId, req.query.variantId)
         );
 
         if (productIndex === -1) {
@@ -147,7 +167,7 @@ router.delete('/:productId', authMiddleware, validateObjectId('productId'), hand
 router.delete('/', authMiddleware, async (req, res) => {
     try {
         const wishlist = await Wishlist.findOneAndUpdate(
-            { user: req.user._id },
+            { user: req.user.id },
             { $set: { products: [] } },
             { new: true }
         );
@@ -165,7 +185,7 @@ router.delete('/', authMiddleware, async (req, res) => {
     }
 });
 
-// Direct add product to cart
+// Direct add product to cart (?variantId= for products with variants)
 router.post('/:productId/add-to-cart', authMiddleware, validateObjectId('productId'), handleValidationErrors, async (req, res) => {
     try {
         const { productId } = req.params;
@@ -177,6 +197,12 @@ router.post('/:productId/add-to-cart', authMiddleware, validateObjectId('product
             return res.status(404).json({ message: 'Product not found or inactive' });
         }
 
+        const variantId = req.query.variantId || null;
+        const { variant, error: variantError } = resolveVariant(product, variantId);
+        if (variantError) {
+            return res.status(400).json({ message: variantError });
+        }
+
         // Find or create user's cart
         let cart = await Cart.findOne({ user: userId });
         if (!cart) {
@@ -189,7 +215,7 @@ router.post('/:productId/add-to-cart', authMiddleware, validateObjectId('product
 
         // Check if product already in cart
         const cartItemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId
+            item => isSameItem(item, productId, variantId)
         );
         if (cartItemIndex > -1) {
             return res.status(400).json({ message: 'Product already in cart' });
@@ -198,8 +224,9 @@ router.post('/:productId/add-to-cart', authMiddleware, validateObjectId('product
         // Add product to cart with quantity 1 and price
         cart.items.push({
             product: productId,
+            variant: variant ? variant._id : null,
             quantity: 1,
-            price: product.price,
+            price: product.priceFor(variantId),
             addedAt: new Date()
         });
 
@@ -223,7 +250,7 @@ router.post('/:productId/add-to-cart', authMiddleware, validateObjectId('product
 router.post('/:productId/buy-now', authMiddleware, validateObjectId('productId'), handleValidationErrors, async (req, res) => {
     try {
         const { productId } = req.params;
-        const userId = req.user._id;
+        const userId = req.user.id;
         console.log('Buy-now called for userId:', userId, 'productId:', productId);
 
         // Find product details
@@ -232,6 +259,12 @@ router.post('/:productId/buy-now', authMiddleware, validateObjectId('productId')
             return res.status(404).json({ message: 'Product not found or inactive' });
         }
 
+        const variantId = req.query.variantId || null;
+        const { variant, error: variantError } = resolveVariant(product, variantId);
+        if (variantError) {
+            return res.status(400).json({ message: variantError });
+        }
+
         // Find or create user's cart
         let cart = await Cart.findOne({ user: userId });
         if (!cart) {
@@ -244,7 +277,7 @@ router.post('/:productId/buy-now', authMiddleware, validateObjectId('productId')
 
         // Check if product already in cart
         const cartItemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId
+            item => isSameItem(item, productId, variantId)
         );
         if (cartItemIndex > -1) {
             return res.status(400).json({ message: 'Product already in cart' });
@@ -253,8 +286,9 @@ router.post('/:productId/buy-now', authMiddleware, validateObjectId('productId')
         // Add product to cart with quantity 1 and price
         cart.items.push({
             product: productId,
+            variant: variant ? variant._id : null,
             quantity: 1,
-            price: product.price,
+            price: product.priceFor(variantId),
             addedAt: new Date()
         });
 
@@ -270,7 +304,7 @@ router.post('/:productId/buy-now', authMiddleware, validateObjectId('productId')
         let productRemoved = false;
         if (wishlist) {
             const productIndex = wishlist.products.findIndex(
-                item => item.product.toString() === productId
+                item => isSameItem(item, productId, variantId)
             );
             if (productIndex > -1) {
                 wishlist.products.splice(productIndex, 1);
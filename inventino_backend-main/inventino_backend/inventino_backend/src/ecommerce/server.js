@@ -1,5 +1,6 @@
 import app from './app.js';
 import connectEcommerceDB from './config/database.js';
+import CartReservationService from './services/cartReservationService.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -24,6 +25,9 @@ const startServer = async () => {
 
     console.log('✅ Database connected successfully');
 
+    // Release cart stock holds once they expire
+    CartReservationService.startSweeper();
+
     const server = app.listen(PORT, () => {
       console.log(`🚀 E-commerce server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -33,6 +37,7 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🔄 SIGTERM received, shutting down gracefully');
+      CartReservationService.stopSweeper();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
@@ -0,0 +1,264 @@
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import Product from '../models/Product.js';
+import CartReservation from '../models/CartReservation.js';
+import inventoryConfig from '../config/inventory.js';
+
+const toId = value => (value?._id || value || null);
+const lineKey = (product, variant) => `${toId(product)}:${variant ? toId(variant) : ''}`;
+
+// Adding to the cart holds stock for a while so it is not sold to someone
+// else mid-checkout. Holds are soft: they never change Product.stock, only
+// what other shoppers see as available, and they lapse on their own.
+class CartReservationService {
+  constructor() {
+    this.sweeper = null;
+  }
+
+  get ttlMinutes() {
+    return inventoryConfig.cartReservationMinutes;
+  }
+
+  /**
+   * Active holds per product and variant.
+   * @param {Array} productIds
+   * @param {Object} options - { excludeUser } leaves out that shopper's own holds
+   * @returns {Promise<Map>} lineKey -> quantity held
+   */
+  async getHeldQuantities(productIds, { excludeUser = null } = {}) {
+    const match = {
+      product: { $in: productIds.map(id => new mongoose.Types.ObjectId(toId(id).toString())) },
+      expiresAt: { $gt: new Date() }
+    };
+    if (excludeUser) {
+      match.user = { $ne: new mongoose.Types.ObjectId(excludeUser.toString()) };
+    }
+
+    const groups = await CartReservation.aggregate([
+      { $match: match },
+      { $group: { _id: { product: '$product', variant: '$variant' }, quantity: { $sum: '$quantity' } } }
+    ]);
+    return new Map(groups.map(group => [lineKey(group._id.product, group._id.variant), group.quantity]));
+  }
+
+  /**
+   * Stock of a product or variant that is not held by other shoppers.
+   * @param {Product} product
+   * @param {string} variantId
+   * @param {Object} options - { excludeUser }
+   * @returns {Promise<number>}
+   */
+  async getAvailable(product, variantId, { excludeUser = null } = {}) {
+    const holder = variantId ? product.variants.id(variantId) : product;
+    const held = await this.getHeldQuantities([product._id], { excludeUser });
+    return Math.max((holder?.stock ?? 0) - (held.get(lineKey(product._id, variantId)) || 0), 0);
+  }
+
+  /**
+   * Hold stock for a cart line, replacing the shopper's previous hold for
+   * it and restarting the expiry clock. Products that take backorders or
+   * pre-orders can be held beyond availability; only the units in stock are
+   * held for them.
+   * @param {string} userId
+   * @param {Product} product
+   * @param {string} variantId
+   * @param {number} quantity - total quantity of the line in the cart
+   * @returns {Promise<Object>} { success, available, reserved, expiresAt }
+   */
+  async reserve(userId, product, variantId, quantity) {
+    const filter = { user: userId, product: product._id, variant: variantId || null };
+    const holder = variantId ? product.variants.id(variantId) : product;
+    const canWait = product.backorder?.allowed || product.isPreorderOpen();
+
+    const available = await this.getAvailable(product, variantId, { excludeUser: userId });
+    if (quantity > available && !canWait) {
+      return { success: false, available, reserved: 0, expiresAt: null };
+    }
+
+    const previous = await CartReservation.findOne(filter);
+    const expiresAt = new Date(Date.now() + this.ttlMinutes * 60 * 1000);
+    let reserved = Math.min(quantity, available);
+    await CartReservation.updateOne(filter, { $set: { quantity: reserved, expiresAt } }, { upsert: true, runValidators: true });
+
+    // Another shopper may have taken the same units between the check and
+    // the write; whoever finds the total over stock gives way
+    const held = await this.getHeldQuantities([product._id]);
+    const overCommitted = (held.get(lineKey(product._id, variantId)) || 0) - holder.stock;
+    if (overCommitted > 0 && reserved > 0) {
+      if (!canWait) {
+        if (previous && previous.expiresAt > new Date()) {
+          await CartReservation.updateOne(filter, { $set: { quantity: previous.quantity, expiresAt: previous.expiresAt } });
+        } else {
+          await CartReservation.deleteOne(filter);
+        }
+        return { success: false, available: Math.max(available - overCommitted, 0), reserved: 0, expiresAt: null };
+      }
+      reserved = Math.max(reserved - overCommitted, 0);
+      await CartReservation.updateOne(filter, { $set: { quantity: reserved } }, { runValidators: true });
+    }
+
+    return { success: true, available, reserved, expiresAt };
+  }
+
+  /**
+   * Release the hold for one cart line.
+   * @returns {Promise<void>}
+   */
+  async release(userId, productId, variantId = null) {
+    await CartReservation.deleteOne({ user: userId, product: productId, variant: variantId || null });
+  }
+
+  /**
+   * Release a shopper's holds for the lines of an order placed outside
+   * checkout; the order's own stock takes their place.
+   * @param {string} userId
+   * @param {Array} items - [{ product, variant }]
+   * @returns {Promise<void>}
+   */
+  async releaseLines(userId, items) {
+    if (!items.length) return;
+    await CartReservation.deleteMany({
+      user: userId,
+      $or: items.map(item => ({ product: toId(item.product), variant: toId(item.variant) }))
+    });
+  }
+
+  /**
+   * Release every hold of a shopper, e.g. once their cart becomes an order.
+   * @returns {Promise<void>}
+   */
+  async releaseForUser(userId) {
+    await CartReservation.deleteMany({ user: userId });
+  }
+
+  /**
+   * Lines whose quantity is more than the stock not held by other
+   * shoppers. Backorder and pre-order products are never short.
+   * @param {Array} items - [{ product, variant, quantity }]
+   * @param {Object} options - { user } whose own holds count as available
+   * @returns {Promise<Array>} [{ product, variant, requested, available }]
+   */
+  async findShortLines(items, { user = null } = {}) {
+    const productIds = [...new Set(items.map(item => toId(item.product).toString()))];
+    const [products, held] = await Promise.all([
+      Product.find({ _id: { $in: productIds } }).select('stock variants._id variants.stock backorder preorder'),
+      this.getHeldQuantities(productIds, { excludeUser: user?.id || null })
+    ]);
+
+    const totals = new Map();
+    items.forEach(item => {
+      const key = lineKey(item.product, item.variant);
+      const line = totals.get(key) || { product: toId(item.product), variant: toId(item.variant), quantity: 0 };
+      line.quantity += Number(item.quantity);
+      totals.set(key, line);
+    });
+
+    const short = [];
+    totals.forEach((line, key) => {
+      const product = products.find(candidate => candidate._id.toString() === line.product.toString());
+      if (!product || product.backorder?.allowed || product.isPreorderOpen()) return;
+
+      const holder = line.variant ? product.variants.id(line.variant) : product;
+      const available = Math.max((holder?.stock ?? 0) - (held.get(key) || 0), 0);
+      if (line.quantity > available) {
+        short.push({ product: line.product, variant: line.variant, requested: line.quantity, available });
+      }
+    });
+    return short;
+  }
+
+  /**
+   * Availability of each line of a cart whose products are populated.
+   * @param {Cart} cart
+   * @returns {Promise<Array>} per line { available, reserved, expiresAt, status }
+   */
+  async getCartAvailability(cart) {
+    const products = cart.items.map(item => item.product).filter(Boolean);
+    const [held, reservations] = await Promise.all([
+      this.getHeldQuantities(products.map(product => product._id), { excludeUser: cart.user }),
+      CartReservation.find({ user: cart.user })
+    ]);
+    const now = new Date();
+
+    return cart.items.map(item => {
+      const product = item.product;
+      const holder = product && item.variant ? product.variants.id(item.variant) : product;
+      if (!product || !product.isActive || !holder || holder.isActive === false) {
+        return { available: 0, reserved: 0, expiresAt: null, status: 'unavailable' };
+      }
+
+      const key = lineKey(product._id, item.variant);
+      const available = Math.max(holder.stock - (held.get(key) || 0), 0);
+      const reservation = reservations.find(entry => lineKey(entry.product, entry.variant) === key);
+      const active = reservation && reservation.expiresAt > now;
+      const canWait = product.backorder?.allowed || product.isPreorderOpen();
+
+      let status = 'reserved';
+      if (!active) {
+        status = available >= item.quantity || canWait ? 'expired' : 'insufficient_stock';
+      } else if (reservation.quantity < item.quantity) {
+        status = canWait ? 'partially_reserved' : 'insufficient_stock';
+      }
+
+      return {
+        available,
+        reserved: active ? reservation.quantity : 0,
+        expiresAt: active ? reservation.expiresAt : null,
+        status
+      };
+    });
+  }
+
+  /**
+   * Products as plain objects with held units taken off stock, for
+   * storefront listings. `reservedStock` is the product-wide total held.
+   * @param {Array} products - Product documents
+   * @returns {Promise<Array>}
+   */
+  async applyToProducts(products) {
+    const held = await this.getHeldQuantities(products.map(product => product._id));
+
+    return products.map(product => {
+      const data = product.toObject();
+      let reservedStock = held.get(lineKey(product._id, null)) || 0;
+      (data.variants || []).forEach(variant => {
+        const variantHeld = held.get(lineKey(product._id, variant._id)) || 0;
+        variant.stock = Math.max(variant.stock - variantHeld, 0);
+        reservedStock += variantHeld;
+      });
+      data.stock = Math.max(data.stock - reservedStock, 0);
+      data.reservedStock = reservedStock;
+      return data;
+    });
+  }
+
+  /**
+   * Delete holds that have expired.
+   * @returns {Promise<number>} number of holds released
+   */
+  async sweepExpired() {
+    const result = await CartReservation.deleteMany({ expiresAt: { $lte: new Date() } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Start releasing expired holds on the configured schedule.
+   */
+  startSweeper() {
+    if (this.sweeper) return;
+    this.sweeper = cron.schedule(inventoryConfig.cartReservationSweep, async () => {
+      try {
+        await this.sweepExpired();
+      } catch (error) {
+        console.error('Failed to release expired cart reservations:', error);
+      }
+    });
+  }
+
+  stopSweeper() {
+    this.sweeper?.stop();
+    this.sweeper = null;
+  }
+}
+
+export default new CartReservationService();
@@ -0,0 +1,281 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import CostLayer from '../models/CostLayer.js';
+import inventoryConfig from '../config/inventory.js';
+
+const toId = value => (value?._id || value || null);
+const roundCost = value => Math.round(value * 10000) / 10000;
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Cost is kept per product, or per variant for products with variants.
+// Every stock change keeps both the FIFO layers and the running weighted
+// average up to date; the configured method decides which one is charged
+// to cost of goods sold and used to value stock.
+class CostingService {
+  get method() {
+    return inventoryConfig.costingMethod;
+  }
+
+  getAverageCost(product, variantId) {
+    const holder = variantId ? product.variants.id(variantId) : product;
+    return holder?.averageCost ?? null;
+  }
+
+  getOnHand(product, variantId) {
+    const holder = variantId ? product.variants.id(variantId) : product;
+    return holder?.stock ?? 0;
+  }
+
+  /**
+   * Cost a stock change that has already been applied to the product.
+   * Units added enter at `unitCost`, or at the current average cost when
+   * none is given; units removed are costed by the configured method.
+   * @param {Product} product - product after the change
+   * @param {string} variantId
+   * @param {number} quantity - signed change that was applied
+   * @param {number} unitCost - cost of units added (optional)
+   * @returns {Promise<Object>} { unitCost, totalCost } with totalCost signed like quantity
+   */
+  async recordCost(product, variantId, quantity, unitCost = null) {
+    if (quantity > 0) {
+      return this.addUnits(product, variantId, quantity, unitCost);
+    }
+    return this.removeUnits(product, variantId, -quantity);
+  }
+
+  /**
+   * Add a cost layer and fold the units into the weighted average.
+   * @returns {Promise<Object>} { unitCost, totalCost }
+   */
+  async addUnits(product, variantId, quantity, unitCost) {
+    const average = this.getAverageCost(product, variantId);
+    const cost = roundCost(Number(unitCost ?? average ?? 0));
+
+    await CostLayer.create({
+      product: product._id,
+      variant: toId(variantId),
+      unitCost: cost,
+      quantityReceived: quantity,
+      quantityRemaining: quantity
+    });
+
+    // Units on hand before this change keep their old average
+    const previousUnits = Math.max(this.getOnHand(product, variantId) - quantity, 0);
+    const previousValue = previousUnits * (average ?? cost);
+    const newAverage = roundCost((previousValue + quantity * cost) / (previousUnits + quantity));
+    await this.setAverageCost(product._id, variantId, newAverage);
+
+    return { unitCost: cost, totalCost: roundMoney(quantity * cost) };
+  }
+
+  /**
+   * Use up cost layers oldest first. Units not covered by layers, such as
+   * stock that predates costing, are costed at the average cost.
+   * @returns {Promise<Object>} { unitCost, totalCost }
+   */
+  async removeUnits(product, variantId, quantity) {
+    const average = this.getAverageCost(product, variantId) ?? 0;
+    const layers = await CostLayer.find({
+      product: product._id,
+      variant: toId(variantId),
+      quantityRemaining: { $gt: 0 }
+    }).sort({ createdAt: 1, _id: 1 });
+
+    let remaining = quantity;
+    let fifoCost = 0;
+    for (const candidate of layers) {
+      if (remaining === 0) break;
+      const take = Math.min(candidate.quantityRemaining, remaining);
+
+      // Conditional so a layer used by a concurrent sale is skipped, not overdrawn
+      const layer = await CostLayer.findOneAndUpdate(
+        { _id: candidate._id, quantityRemaining: { $gte: take } },
+        { $inc: { quantityRemaining: -take } }
+      );
+      if (!layer) continue;
+
+      fifoCost += take * layer.unitCost;
+      remaining -= take;
+    }
+    fifoCost += remaining * average;
+
+    const totalCost = this.method === 'fifo' ? fifoCost : quantity * average;
+    return { unitCost: roundCost(totalCost / quantity), totalCost: -roundMoney(totalCost) };
+  }
+
+  async setAverageCost(productId, variantId, averageCost) {
+    if (variantId) {
+      await Product.updateOne(
+        { _id: productId, 'variants._id': variantId },
+        { $set: { 'variants.$.averageCost': averageCost } }
+      );
+      return;
+    }
+    await Product.updateOne({ _id: productId }, { $set: { averageCost } });
+  }
+
+  /**
+   * Value of stock on hand for every product, one row per variant for
+   * products with variants.
+   * @param {Object} options - { category }
+   * @returns {Promise<Object>} { method, rows, byCategory, totals }
+   */
+  async getValuation({ category = null } = {}) {
+    const filter = category ? { category } : {};
+    const products = await Product.find(filter)
+      .select('name sku stock averageCost category variants.sku variants.stock variants.averageCost variants._id')
+      .populate('category', 'name slug');
+
+    const layers = await CostLayer.aggregate([
+      { $match: { product: { $in: products.map(product => product._id) }, quantityRemaining: { $gt: 0 } } },
+      {
+        $group: {
+          _id: { product: '$product', variant: '$variant' },
+          quantity: { $sum: '$quantityRemaining' },
+          value: { $sum: { $multiply: ['$quantityRemaining', '$unitCost'] } }
+        }
+      }
+    ]);
+    const layerTotals = new Map(layers.map(entry => [`${entry._id.product}:${entry._id.variant || ''}`, entry]));
+
+    const rows = [];
+    products.forEach(product => {
+      const holders = product.variants.length > 0 ? product.variants : [product];
+      holders.forEach(holder => {
+        const variantId = holder === product ? null : holder._id;
+        const average = holder.averageCost ?? 0;
+        const layerTotal = layerTotals.get(`${product._id}:${variantId || ''}`);
+
+        let value = holder.stock * average;
+        if (this.method === 'fifo') {
+          const layered = Math.min(layerTotal?.quantity || 0, holder.stock);
+          const layeredValue = layerTotal ? layerTotal.value * (layered / layerTotal.quantity) : 0;
+          value = layeredValue + (holder.stock - layered) * average;
+        }
+
+        rows.push({
+          product: product._id,
+          variant: variantId,
+          name: product.name,
+          sku: holder.sku,
+          category: product.category,
+          stock: holder.stock,
+          unitCost: holder.stock > 0 ? roundCost(value / holder.stock) : holder.averageCost ?? null,
+          value: roundMoney(value)
+        });
+      });
+    });
+
+    const categories = new Map();
+    rows.forEach(row => {
+      const key = row.category?._id?.toString() || 'uncategorised';
+      const entry = categories.get(key) || { category: row.category || null, stock: 0, value: 0 };
+      entry.stock += row.stock;
+      entry.value = roundMoney(entry.value + row.value);
+      categories.set(key, entry);
+    });
+
+    return {
+      method: this.method,
+      rows: rows.sort((a, b) => b.value - a.value),
+      byCategory: Array.from(categories.values()).sort((a, b) => b.value - a.value),
+      totals: {
+        stock: rows.reduce((total, row) => total + row.stock, 0),
+        value: roundMoney(rows.reduce((total, row) => total + row.value, 0))
+      }
+    };
+  }
+
+  /**
+   * Revenue, cost of goods sold and gross margin of allocated order lines.
+   * Revenue is net of order discounts, spread over lines by value.
+   * Cancelled and returned orders are left out.
+   * @param {Object} options - { from, to, category, groupBy: 'product' | 'category' }
+   * @returns {Promise<Object>} { rows, totals }
+   */
+  async getMargins({ from = null, to = null, category = null, groupBy = 'product' } = {}) {
+    const match = { orderStatus: { $nin: ['cancelled', 'returned'] } };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const pipeline = [
+      { $match: match },
+      {
+        $addFields: {
+          discountFactor: {
+            $cond: [
+              { $gt: ['$subtotal', 0] },
+              { $divide: [{ $subtract: ['$subtotal', { $ifNull: ['$discountAmount', 0] }] }, '$subtotal'] },
+              1
+            ]
+          }
+        }
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.pendingQuantity': { $not: { $gt: 0 } } } },
+      { $lookup: { from: 'products', localField: 'items.product', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' }
+    ];
+    if (category) {
+      pipeline.push({ $match: { 'product.category': new mongoose.Types.ObjectId(category.toString()) } });
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          _id: groupBy === 'category' ? '$product.category' : '$product._id',
+          name: { $first: groupBy === 'category' ? null : '$product.name' },
+          sku: { $first: groupBy === 'category' ? null : '$product.sku' },
+          unitsSold: { $sum: '$items.quantity' },
+          revenue: { $sum: { $multiply: ['$items.price', '$items.quantity', '$discountFactor'] } },
+          cogs: { $sum: { $ifNull: ['$items.cogs', 0] } },
+          uncostedUnits: { $sum: { $cond: [{ $in: [{ $type: '$items.cogs' }, ['missing', 'null']] }, '$items.quantity', 0] } }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    );
+    if (groupBy === 'category') {
+      pipeline.push(
+        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+        { $addFields: { name: { $first: '$category.name' } } },
+        { $project: { category: 0 } }
+      );
+    }
+
+    const groups = await Order.aggregate(pipeline);
+    const describe = ({ revenue, cogs }) => ({
+      revenue: roundMoney(revenue),
+      cogs: roundMoney(cogs),
+      grossMargin: roundMoney(revenue - cogs),
+      marginPercent: revenue > 0 ? Number((((revenue - cogs) / revenue) * 100).toFixed(2)) : null
+    });
+
+    const rows = groups.map(group => ({
+      [groupBy]: group._id,
+      name: group.name,
+      ...(groupBy === 'product' ? { sku: group.sku } : {}),
+      unitsSold: group.unitsSold,
+      uncostedUnits: group.uncostedUnits,
+      ...describe(group)
+    }));
+
+    return {
+      method: this.method,
+      rows,
+      totals: {
+        unitsSold: groups.reduce((total, group) => total + group.unitsSold, 0),
+        uncostedUnits: groups.reduce((total, group) => total + group.uncostedUnits, 0),
+        ...describe({
+          revenue: groups.reduce((total, group) => total + group.revenue, 0),
+          cogs: groups.reduce((total, group) => total + group.cogs, 0)
+        })
+      }
+    };
+  }
+}
+
+export default new CostingService();
@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Used when neither the product nor a supplier it was bought from has a lead time
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+const round = (value, places = 2) => Number(value.toFixed(places));
+const mean = values => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0);
+const startOfUtcDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const standardDeviation = values => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+// Inverse of the standard normal distribution for p >= 0.5
+// (Abramowitz and Stegun 26.2.23, accurate to about 4.5e-4)
+const normalQuantile = p => {
+  const t = Math.sqrt(-2 * Math.log(1 - p));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+};
+
+// Demand forecasts from order history. Sales are counted per product per
+// UTC day from non-cancelled orders; products with variants are forecast
+// as a whole. Everything is computed in-process from the order history.
+class ForecastService {
+  /**
+   * Units sold per day for each product over the last `history` full days,
+   * oldest first, with zeros for days without sales.
+   * @param {Array} productIds
+   * @param {Object} options - { history } days
+   * @returns {Promise<Object>} { start, series: Map productId -> number[] }
+   */
+  async getDailySales(productIds, { history = 90 } = {}) {
+    const end = startOfUtcDay(new Date());
+    const start = new Date(end.getTime() - history * DAY_MS);
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+    const rows = await Order.aggregate([
+      { $match: { createdAt: { $gte: start, $lt: end }, orderStatus: { $ne: 'cancelled' }, 'items.product': { $in: ids } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: ids } } },
+      {
+        $group: {
+          _id: { product: '$items.product', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+          units: { $sum: '$items.quantity' }
+        }
+      }
+    ]);
+
+    const series = new Map(ids.map(id => [id.toString(), new Array(history).fill(0)]));
+    rows.forEach(row => {
+      const index = Math.round((Date.parse(row._id.day) - start.getTime()) / DAY_MS);
+      const values = series.get(row._id.product.toString());
+      if (values && index >= 0 && index < history) values[index] = row.units;
+    });
+
+    return { start, series };
+  }
+
+  /**
+   * Day-of-week demand relative to the average day, indexed by
+   * Date#getUTCDay. Flat when there is under two weeks of history or no
+   * sales.
+   * @param {Array} values - daily sales, oldest first
+   * @param {Date} start - date of values[0]
+   * @returns {Array} seven indices averaging 1
+   */
+  getWeekdayIndices(values, start) {
+    const overall = mean(values);
+    if (values.length < 14 || overall === 0) return new Array(7).fill(1);
+
+    const byWeekday = Array.from({ length: 7 }, () => []);
+    values.forEach((value, index) => {
+      byWeekday[new Date(start.getTime() + index * DAY_MS).getUTCDay()].push(value);
+    });
+    return byWeekday.map(days => mean(days) / overall);
+  }
+
+  /**
+   * Forecast daily demand for the days after the history ends.
+   * The moving average repeats the mean of the last `window` days. The
+   * seasonal model takes the same window with the weekday pattern removed
+   * and puts the pattern back on each forecast day.
+   * @param {Array} values - daily sales, oldest first
+   * @param {Date} start - date of values[0]
+   * @param {Object} options - { method, window, days }
+   * @returns {Array} [{ date, units }]
+   */
+  forecast(values, start, { method = 'seasonal', window = 28, days = 30 } = {}) {
+    const first = new Date(start.getTime() + values.length * DAY_MS);
+    const recent = values.slice(-window);
+    const recentStart = values.length - recent.length;
+
+    let level = mean(recent);
+    let indices = new Array(7).fill(1);
+    if (method === 'seasonal') {
+      indices = this.getWeekdayIndices(values, start);
+      const weight = recent.reduce((total, value, index) => {
+        return total + indices[new Date(start.getTime() + (recentStart + index) * DAY_MS).getUTCDay()];
+      }, 0);
+      level = weight > 0 ? recent.reduce((total, value) => total + value, 0) / weight : 0;
+    }
+
+    return Array.from({ length: days }, (value, index) => {
+      const date = new Date(first.getTime() + index * DAY_MS);
+      return { date, units: level * indices[date.getUTCDay()] };
+    });
+  }
+
+  /**
+   * Lead time and units on order for each product. The product's own lead
+   * time wins, then that of the supplier it was last ordered from.
+   * @param {Array} products - with leadTimeDays
+   * @returns {Promise<Map>} productId -> { leadTimeDays, leadTimeSource, supplier, onOrder }
+   */
+  async getSupplyInfo(products) {
+    const purchaseOrders = await PurchaseOrder.find({
+      'lines.product': { $in: products.map(product => product._id) },
+      status: { $ne: 'draft' }
+    })
+      .select('supplier status lines.product lines.quantityOrdered lines.quantityReceived createdAt')
+      .populate('supplier', 'name leadTimeDays')
+      .sort({ createdAt: -1 });
+
+    return new Map(products.map(product => {
+      const orders = purchaseOrders.filter(purchaseOrder => purchaseOrder.lines.some(line => line.product.equals(product._id)));
+      const supplier = orders.find(purchaseOrder => purchaseOrder.supplier)?.supplier || null;
+
+      const onOrder = orders
+        .filter(purchaseOrder => ['sent', 'partially_received'].includes(purchaseOrder.status))
+        .flatMap(purchaseOrder => purchaseOrder.lines
+          .filter(line => line.product.equals(product._id))
+          .map(line => purchaseOrder.openQuantity(line)))
+        .reduce((total, quantity) => total + quantity, 0);
+
+      let leadTimeDays = DEFAULT_LEAD_TIME_DAYS;
+      let leadTimeSource = 'default';
+      if (product.leadTimeDays !== null && product.leadTimeDays !== undefined) {
+        leadTimeDays = product.leadTimeDays;
+        leadTimeSource = 'product';
+      } else if (supplier?.leadTimeDays !== null && supplier?.leadTimeDays !== undefined) {
+        leadTimeDays = supplier.leadTimeDays;
+        leadTimeSource = 'supplier';
+      }
+
+      return [product._id.toString(), {
+        leadTimeDays,
+        leadTimeSource,
+        supplier: supplier ? { _id: supplier._id, name: supplier.name } : null,
+        onOrder
+      }];
+    }));
+  }
+
+  /**
+   * Forecast and reorder suggestion for one product. Enough is ordered to
+   * cover demand over the lead time and the following `horizon` days, plus
+   * safety stock for the chosen service level, less stock on hand and on
+   * order. Units owed to backorders and pre-orders count against stock.
+   * @returns {Object}
+   */
+  plan(product, values, start, supply, { method, window, horizon, serviceLevel }) {
+    const { leadTimeDays, onOrder } = supply;
+    const daily = this.forecast(values, start, { method, window, days: leadTimeDays + horizon });
+    const leadTimeDemand = daily.slice(0, leadTimeDays).reduce((total, day) => total + day.units, 0);
+    const coverageDemand = daily.reduce((total, day) => total + day.units, 0);
+    const horizonDemand = coverageDemand - leadTimeDemand;
+
+    const safetyStock = Math.ceil(normalQuantile(serviceLevel) * standardDeviation(values) * Math.sqrt(leadTimeDays));
+    const committed = (product.backorder?.quantity || 0) + (product.preorder?.quantity || 0);
+    const position = product.stock + onOrder - committed;
+    const reorderPoint = Math.ceil(leadTimeDemand + safetyStock);
+    const averageDaily = horizon > 0 ? horizonDemand / horizon : 0;
+
+    return {
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      category: product.category,
+      stock: product.stock,
+      onOrder,
+      committed,
+      ...supply,
+      unitsSold: values.reduce((total, value) => total + value, 0),
+      averageDailyForecast: round(averageDaily),
+      horizonForecast: round(horizonDemand),
+      leadTimeDemand: round(leadTimeDemand),
+      safetyStock,
+      suggestedReorderPoint: reorderPoint,
+      suggestedOrderQuantity: Math.max(0, Math.ceil(coverageDemand + safetyStock - position)),
+      needsReorder: position <= reorderPoint,
+      daysOfCover: averageDaily > 0 ? round(product.stock / averageDaily, 1) : null,
+      currentReorderPoint: product.reorderPoint,
+      currentReorderQuantity: product.reorderQuantity
+    };
+  }
+
+  /**
+   * Reorder suggestions for every active product, products to reorder
+   * first and then by days of cover.
+   * @param {Object} options - { method, history, window, horizon, serviceLevel, category }
+   * @returns {Promise<Array>}
+   */
+  async getReorderReport({ method = 'seasonal', history = 90, window = 28, horizon = 30, serviceLevel = 0.95, category = null } = {}) {
+    const filter = { isActive: true };
+    if (category) filter.category = category;
+    const products = await Product.find(filter)
+      .select('name sku stock category reorderPoint reorderQuantity leadTimeDays backorder.quantity preorder.quantity')
+      .populate('category', 'name slug');
+
+    const [{ start, series }, supply] = await Promise.all([
+      this.getDailySales(products.map(product => product._id), { history }),
+      this.getSupplyInfo(products)
+    ]);
+
+    const rows = products.map(product => this.plan(
+      product,
+      series.get(product._id.toString()),
+      start,
+      supply.get(product._id.toString()),
+      { method, window: Math.min(window, history), horizon, serviceLevel }
+    ));
+
+    return rows.sort((a, b) => {
+      if (a.needsReorder !== b.needsReorder) return a.needsReorder ? -1 : 1;
+      if (a.daysOfCover === null) return b.daysOfCover === null ? b.suggestedOrderQuantity - a.suggestedOrderQuantity : 1;
+      if (b.daysOfCover === null) return -1;
+      return a.daysOfCover - b.daysOfCover;
+    });
+  }
+
+  /**
+   * Daily sales history and both forecasts for one product, with its
+   * reorder suggestion.
+   * @param {string} productId
+   * @param {Object} options - as for getReorderReport
+   * @returns {Promise<Object|null>} null when the product does not exist
+   */
+  async getProductForecast(productId, { method = 'seasonal', history = 90, window = 28, horizon = 30, serviceLevel = 0.95 } = {}) {
+    const product = await Product.findById(productId)
+      .select('name sku stock category reorderPoint reorderQuantity leadTimeDays backorder.quantity preorder.quantity');
+    if (!product) return null;
+
+    const [{ start, series }, supply] = await Promise.all([
+      this.getDailySales([product._id], { history }),
+      this.getSupplyInfo([product])
+    ]);
+    const values = series.get(product._id.toString());
+    const options = { window: Math.min(window, history), days: horizon };
+    const describe = days => days.map(day => ({ date: day.date.toISOString().slice(0, 10), units: round(day.units) }));
+
+    return {
+      plan: this.plan(product, values, start, supply.get(product._id.toString()), { method, horizon, serviceLevel, ...options }),
+      history: values.map((units, index) => ({
+        date: new Date(start.getTime() + index * DAY_MS).toISOString().slice(0, 10),
+        units
+      })),
+      weekdayIndices: this.getWeekdayIndices(values, start).map(index => round(index, 3)),
+      forecasts: {
+        moving_average: describe(this.forecast(values, start, { ...options, method: 'moving_average' })),
+        seasonal: describe(this.forecast(values, start, { ...options, method: 'seasonal' }))
+      }
+    };
+  }
+}
+
+export default new ForecastService();
@@ -0,0 +1,1191 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import StockLevel from '../models/StockLevel.js';
+import StockMovement from '../models/StockMovement.js';
+import StockLot from '../models/StockLot.js';
+import TransferOrder from '../models/TransferOrder.js';
+import Warehouse from '../models/Warehouse.js';
+import Pincode from '../models/pincode.js';
+import CostingService from './costingService.js';
+import ProductAlertService from './productAlertService.js';
+import { notifyAdmins, sendNotification } from '../utils/notificationService.js';
+
+const toId = value => (value?._id || value || null);
+const lineKey = (product, variant) => `${toId(product)}:${variant ? toId(variant) : ''}`;
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const NO_WAREHOUSE = 'This product is stocked by warehouse; choose a warehouse or set a default warehouse';
+
+class InventoryService {
+  constructor() {
+    // Pending-order allocation runs one at a time per product
+    this.allocationQueue = new Map();
+  }
+
+  /**
+   * Merge order lines that reference the same product and variant so each
+   * is checked against the total quantity requested for it.
+   * @param {Array} items - [{ product, variant, quantity }]
+   * @returns {Array} [{ product, variant, quantity }]
+   */
+  aggregateQuantities(items) {
+    const totals = new Map();
+    items.forEach(item => {
+      const product = toId(item.product).toString();
+      const variant = item.variant ? toId(item.variant).toString() : null;
+      const key = lineKey(product, variant);
+      const line = totals.get(key) || { product, variant, quantity: 0 };
+      line.quantity += Number(item.quantity);
+      totals.set(key, line);
+    });
+    return Array.from(totals.values());
+  }
+
+  /**
+   * Pick the warehouse that serves a delivery pincode, falling back to the
+   * default warehouse when the pincode is not mapped.
+   * @param {string} zipCode
+   * @returns {Promise<Warehouse|null>}
+   */
+  async resolveWarehouse(zipCode) {
+    if (zipCode) {
+      const pincode = await Pincode.findOne({ pincode: zipCode }).populate('warehouse');
+      if (pincode?.warehouse?.isActive) {
+        return pincode.warehouse;
+      }
+    }
+    return Warehouse.findOne({ isDefault: true, isActive: true });
+  }
+
+  /**
+   * Products that have no StockLevel rows yet are still tracked on
+   * Product.stock alone.
+   * @param {string} productId
+   * @returns {Promise<boolean>}
+   */
+  async isWarehouseTracked(productId) {
+    return Boolean(await StockLevel.exists({ product: productId }));
+  }
+
+  /**
+   * Where a change to a product's stock is held. Warehouse-tracked products
+   * change in the given warehouse, or in the default warehouse when none is
+   * given; warehouse is null for them only when neither exists.
+   * @param {string} productId
+   * @param {string} warehouseId - requested warehouse, if any
+   * @returns {Promise<Object>} { tracked, warehouse }
+   */
+  async locateStock(productId, warehouseId) {
+    if (!await this.isWarehouseTracked(productId)) {
+      return { tracked: false, warehouse: null };
+    }
+    if (warehouseId) {
+      return { tracked: true, warehouse: warehouseId };
+    }
+    const fallback = await this.resolveWarehouse(null);
+    return { tracked: true, warehouse: fallback ? fallback._id : null };
+  }
+
+  /**
+   * Append an entry to the stock ledger.
+   * @param {Object} movement - product, variant, lot, warehouse, type, quantity,
+   *   balances, cost, reason, reasonCode, user (decoded token) and reference ({ kind, document })
+   * @returns {Promise<StockMovement>}
+   */
+  async recordMovement({ product, variant, lot, warehouse, type, quantity, balanceAfter, warehouseBalanceAfter, cost, reason, reasonCode, user, reference }) {
+    return StockMovement.create({
+      product: toId(product),
+      variant: toId(variant),
+      lot: toId(lot),
+      warehouse: toId(warehouse),
+      type,
+      quantity,
+      balanceAfter,
+      warehouseBalanceAfter: warehouseBalanceAfter ?? null,
+      unitCost: cost?.unitCost ?? null,
+      totalCost: cost?.totalCost ?? null,
+      reason,
+      reasonCode,
+      performedBy: user?.id || user?._id || null,
+      performedByModel: user?.role === 'admin' ? 'Admin' : 'User',
+      reference: reference?.document ? { kind: reference.kind, document: toId(reference.document) } : undefined
+    });
+  }
+
+  /**
+   * Alert admins when a change takes stock from above the product's
+   * reorder point to at or below it. Never throws; alerts must not fail
+   * the stock change that triggered them.
+   * @param {Product} product - product after the change
+   * @param {number} quantity - signed change that was applied
+   * @returns {Promise<void>}
+   */
+  async checkReorderPoint(product, quantity) {
+    if (product.reorderPoint === null || product.reorderPoint === undefined) return;
+
+    const previousStock = product.stock - quantity;
+    if (previousStock <= product.reorderPoint || product.stock > product.reorderPoint) return;
+
+    try {
+      await notifyAdmins({
+        subject: `Low stock: ${product.name}`,
+        message: `${product.name}${product.sku ? ` (SKU ${product.sku})` : ''} is down to ${product.stock} units, `
+          + `at or below its reorder point of ${product.reorderPoint}. `
+          + `Suggested reorder quantity: ${product.reorderQuantity ?? 'not set'}.`
+      });
+    } catch (error) {
+      console.error('Failed to send low stock alert:', error);
+    }
+  }
+
+  /**
+   * Apply a signed change to one product, optionally in one warehouse and to
+   * one variant. Removals are conditional updates, so stock never goes below
+   * zero. A variant's stock moves in the same update as Product.stock.
+   * Warehouse-tracked products always change in a warehouse (see locateStock);
+   * the change fails when there is none to hold it.
+   * @returns {Promise<Object|null>} { product, level } or null when short
+   */
+  async applyChange(productId, quantity, warehouseId, variantId = null) {
+    const location = await this.locateStock(productId, warehouseId);
+    if (location.tracked && !location.warehouse) return null;
+    let level = null;
+
+    if (location.tracked) {
+      const levelFilter = { product: productId, warehouse: location.warehouse };
+      if (quantity < 0) levelFilter.quantity = { $gte: -quantity };
+
+      level = await StockLevel.findOneAndUpdate(
+        levelFilter,
+        { $inc: { quantity } },
+        { new: true, upsert: quantity > 0 }
+      );
+      if (!level) return null;
+    }
+
+    const productFilter = { _id: productId };
+    const increments = { stock: quantity };
+    if (quantity < 0) productFilter.stock = { $gte: -quantity };
+    if (variantId) {
+      productFilter.variants = quantity < 0
+        ? { $elemMatch: { _id: variantId, stock: { $gte: -quantity } } }
+        : { $elemMatch: { _id: variantId } };
+      increments['variants.$.stock'] = quantity;
+    }
+
+    const product = await Product.findOneAndUpdate(
+      productFilter,
+      { $inc: increments },
+      { new: true }
+    );
+
+    if (!product && level) {
+      await StockLevel.updateOne(
+        { product: productId, warehouse: location.warehouse },
+        { $inc: { quantity: -quantity } }
+      );
+      return null;
+    }
+
+    return product ? { product, level } : null;
+  }
+
+  /**
+   * Describe why a line could not be taken.
+   * @returns {Promise<Object>}
+   */
+  async describeShortLine(line, warehouseId) {
+    const current = await Product.findById(line.product).select('name stock isActive variants trackLots');
+    const variant = current && line.variant ? current.variants.id(line.variant) : null;
+    let available = current && current.isActive ? current.stock : 0;
+    let reason = !current ? 'not_found' : (!current.isActive ? 'inactive' : 'insufficient_stock');
+
+    if (current && current.isActive) {
+      if (line.variant) {
+        available = variant && variant.isActive ? variant.stock : 0;
+        if (!variant || !variant.isActive) reason = 'variant_unavailable';
+      } else if (current.hasVariants()) {
+        available = 0;
+        reason = 'variant_required';
+      }
+    }
+
+    const location = current ? await this.locateStock(line.product, warehouseId) : { tracked: false, warehouse: null };
+    if (location.tracked) {
+      const level = location.warehouse && await StockLevel.findOne({ product: line.product, warehouse: location.warehouse });
+      available = Math.min(available, level ? level.quantity : 0);
+      if (!location.warehouse && reason === 'insufficient_stock') reason = 'no_warehouse';
+    }
+
+    // Expired lots still count in Product.stock until written off, but cannot be sold
+    if (current?.trackLots && reason === 'insufficient_stock') {
+      const sellable = await this.getSellableLotQuantity(line.product, line.variant, location.warehouse);
+      if (available >= line.quantity && sellable < line.quantity) reason = 'lots_expired';
+      available = Math.min(available, sellable);
+    }
+
+    return {
+      product: line.product,
+      variant: line.variant || null,
+      sku: variant?.sku || null,
+      name: current?.name || null,
+      requested: line.quantity,
+      available,
+      reason
+    };
+  }
+
+  /**
+   * Decrement stock for every line, all or nothing, and record a sale
+   * movement per product. If any line is short, the lines already taken are
+   * put back without touching the ledger and the short lines are reported.
+   * Products with variants can only be taken by variant, and lot-tracked
+   * products are also taken from their unexpired lots, earliest expiry first.
+   * The cost of goods sold of each line is returned in `costs`.
+   * @param {Array} items - [{ product, variant, quantity }]
+   * @param {Object} options - { warehouse, user, reference }
+   * @returns {Promise<Object>} { success, products, lots, costs, shortItems }
+   */
+  async reserveStock(items, { warehouse = null, user = null, reference = null } = {}) {
+    const warehouseId = toId(warehouse);
+    const lines = this.aggregateQuantities(items);
+    const taken = [];
+    const shortItems = [];
+    const products = new Map();
+    const lots = new Map();
+
+    for (const line of lines) {
+      const available = line.variant
+        ? { _id: line.product, isActive: true, variants: { $elemMatch: { _id: line.variant, isActive: true } } }
+        : { _id: line.product, isActive: true, 'variants.isActive': { $ne: true } };
+      const active = await Product.exists(available);
+      const result = active ? await this.applyChange(line.product, -line.quantity, warehouseId, line.variant) : null;
+
+      const location = result?.level?.warehouse || null;
+
+      let allocations = [];
+      if (result?.product.trackLots) {
+        allocations = await this.allocateLots(line.product, line.variant, location, line.quantity);
+        if (!allocations) {
+          await this.applyChange(line.product, line.quantity, location, line.variant);
+        }
+      }
+
+      if (result && allocations) {
+        taken.push({ line, result, location, allocations });
+        products.set(line.product, result.product);
+        lots.set(lineKey(line.product, line.variant), allocations);
+        continue;
+      }
+
+      shortItems.push(await this.describeShortLine(line, warehouseId));
+    }
+
+    if (shortItems.length > 0) {
+      for (const { line, location, allocations } of taken) {
+        await this.applyChange(line.product, line.quantity, location, line.variant);
+        await this.releaseLots(allocations);
+      }
+      return { success: false, products: new Map(), lots: new Map(), costs: new Map(), shortItems };
+    }
+
+    const costs = new Map();
+    for (const { line, result, location } of taken) {
+      const cost = await CostingService.recordCost(result.product, line.variant, -line.quantity);
+      costs.set(lineKey(line.product, line.variant), cost);
+      await this.recordMovement({
+        product: line.product,
+        variant: line.variant,
+        warehouse: location,
+        type: 'sale',
+        quantity: -line.quantity,
+        balanceAfter: result.product.stock,
+        warehouseBalanceAfter: result.level?.quantity,
+        cost,
+        user,
+        reference
+      });
+      this.checkReorderPoint(result.product, -line.quantity);
+    }
+
+    return { success: true, products, lots, costs, shortItems };
+  }
+
+  /**
+   * Reserve stock for a new order, letting lines wait for stock where the
+   * product allows it: lines of products open for pre-order, and short lines
+   * of products that allow backorders (within their limits). A line is
+   * either fully reserved or fully pending, never split.
+   * @param {Array} items - [{ product, variant, quantity }]
+   * @param {Object} options - { warehouse, user, reference }
+   * @returns {Promise<Object>} { success, products, lots, costs, pending, shortItems }
+   */
+  async reserveOrderStock(items, options = {}) {
+    const lines = this.aggregateQuantities(items);
+    const products = await Product.find({ _id: { $in: lines.map(line => line.product) } });
+    const findProduct = id => products.find(product => product._id.toString() === toId(id).toString());
+    const emptyReservation = { success: true, products: new Map(), lots: new Map(), costs: new Map(), shortItems: [] };
+
+    const pending = [];
+    let stockLines = [];
+    lines.forEach(line => {
+      const product = findProduct(line.product);
+      const variantOk = line.variant ? product?.variants.id(line.variant)?.isActive : !product?.hasVariants();
+      if (product?.isActive && variantOk && product.isPreorderOpen()) {
+        pending.push({ ...line, type: 'preorder' });
+      } else {
+        stockLines.push(line);
+      }
+    });
+
+    let reservation = stockLines.length > 0 ? await this.reserveStock(stockLines, options) : emptyReservation;
+
+    if (!reservation.success) {
+      const backorderable = reservation.shortItems.every(short =>
+        ['insufficient_stock', 'lots_expired'].includes(short.reason) && findProduct(short.product)?.backorder?.allowed
+      );
+      if (!backorderable) {
+        return { ...reservation, pending: [] };
+      }
+
+      const shortKeys = new Set(reservation.shortItems.map(short => lineKey(short.product, short.variant)));
+      stockLines.filter(line => shortKeys.has(lineKey(line.product, line.variant)))
+        .forEach(line => pending.push({ ...line, type: 'backorder' }));
+      stockLines = stockLines.filter(line => !shortKeys.has(lineKey(line.product, line.variant)));
+    }
+
+    const claimed = [];
+    for (const line of pending) {
+      if (!await this.claimPendingCapacity(line.product, line.type, line.quantity)) {
+        await this.releasePendingCapacity(claimed);
+        return {
+          success: false,
+          products: new Map(),
+          lots: new Map(),
+          costs: new Map(),
+          pending: [],
+          shortItems: [{
+            product: line.product,
+            variant: line.variant,
+            name: findProduct(line.product)?.name || null,
+            requested: line.quantity,
+            available: 0,
+            reason: `${line.type}_limit_reached`
+          }]
+        };
+      }
+      claimed.push(line);
+    }
+
+    // The first attempt was rolled back; reserve the lines that are in stock
+    if (!reservation.success) {
+      reservation = stockLines.length > 0 ? await this.reserveStock(stockLines, options) : emptyReservation;
+      if (!reservation.success) {
+        await this.releasePendingCapacity(claimed);
+        return { ...reservation, pending: [] };
+      }
+    }
+
+    pending.forEach(line => {
+      if (!reservation.products.has(line.product)) {
+        reservation.products.set(line.product, findProduct(line.product));
+      }
+    });
+    return { ...reservation, pending };
+  }
+
+  /**
+   * Count units against a product's backorder or pre-order limit.
+   * @returns {Promise<boolean>} false when the limit would be exceeded
+   */
+  async claimPendingCapacity(productId, type, quantity) {
+    const field = type === 'preorder' ? 'preorder' : 'backorder';
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        $or: [
+          { [`${field}.limit`]: null },
+          { $expr: { $lte: [{ $add: [`$${field}.quantity`, quantity] }, `$${field}.limit`] } }
+        ]
+      },
+      { $inc: { [`${field}.quantity`]: quantity } }
+    );
+    return Boolean(product);
+  }
+
+  /**
+   * Give back backorder or pre-order capacity, e.g. when lines are allocated
+   * or cancelled.
+   * @param {Array} lines - [{ product, type, quantity }]
+   * @returns {Promise<void>}
+   */
+  async releasePendingCapacity(lines = []) {
+    for (const line of lines) {
+      const field = line.type === 'preorder' ? 'preorder' : 'backorder';
+      await Product.updateOne({ _id: toId(line.product) }, { $inc: { [`${field}.quantity`]: -line.quantity } });
+    }
+  }
+
+  /**
+   * Order items for a reservation: lots and cost recorded on reserved lines,
+   * pending lines marked with their fulfilment type and expected ship date.
+   * @param {Array} items - priced order items
+   * @param {Object} reservation - from reserveOrderStock
+   * @returns {Array}
+   */
+  prepareOrderItems(items, reservation) {
+    const pending = new Map((reservation.pending || []).map(line => [lineKey(line.product, line.variant), line]));
+
+    return this.assignLots(items, reservation.lots).map(item => {
+      const line = pending.get(lineKey(item.product, item.variant));
+      if (!line) {
+        return { ...item, ...this.costOfItem(item, reservation.costs), fulfilmentType: 'stock', pendingQuantity: 0 };
+      }
+
+      const product = reservation.products.get(toId(item.product).toString());
+      return {
+        ...item,
+        fulfilmentType: line.type,
+        pendingQuantity: Number(item.quantity),
+        expectedShipDate: line.type === 'preorder'
+          ? product?.preorder?.expectedShipDate
+          : product?.backorder?.expectedRestockDate
+      };
+    });
+  }
+
+  /**
+   * Unit cost and cost of goods sold of an order item, from the cost of
+   * the reserved line it belongs to.
+   * @param {Object} item - { product, variant, quantity }
+   * @param {Map} costs - costs from reserveStock
+   * @returns {Object} { unitCost, cogs }
+   */
+  costOfItem(item, costs) {
+    const cost = costs?.get(lineKey(item.product, item.variant));
+    if (!cost) return { unitCost: null, cogs: null };
+    return { unitCost: cost.unitCost, cogs: roundMoney(cost.unitCost * item.quantity) };
+  }
+
+  /**
+   * Status for an order with pending lines.
+   * @param {Array} items - order items
+   * @returns {string}
+   */
+  pendingOrderStatus(items) {
+    const waiting = items.filter(item => item.pendingQuantity > 0);
+    if (waiting.some(item => item.fulfilmentType === 'backorder')) return 'backordered';
+    if (waiting.length > 0) return 'preordered';
+    return 'pending';
+  }
+
+  /**
+   * Allocate stock to backordered and pre-ordered lines of a product, oldest
+   * order first. Runs are queued per product so two receipts cannot
+   * allocate the same line twice. Never throws.
+   * @param {string} productId
+   * @returns {Promise<void>}
+   */
+  async allocatePendingOrders(productId) {
+    const key = toId(productId).toString();
+    const previous = this.allocationQueue.get(key) || Promise.resolve();
+    const run = previous
+      .then(() => this.runAllocation(key))
+      .catch(error => console.error('Failed to allocate pending orders:', error));
+
+    this.allocationQueue.set(key, run);
+    run.finally(() => {
+      if (this.allocationQueue.get(key) === run) this.allocationQueue.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * One allocation pass for a product; see allocatePendingOrders.
+   * @param {string} productId
+   * @returns {Promise<void>}
+   */
+  async runAllocation(productId) {
+    const orders = await Order.find({
+      orderStatus: { $in: ['backordered', 'preordered'] },
+      items: { $elemMatch: { product: productId, pendingQuantity: { $gt: 0 } } }
+    }).sort({ createdAt: 1 }).populate('user', 'email firstName');
+
+    for (const order of orders) {
+      const allocated = [];
+      let outOfStock = false;
+
+      for (const item of order.items) {
+        if (item.product.toString() !== productId || item.pendingQuantity === 0) continue;
+
+        const line = { product: item.product, variant: item.variant, quantity: item.pendingQuantity };
+        const reservation = await this.reserveStock([line], {
+          warehouse: order.warehouse,
+          reference: { kind: 'Order', document: order._id }
+        });
+        if (!reservation.success) {
+          outOfStock = true;
+          break;
+        }
+
+        await this.releasePendingCapacity([{ product: item.product, type: item.fulfilmentType, quantity: item.pendingQuantity }]);
+        item.lots = this.assignLots([line], reservation.lots)[0].lots;
+        Object.assign(item, this.costOfItem(line, reservation.costs));
+        item.pendingQuantity = 0;
+        item.allocatedAt = new Date();
+        allocated.push(item);
+      }
+
+      if (allocated.length > 0) {
+        order.stockReserved = true;
+        order.setStatus('orderStatus', this.pendingOrderStatus(order.items), 'Waiting items allocated');
+        await order.save();
+        this.notifyItemsAllocated(order, allocated);
+      }
+
+      // Oldest orders are served first; later orders keep waiting
+      if (outOfStock) return;
+    }
+  }
+
+  /**
+   * Tell a customer that waiting items are now allocated. Never throws.
+   * @returns {Promise<void>}
+   */
+  async notifyItemsAllocated(order, items) {
+    if (!order.user?.email) return;
+
+    try {
+      const products = await Product.find({ _id: { $in: items.map(item => item.product) } }).select('name');
+      const names = items.map(item => {
+        const product = products.find(candidate => candidate._id.equals(item.product));
+        return `${product?.name || 'Item'}${item.sku ? ` (${item.sku})` : ''} x ${item.quantity}`;
+      });
+      const ready = order.orderStatus === 'pending';
+
+      await sendNotification({
+        userId: order.user._id,
+        type: 'email',
+        provider: 'nodemailer',
+        recipient: order.user.email,
+        subject: `Items from order ${order.orderNumber} are now in stock`,
+        message: `Good news${order.user.firstName ? `, ${order.user.firstName}` : ''}! These items from order `
+          + `${order.orderNumber} are now in stock and reserved for you: ${names.join(', ')}. `
+          + (ready ? 'Your order will be prepared for shipping.' : 'Other items in the order are still on their way.')
+      });
+    } catch (error) {
+      console.error('Failed to send allocation notification:', error);
+    }
+  }
+
+  /**
+   * Unexpired quantity a product can sell from its lots.
+   * @returns {Promise<number>}
+   */
+  async getSellableLotQuantity(productId, variantId, warehouseId) {
+    const [totals] = await StockLot.aggregate([
+      {
+        $match: {
+          product: new mongoose.Types.ObjectId(toId(productId).toString()),
+          variant: variantId ? new mongoose.Types.ObjectId(toId(variantId).toString()) : null,
+          warehouse: warehouseId ? new mongoose.Types.ObjectId(toId(warehouseId).toString()) : null,
+          quantity: { $gt: 0 },
+          expiryDate: { $gt: new Date() }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$quantity' } } }
+    ]);
+    return totals ? totals.total : 0;
+  }
+
+  /**
+   * Take a quantity from unexpired lots, first expiry first out, all or
+   * nothing. Expired lots are never allocated.
+   * @returns {Promise<Array|null>} [{ lot, lotNumber, expiryDate, quantity }] or null when short
+   */
+  async allocateLots(productId, variantId, warehouseId, quantity) {
+    const candidates = await StockLot.find({
+      product: productId,
+      variant: variantId || null,
+      warehouse: warehouseId || null,
+      quantity: { $gt: 0 },
+      expiryDate: { $gt: new Date() }
+    }).sort({ expiryDate: 1, createdAt: 1 });
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const candidate of candidates) {
+      if (remaining === 0) break;
+      const take = Math.min(candidate.quantity, remaining);
+
+      // Conditional so a lot taken by a concurrent order is skipped, not overdrawn
+      const lot = await StockLot.findOneAndUpdate(
+        { _id: candidate._id, quantity: { $gte: take }, expiryDate: { $gt: new Date() } },
+        { $inc: { quantity: -take } },
+        { new: true }
+      );
+      if (!lot) continue;
+
+      allocations.push({ lot: lot._id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: take });
+      remaining -= take;
+    }
+
+    if (remaining > 0) {
+      await this.releaseLots(allocations);
+      return null;
+    }
+    return allocations;
+  }
+
+  /**
+   * Put allocated quantities back into their lots.
+   * @param {Array} allocations - [{ lot, quantity }]
+   * @returns {Promise<void>}
+   */
+  async releaseLots(allocations = []) {
+    for (const allocation of allocations) {
+      await StockLot.updateOne({ _id: toId(allocation.lot) }, { $inc: { quantity: allocation.quantity } });
+    }
+  }
+
+  /**
+   * Split each reserved line's lot allocations across the order items it
+   * came from, so every item records the lots it was filled from.
+   * @param {Array} items - order items
+   * @param {Map} lots - lots from reserveStock
+   * @returns {Array} items with a lots array
+   */
+  assignLots(items, lots) {
+    const remaining = new Map(Array.from(lots || [], ([key, allocations]) => [key, allocations.map(a => ({ ...a }))]));
+
+    return items.map(item => {
+      const allocations = remaining.get(lineKey(item.product, item.variant)) || [];
+      const itemLots = [];
+      let needed = Number(item.quantity);
+
+      while (needed > 0 && allocations.length > 0) {
+        const allocation = allocations[0];
+        const take = Math.min(allocation.quantity, needed);
+        itemLots.push({ ...allocation, quantity: take });
+        allocation.quantity -= take;
+        needed -= take;
+        if (allocation.quantity === 0) allocations.shift();
+      }
+
+      return { ...item, lots: itemLots };
+    });
+  }
+
+  /**
+   * Return previously reserved quantities to stock. Order items that
+   * recorded lots put their quantity back into those lots, and items that
+   * recorded a unit cost go back into stock at that cost.
+   * @param {Array} items - [{ product, variant, quantity, lots, unitCost }]
+   * @param {Object} options - { warehouse, user, reference, type, reason }
+   * @returns {Promise<void>}
+   */
+  async releaseStock(items, { warehouse = null, user = null, reference = null, type = 'cancellation_release', reason } = {}) {
+    const warehouseId = toId(warehouse);
+    for (const item of items) {
+      if (item.lots?.length) await this.releaseLots(item.lots);
+    }
+
+    const costed = new Map();
+    items.filter(item => item.unitCost !== null && item.unitCost !== undefined).forEach(item => {
+      const key = lineKey(item.product, item.variant);
+      const entry = costed.get(key) || { quantity: 0, value: 0 };
+      entry.quantity += Number(item.quantity);
+      entry.value += item.unitCost * item.quantity;
+      costed.set(key, entry);
+    });
+
+    const lines = this.aggregateQuantities(items);
+    for (const line of lines) {
+      const cost = costed.get(lineKey(line.product, line.variant));
+      await this.adjustStock(line.product, line.quantity, {
+        variant: line.variant,
+        unitCost: cost ? cost.value / cost.quantity : null,
+        warehouse: warehouseId,
+        user,
+        reference,
+        type,
+        reason
+      });
+    }
+  }
+
+  /**
+   * Undo what an order holds: reserved lines go back to stock and pending
+   * lines give back their backorder or pre-order capacity.
+   * @param {Array} items - order items
+   * @param {Object} options - as for releaseStock
+   * @returns {Promise<void>}
+   */
+  async releaseOrderStock(items, options = {}) {
+    const allocated = items.filter(item => !item.pendingQuantity);
+    if (allocated.length > 0) {
+      await this.releaseStock(allocated, options);
+    }
+    await this.releasePendingCapacity(items
+      .filter(item => item.pendingQuantity > 0)
+      .map(item => ({ product: item.product, type: item.fulfilmentType, quantity: item.pendingQuantity })));
+  }
+
+  /**
+   * Apply a signed stock change and record it in the ledger, with its cost.
+   * Units added without a unit cost enter at the current average cost.
+   * @param {string} productId
+   * @param {number} quantity - positive to add, negative to remove
+   * @param {Object} options - { variant, lot, unitCost, warehouse, user, reference, type, reason, reasonCode }
+   * @returns {Promise<Object>} { product, level, movement }
+   */
+  async adjustStock(productId, quantity, { variant = null, lot = null, unitCost = null, warehouse = null, user = null, reference = null, type = 'adjustment', reason, reasonCode } = {}) {
+    const warehouseId = toId(warehouse);
+    const lotId = toId(lot);
+
+    if (lotId) {
+      const lotFilter = { _id: lotId, product: productId };
+      if (quantity < 0) lotFilter.quantity = { $gte: -quantity };
+      const updatedLot = await StockLot.findOneAndUpdate(lotFilter, { $inc: { quantity } });
+      if (!updatedLot) {
+        throw new Error('Insufficient stock in this lot');
+      }
+    }
+
+    const result = await this.applyChange(productId, quantity, warehouseId, toId(variant));
+
+    if (!result) {
+      if (lotId) await StockLot.updateOne({ _id: lotId }, { $inc: { quantity: -quantity } });
+      const location = await this.locateStock(productId, warehouseId);
+      throw new Error(location.tracked && !location.warehouse ? NO_WAREHOUSE : 'Insufficient stock for this adjustment');
+    }
+
+    const cost = await CostingService.recordCost(result.product, toId(variant), quantity, unitCost);
+    const movement = await this.recordMovement({
+      product: productId,
+      variant,
+      lot: lotId,
+      warehouse: result.level?.warehouse || null,
+      type,
+      quantity,
+      balanceAfter: result.product.stock,
+      warehouseBalanceAfter: result.level?.quantity,
+      cost,
+      reason,
+      reasonCode,
+      user,
+      reference
+    });
+    this.onStockChanged(result.product, toId(variant), quantity);
+
+    return { ...result, movement };
+  }
+
+  /**
+   * Follow-up to a recorded stock change: low stock and back in stock
+   * alerts, and allocation of waiting backorders and pre-orders when stock
+   * comes in. Every recorded change calls this, including releases,
+   * receipts and transfers through adjustStock. Runs in the background and
+   * never throws.
+   * @param {Product} product - product after the change
+   * @param {string} variantId - variant the change was made to
+   * @param {number} quantity - signed change that was applied
+   */
+  onStockChanged(product, variantId, quantity) {
+    this.checkReorderPoint(product, quantity);
+    ProductAlertService.checkBackInStock(product, variantId, quantity);
+
+    if (quantity > 0 && (product.backorder?.quantity > 0 || product.preorder?.quantity > 0)) {
+      this.allocatePendingOrders(product._id);
+    }
+  }
+
+  /**
+   * Add received stock to a product, into a lot when lot details are given.
+   * Receiving the same lot number again adds to the existing lot.
+   * @param {Object} options - adjustStock options (including unitCost) plus
+   *   lot ({ lotNumber, manufactureDate, expiryDate }) and purchaseOrder
+   * @returns {Promise<Object>} { product, level, movement, lot }
+   */
+  async receiveStock(productId, quantity, { lot = null, purchaseOrder = null, ...options } = {}) {
+    if (!lot) {
+      return this.adjustStock(productId, quantity, { ...options, type: 'receipt' });
+    }
+
+    // Lots follow the stock: held in a warehouse only if the product is tracked by warehouse
+    const location = await this.locateStock(productId, toId(options.warehouse));
+    if (location.tracked && !location.warehouse) {
+      throw new Error(NO_WAREHOUSE);
+    }
+    const stockLot = await this.findOrCreateLot(productId, options.variant, location.warehouse, lot, { purchaseOrder });
+
+    const result = await this.adjustStock(productId, quantity, { ...options, lot: stockLot._id, type: 'receipt' });
+    const updatedLot = await StockLot.findByIdAndUpdate(
+      stockLot._id,
+      { $inc: { quantityReceived: quantity } },
+      { new: true }
+    );
+    return { ...result, lot: updatedLot };
+  }
+
+  /**
+   * The lot with this number for a product in a warehouse, created empty if
+   * it does not exist yet. The same lot number must keep its expiry date.
+   * @param {Object} lot - { lotNumber, expiryDate, manufactureDate }
+   * @param {Object} options - { purchaseOrder }
+   * @returns {Promise<StockLot>}
+   */
+  async findOrCreateLot(productId, variantId, warehouseId, lot, { purchaseOrder = null } = {}) {
+    const lotNumber = lot.lotNumber.trim().toUpperCase();
+    const lotKey = { product: productId, variant: toId(variantId), warehouse: toId(warehouseId), lotNumber };
+
+    const stockLot = await StockLot.findOne(lotKey);
+    if (stockLot && stockLot.expiryDate.getTime() !== new Date(lot.expiryDate).getTime()) {
+      throw new Error(`Lot ${lotNumber} was already received with a different expiry date`);
+    }
+    return stockLot || StockLot.create({
+      ...lotKey,
+      manufactureDate: lot.manufactureDate,
+      expiryDate: lot.expiryDate,
+      purchaseOrder: toId(purchaseOrder)
+    });
+  }
+
+  /**
+   * Take a transfer's lines out of the source warehouse, all or nothing.
+   * Lot-tracked lines are taken from unexpired lots, earliest expiry first,
+   * and the lots are recorded on the line so the destination receives them.
+   * Lines already taken are put back with correcting movements if a later
+   * line is short.
+   * @param {TransferOrder} transfer - sets unitCost and lots on its lines
+   * @param {Object} options - { user }
+   * @returns {Promise<Array>} short lines; empty when the transfer was dispatched
+   */
+  async dispatchTransfer(transfer, { user = null } = {}) {
+    const source = toId(transfer.sourceWarehouse);
+    const reference = { kind: 'TransferOrder', document: transfer._id };
+    const dispatched = [];
+    const shortItems = [];
+
+    for (const line of transfer.lines) {
+      const product = await Product.findById(line.product).select('trackLots');
+      const allocations = product?.trackLots
+        ? await this.allocateLots(line.product, line.variant, source, line.quantity)
+        : [];
+
+      let result = null;
+      if (allocations) {
+        try {
+          result = await this.adjustStock(line.product, -line.quantity, {
+            variant: line.variant,
+            warehouse: source,
+            user,
+            reference,
+            type: 'transfer',
+            reason: `Dispatched on transfer ${transfer.transferNumber}`
+          });
+        } catch (error) {
+          await this.releaseLots(allocations);
+        }
+      }
+
+      if (!result) {
+        shortItems.push(await this.describeShortLine(line, source));
+        continue;
+      }
+      dispatched.push({ line, allocations, unitCost: result.movement.unitCost });
+    }
+
+    if (shortItems.length > 0) {
+      for (const { line, allocations, unitCost } of dispatched) {
+        await this.releaseLots(allocations);
+        await this.adjustStock(line.product, line.quantity, {
+          variant: line.variant,
+          unitCost,
+          warehouse: source,
+          user,
+          reference,
+          type: 'transfer',
+          reason: `Dispatch of transfer ${transfer.transferNumber} rolled back`
+        });
+      }
+      return shortItems;
+    }
+
+    dispatched.forEach(({ line, allocations, unitCost }) => {
+      line.unitCost = unitCost;
+      line.lots = allocations;
+    });
+    return [];
+  }
+
+  /**
+   * Put a transfer's lines into the destination warehouse at the cost they
+   * left the source. Lot-tracked lines arrive in lots with the same numbers
+   * and expiry dates, earliest expiry first when less arrived than was sent.
+   * @param {TransferOrder} transfer
+   * @param {Map} received - line id -> quantity received
+   * @param {Object} options - { user }
+   * @returns {Promise<void>}
+   */
+  async receiveTransfer(transfer, received, { user = null } = {}) {
+    const destination = toId(transfer.destinationWarehouse);
+    const reference = { kind: 'TransferOrder', document: transfer._id };
+    const reason = `Received on transfer ${transfer.transferNumber}`;
+
+    for (const line of transfer.lines) {
+      const quantity = received.get(line._id.toString()) ?? line.quantity;
+      const options = { variant: line.variant, unitCost: line.unitCost, warehouse: destination, user, reference, type: 'transfer', reason };
+
+      if (line.lots.length === 0) {
+        if (quantity > 0) await this.adjustStock(line.product, quantity, options);
+        line.quantityReceived = quantity;
+        continue;
+      }
+
+      let remaining = quantity;
+      for (const allocation of line.lots) {
+        if (remaining === 0) break;
+        const take = Math.min(allocation.quantity, remaining);
+        const sourceLot = await StockLot.findById(allocation.lot).select('manufactureDate');
+        const stockLot = await this.findOrCreateLot(line.product, line.variant, destination, {
+          lotNumber: allocation.lotNumber,
+          expiryDate: allocation.expiryDate,
+          manufactureDate: sourceLot?.manufactureDate
+        });
+        await this.adjustStock(line.product, take, { ...options, lot: stockLot._id });
+        await StockLot.updateOne({ _id: stockLot._id }, { $inc: { quantityReceived: take } });
+        remaining -= take;
+      }
+      line.quantityReceived = quantity;
+    }
+  }
+
+  /**
+   * Units dispatched on transfers that have not been received yet.
+   * @param {Object} options - { warehouse } to only count transfers into it
+   * @returns {Promise<Array>} [{ product, variant, quantity, transfers }]
+   */
+  async getInTransit({ warehouse = null } = {}) {
+    const match = { status: { $in: ['dispatched', 'in_transit'] } };
+    if (warehouse) match.destinationWarehouse = new mongoose.Types.ObjectId(toId(warehouse).toString());
+
+    return TransferOrder.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { product: '$lines.product', variant: '$lines.variant' },
+          quantity: { $sum: '$lines.quantity' },
+          transfers: { $addToSet: '$transferNumber' }
+        }
+      },
+      { $lookup: { from: 'products', localField: '_id.product', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' },
+      {
+        $project: {
+          _id: 0,
+          product: { _id: '$product._id', name: '$product.name', sku: '$product.sku' },
+          variant: '$_id.variant',
+          quantity: 1,
+          transfers: 1
+        }
+      },
+      { $sort: { quantity: -1 } }
+    ]);
+  }
+
+  /**
+   * Start tracking a product by warehouse. The stock it already has moves,
+   * with its lots, into the default warehouse (or into `warehouseId` when
+   * there is no default), recorded as a transfer out of no warehouse and
+   * into that one, so Product.stock is unchanged.
+   * @param {string} productId
+   * @param {string} warehouseId - warehouse the first level is being set in
+   * @param {Object} options - { user }
+   * @returns {Promise<void>}
+   */
+  async startWarehouseTracking(productId, warehouseId, { user = null } = {}) {
+    const product = await Product.findById(productId).select('stock');
+    const fallback = product?.stock > 0 ? await this.resolveWarehouse(null) : null;
+    const home = fallback ? fallback._id : warehouseId;
+
+    // Upsert so a concurrent first level does not move the stock twice
+    const result = await StockLevel.findOneAndUpdate(
+      { product: productId, warehouse: home },
+      { $setOnInsert: { quantity: product?.stock || 0 } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    if (result.lastErrorObject?.updatedExisting) return;
+
+    await StockLot.updateMany({ product: productId, warehouse: null }, { warehouse: home });
+
+    if (result.value.quantity > 0) {
+      const movement = { product: productId, type: 'transfer', balanceAfter: product.stock, reason: 'Stock moved to warehouse tracking', user };
+      await this.recordMovement({ ...movement, quantity: -result.value.quantity });
+      await this.recordMovement({ ...movement, warehouse: home, quantity: result.value.quantity, warehouseBalanceAfter: result.value.quantity });
+    }
+  }
+
+  /**
+   * Set the on-hand quantity of a product in a warehouse, recording the
+   * difference as an adjustment. Product.stock stays the warehouse total.
+   * The first level set for a product starts tracking it by warehouse.
+   * @returns {Promise<Object>} { level, product }
+   */
+  async setStockLevel(productId, warehouseId, quantity, { user = null, reason } = {}) {
+    if (!await this.isWarehouseTracked(productId)) {
+      await this.startWarehouseTracking(productId, warehouseId, { user });
+    }
+
+    const current = await StockLevel.findOne({ product: productId, warehouse: warehouseId });
+    const delta = quantity - (current ? current.quantity : 0);
+
+    if (delta === 0) {
+      const level = current || await StockLevel.create({ product: productId, warehouse: warehouseId, quantity });
+      const product = await Product.findById(productId);
+      return { level, product };
+    }
+
+    const { level, product } = await this.adjustStock(productId, delta, {
+      warehouse: warehouseId,
+      user,
+      reason: reason || 'Stock level set by admin'
+    });
+    return { level, product };
+  }
+
+  /**
+   * Units sold per product over the last `days` days, from non-cancelled
+   * orders.
+   * @param {Array} productIds
+   * @param {number} days
+   * @returns {Promise<Map>} productId -> units sold
+   */
+  async getUnitsSold(productIds, days) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+    const rows = await Order.aggregate([
+      { $match: { createdAt: { $gte: since }, orderStatus: { $ne: 'cancelled' }, 'items.product': { $in: ids } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: ids } } },
+      { $group: { _id: '$items.product', unitsSold: { $sum: '$items.quantity' } } }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), row.unitsSold]));
+  }
+
+  /**
+   * Active products at or below their reorder point, most urgent first.
+   * Days of cover is stock divided by average daily sales over `days`;
+   * products with no recent sales have no days of cover and sort last.
+   * @param {Object} options - { days }
+   * @returns {Promise<Array>}
+   */
+  async getLowStockReport({ days = 30 } = {}) {
+    const products = await Product.find({
+      isActive: true,
+      reorderPoint: { $ne: null },
+      $expr: { $lte: ['$stock', '$reorderPoint'] }
+    }).select('name sku stock reorderPoint reorderQuantity category').populate('category', 'name slug');
+
+    const unitsSold = await this.getUnitsSold(products.map(product => product._id), days);
+
+    const report = products.map(product => {
+      const sold = unitsSold.get(product._id.toString()) || 0;
+      const dailyVelocity = sold / days;
+      return {
+        product: product._id,
+        name: product.name,
+        sku: product.sku,
+        category: product.category,
+        stock: product.stock,
+        reorderPoint: product.reorderPoint,
+        reorderQuantity: product.reorderQuantity,
+        unitsSold: sold,
+        dailyVelocity: Number(dailyVelocity.toFixed(2)),
+        daysOfCover: dailyVelocity > 0 ? Number((product.stock / dailyVelocity).toFixed(1)) : null
+      };
+    });
+
+    return report.sort((a, b) => {
+      if (a.daysOfCover === null) return b.daysOfCover === null ? a.stock - b.stock : 1;
+      if (b.daysOfCover === null) return -1;
+      return a.daysOfCover - b.daysOfCover;
+    });
+  }
+
+  /**
+   * Lots with stock left that expire within `days` days, soonest first.
+   * Already expired lots are included until they are written off.
+   * @param {Object} options - { days }
+   * @returns {Promise<Array>}
+   */
+  async getExpiringLots({ days = 30 } = {}) {
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const lots = await StockLot.find({ quantity: { $gt: 0 }, expiryDate: { $lte: until } })
+      .populate('product', 'name sku')
+      .populate('warehouse', 'name code')
+      .sort({ expiryDate: 1 });
+
+    return lots.map(lot => ({
+      lot: lot._id,
+      lotNumber: lot.lotNumber,
+      product: lot.product,
+      variant: lot.variant,
+      warehouse: lot.warehouse,
+      quantity: lot.quantity,
+      manufactureDate: lot.manufactureDate,
+      expiryDate: lot.expiryDate,
+      daysToExpiry: Math.ceil((lot.expiryDate - now) / (24 * 60 * 60 * 1000)),
+      isExpired: lot.expiryDate <= now
+    }));
+  }
+
+  /**
+   * Compare the ledger with Product.stock and the warehouse stock levels.
+   * @param {string} productId
+   * @returns {Promise<Object>} ledger and recorded balances with variances
+   */
+  async reconcile(productId) {
+    const productObjectId = new mongoose.Types.ObjectId(productId.toString());
+    const product = await Product.findById(productObjectId).select('name sku stock');
+    if (!product) return null;
+
+    const byWarehouse = await StockMovement.aggregate([
+      { $match: { product: productObjectId } },
+      { $group: { _id: '$warehouse', total: { $sum: '$quantity' }, movements: { $sum: 1 } } }
+    ]);
+
+    const ledgerBalance = byWarehouse.reduce((total, entry) => total + entry.total, 0);
+    const levels = await StockLevel.find({ product: productObjectId });
+
+    const warehouses = levels.map(level => {
+      const ledger = byWarehouse.find(entry => entry._id && entry._id.equals(level.warehouse));
+      const ledgerQuantity = ledger ? ledger.total : 0;
+      return {
+        warehouse: level.warehouse,
+        stockLevel: level.quantity,
+        ledgerBalance: ledgerQuantity,
+        variance: level.quantity - ledgerQuantity
+      };
+    });
+
+    return {
+      product,
+      productStock: product.stock,
+      ledgerBalance,
+      variance: product.stock - ledgerBalance,
+      movementCount: byWarehouse.reduce((total, entry) => total + entry.movements, 0),
+      warehouses,
+      isReconciled: product.stock === ledgerBalance && warehouses.every(entry => entry.variance === 0)
+    };
+  }
+}
+
+export default new InventoryService();
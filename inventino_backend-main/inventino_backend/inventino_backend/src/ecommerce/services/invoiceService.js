@@ -0,0 +1,557 @@
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import TaxService from './taxService.js';
+import taxConfig from '../config/tax.js';
+import { amountInWords } from '../utils/amountInWords.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+// Number prefixes; with the financial year and a six-digit sequence they
+// stay within the 16 characters GST allows
+const PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+const TITLES = { invoice: 'TAX INVOICE', credit_note: 'CREDIT NOTE' };
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+// How long a request may hold a document it is numbering
+const NUMBERING_LOCK_MS = 60 * 1000;
+const MARGIN = 40;
+const FONT_SIZE = 7.5;
+
+const formatMoney = value => (value ?? 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = date => (date
+  ? new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' })
+  : '');
+const formatAddress = address => (address
+  ? [address.street, address.city, address.state, address.pincode || address.zipCode, address.country].filter(Boolean).join(', ')
+  : '');
+const sameLine = (line, item) => line.product?.equals(item.product) && String(line.variant || '') === String(item.variant || '');
+
+// GST tax invoices for delivered orders and credit notes for refunded
+// returns. Each is issued once, numbered in sequence within the financial
+// year, and rendered to PDF locally whenever it is downloaded.
+class InvoiceService {
+  /**
+   * Indian financial year, April to March, of a date in IST.
+   * @param {Date} date
+   * @returns {string} e.g. 2026-27
+   */
+  financialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Next number in a document type's sequence for a financial year.
+   * @param {string} type - invoice or credit_note
+   * @param {string} financialYear
+   * @returns {Promise<string>} e.g. INV/26-27/000001
+   */
+  async nextNumber(type, financialYear) {
+    const seq = await Counter.next(`${type}:${financialYear}`);
+    return `${PREFIXES[type]}/${financialYear.slice(2)}/${String(seq).padStart(6, '0')}`;
+  }
+
+  /**
+   * Check that an order can be invoiced: it has been delivered.
+   * @returns {string|null} error message or null
+   */
+  checkInvoice(order) {
+    if (!['delivered', 'returned'].includes(order.orderStatus)) {
+      return 'An invoice is available once the order has been delivered';
+    }
+    return null;
+  }
+
+  async getParties(order) {
+    const [seller, user] = await Promise.all([
+      TaxService.getSeller(order.warehouse),
+      User.findById(order.user).select('firstName lastName email phone')
+    ]);
+
+    return {
+      seller: {
+        name: taxConfig.legalName || seller.name,
+        gstin: seller.gstin,
+        address: formatAddress(seller.address),
+        state: seller.state,
+        stateCode: TaxService.stateCode(seller.state)
+      },
+      buyer: {
+        name: user ? user.getFullName() : null,
+        email: user?.email,
+        phone: user?.phone,
+        address: formatAddress(order.shippingAddress),
+        state: order.shippingAddress?.state,
+        stateCode: TaxService.stateCode(order.shippingAddress?.state)
+      }
+    };
+  }
+
+  /**
+   * Invoice lines of an order from the tax stored on its lines. Orders
+   * placed before GST was recorded are worked out now, with their totals
+   * taken to include tax.
+   * @returns {Promise<Object>} { lines, tax }
+   */
+  async buildOrderLines(order) {
+    let taxes = order.items.map(item => item.tax);
+    let tax = order.tax;
+    if (!order.tax?.supplyType) {
+      const [rates, seller] = await Promise.all([
+        TaxService.resolveRates(order.items.map(item => item.product)),
+        TaxService.getSeller(order.warehouse)
+      ]);
+      ({ lines: taxes, summary: tax } = TaxService.calculate(order.items, rates, {
+        sellerState: seller.state,
+        buyerState: order.shippingAddress?.state,
+        discountAmount: order.discountAmount || 0,
+        pricesIncludeTax: true
+      }));
+    }
+
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } }).select('name variants');
+    const lines = order.items.map((item, index) => {
+      const product = products.find(candidate => candidate._id.equals(item.product));
+      const variant = item.variant ? product?.variants.id(item.variant) : null;
+      const attributes = variant ? [...variant.attributes.values()].join(' / ') : '';
+      const { hsnCode, rate, taxableValue, cgst, sgst, igst } = taxes[index];
+      const total = round(taxableValue + cgst + sgst + igst);
+      const gross = item.price * item.quantity;
+
+      return {
+        product: item.product,
+        variant: item.variant,
+        description: [product?.name || item.sku, attributes && `(${attributes})`].filter(Boolean).join(' '),
+        sku: item.sku,
+        hsnCode,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        // What the coupon took off the line, before tax is added to exclusive prices
+        discount: round(gross - (tax.pricesIncludeTax ? total : taxableValue)),
+        rate,
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        total
+      };
+    });
+
+    // Shipping goes on its own line, taxed with the goods
+    if (tax.shipping?.taxableValue) {
+      const { rate, taxableValue, cgst, sgst, igst } = tax.shipping;
+      lines.push({
+        description: 'Shipping charges',
+        quantity: 1,
+        unitPrice: order.shippingCharge,
+        discount: 0,
+        rate,
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        total: round(taxableValue + cgst + sgst + igst)
+      });
+    }
+    return { lines, tax };
+  }
+
+  /**
+   * HSN-wise summary and totals of a document's lines.
+   * @returns {Object} { hsnSummary, totals, amountInWords }
+   */
+  summarise(lines) {
+    const groups = new Map();
+    lines.forEach(line => {
+      const key = `${line.hsnCode || ''}|${line.rate}`;
+      const group = groups.get(key) || { hsnCode: line.hsnCode, rate: line.rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+      ['taxableValue', 'cgst', 'sgst', 'igst'].forEach(field => { group[field] = round(group[field] + line[field]); });
+      group.totalTax = round(group.cgst + group.sgst + group.igst);
+      groups.set(key, group);
+    });
+
+    const sum = field => round(lines.reduce((total, line) => total + line[field], 0));
+    const totals = {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalTax: round(sum('cgst') + sum('sgst') + sum('igst')),
+      total: sum('total')
+    };
+    return { hsnSummary: [...groups.values()], totals, amountInWords: amountInWords(totals.total) };
+  }
+
+  /**
+   * Issue a new document. The row is inserted unnumbered first, which
+   * claims the order or return through its unique index, and only the
+   * request holding the claim takes the next number, so a request that
+   * fails or loses a race never uses one up. When another request has
+   * issued the same document meanwhile, that one is returned; a claim
+   * left by a request that died before numbering is taken over once it
+   * lapses.
+   */
+  async issue(data, existingFilter) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + NUMBERING_LOCK_MS);
+
+    let invoice;
+    try {
+      invoice = await Invoice.create({
+        ...data,
+        financialYear: this.financialYear(now),
+        issuedAt: now,
+        numberingUntil: lockedUntil
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await Invoice.findOne(existingFilter);
+      if (!existing) throw error;
+      if (existing.number) return existing;
+
+      invoice = await Invoice.findOneAndUpdate(
+        { _id: existing._id, number: null, numberingUntil: { $lte: now } },
+        { $set: { numberingUntil: lockedUntil } },
+        { new: true }
+      );
+      if (!invoice) {
+        const current = await Invoice.findById(existing._id);
+        if (current?.number) return current;
+        throw new Error('The document is being issued; try again shortly');
+      }
+    }
+
+    invoice.number = await this.nextNumber(invoice.type, invoice.financialYear);
+    invoice.numberingUntil = null;
+    return invoice.save();
+  }
+
+  /**
+   * The order's tax invoice, issued on first request.
+   * @param {Order} order - checked with checkInvoice
+   * @param {Object} options - { user }
+   * @returns {Promise<Invoice>}
+   */
+  async getInvoice(order, { user } = {}) {
+    const filter = { type: 'invoice', order: order._id };
+    const existing = await Invoice.findOne(filter);
+    if (existing?.number) return existing;
+
+    const [parties, { lines, tax }] = await Promise.all([this.getParties(order), this.buildOrderLines(order)]);
+    return this.issue({
+      type: 'invoice',
+      order: order._id,
+      orderNumber: order.orderNumber,
+      orderDate: order.createdAt,
+      user: order.user,
+      ...parties,
+      supplyType: tax.supplyType,
+      stateTaxType: tax.stateTaxType || 'SGST',
+      placeOfSupply: tax.placeOfSupply,
+      lines,
+      ...this.summarise(lines),
+      createdBy: user?.id || null
+    }, filter);
+  }
+
+  /**
+   * Check that a return can have a credit note: it is completed and has
+   * items refunded, none of them credited on an earlier return.
+   * @param {ReturnRequest} returnRequest
+   * @returns {Promise<string|null>} error message or null
+   */
+  async checkCreditNote(returnRequest) {
+    if (returnRequest.status !== 'completed') {
+      return 'A credit note is issued once the return is completed';
+    }
+    const items = returnRequest.items.filter(item => item.expectedAction === 'refund');
+    if (items.length === 0) {
+      return 'The return has no refunded items';
+    }
+
+    const order = await Order.findById(returnRequest.order).select('items orderStatus');
+    if (!order) {
+      return 'Order not found';
+    }
+    const invoiced = await Invoice.findOne({ type: 'invoice', order: order._id }).select('lines');
+    const sold = invoiced ? invoiced.lines : order.items;
+    const credited = await Invoice.find({
+      type: 'credit_note',
+      order: order._id,
+      returnRequest: { $ne: returnRequest._id }
+    }).select('lines');
+
+    for (const item of items) {
+      const line = sold.find(candidate => sameLine(candidate, item));
+      if (!line) {
+        return `Product ${item.product} was not sold on this order`;
+      }
+      const creditedQuantity = credited.flatMap(note => note.lines)
+        .filter(candidate => sameLine(candidate, item))
+        .reduce((total, candidate) => total + candidate.quantity, 0);
+      if (item.quantity + creditedQuantity > line.quantity) {
+        return `Only ${line.quantity - creditedQuantity} units of product ${item.product} can be credited`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The return's credit note, issued on first request. Each refunded item
+   * is credited at its share of the invoice line it was sold on, tax
+   * included.
+   * @param {ReturnRequest} returnRequest - checked with checkCreditNote
+   * @param {Object} options - { user }
+   * @returns {Promise<Invoice>}
+   */
+  async getCreditNote(returnRequest, { user } = {}) {
+    const filter = { type: 'credit_note', returnRequest: returnRequest._id };
+    const existing = await Invoice.findOne(filter);
+    if (existing?.number) return existing;
+
+    const order = await Order.findById(returnRequest.order);
+    const invoice = await this.getInvoice(order, { user });
+
+    const lines = returnRequest.items.filter(item => item.expectedAction === 'refund').map(item => {
+      const line = invoice.lines.find(candidate => sameLine(candidate, item));
+      const share = item.quantity / line.quantity;
+      const [taxableValue, cgst, sgst, igst, discount] = ['taxableValue', 'cgst', 'sgst', 'igst', 'discount']
+        .map(field => round(line[field] * share));
+
+      return {
+        product: line.product,
+        variant: line.variant,
+        description: line.description,
+        sku: line.sku,
+        hsnCode: line.hsnCode,
+        quantity: item.quantity,
+        unitPrice: line.unitPrice,
+        discount,
+        rate: line.rate,
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        total: round(taxableValue + cgst + sgst + igst)
+      };
+    });
+
+    return this.issue({
+      type: 'credit_note',
+      order: order._id,
+      orderNumber: invoice.orderNumber,
+      orderDate: invoice.orderDate,
+      user: invoice.user,
+      returnRequest: returnRequest._id,
+      originalInvoice: invoice._id,
+      originalInvoiceNumber: invoice.number,
+      reason: `Goods returned (${returnRequest.returnNumber})`,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      supplyType: invoice.supplyType,
+      stateTaxType: invoice.stateTaxType,
+      placeOfSupply: invoice.placeOfSupply,
+      lines,
+      ...this.summarise(lines),
+      createdBy: user?.id || null
+    }, filter);
+  }
+
+  // Download name, e.g. INV-26-27-000001.pdf
+  fileName(invoice) {
+    return `${invoice.number.replace(/\//g, '-')}.pdf`;
+  }
+
+  /**
+   * Render an invoice or credit note as an A4 PDF.
+   * @param {Invoice} invoice
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: `${TITLES[invoice.type]} ${invoice.number}` }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawDocument(doc, invoice);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  drawDocument(doc, invoice) {
+    const width = doc.page.width - MARGIN * 2;
+    const half = width / 2;
+    const stateTax = invoice.stateTaxType || 'SGST';
+    const party = (label, value) => value && `${label}: ${value}`;
+    const stateLine = entity => entity?.state && `State: ${entity.state}${entity.stateCode ? ` (${entity.stateCode})` : ''}`;
+
+    doc.font('Helvetica-Bold').fontSize(14).text(TITLES[invoice.type], MARGIN, MARGIN, { width, align: 'center' });
+    doc.moveDown(0.8);
+
+    // Seller on the left, document details on the right
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(invoice.seller?.name || '', MARGIN, top, { width: half - 10 });
+    doc.font('Helvetica').fontSize(8).text([
+      invoice.seller?.address,
+      stateLine(invoice.seller),
+      party('GSTIN', invoice.seller?.gstin)
+    ].filter(Boolean).join('\n'), { width: half - 10 });
+    const sellerBottom = doc.y;
+
+    const supplyType = invoice.supplyType === 'intra_state' ? 'Intra-state' : 'Inter-state';
+    doc.fontSize(8).text([
+      `${invoice.type === 'invoice' ? 'Invoice' : 'Credit note'} no: ${invoice.number}`,
+      `Date: ${formatDate(invoice.issuedAt)}`,
+      party('Against invoice', invoice.originalInvoiceNumber),
+      `Order: ${invoice.orderNumber || ''}${invoice.orderDate ? ` dated ${formatDate(invoice.orderDate)}` : ''}`,
+      `Place of supply: ${invoice.placeOfSupply || ''}${invoice.buyer?.stateCode ? ` (${invoice.buyer.stateCode})` : ''}`,
+      `Supply: ${supplyType}`,
+      'Tax payable on reverse charge: No',
+      party('Reason', invoice.reason)
+    ].filter(Boolean).join('\n'), MARGIN + half, top, { width: half, align: 'right' });
+
+    doc.y = Math.max(sellerBottom, doc.y) + 12;
+    doc.font('Helvetica-Bold').fontSize(9).text('Billed and shipped to', MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(8).text([
+      invoice.buyer?.name,
+      invoice.buyer?.address,
+      stateLine(invoice.buyer),
+      [party('Phone', invoice.buyer?.phone), party('Email', invoice.buyer?.email)].filter(Boolean).join('   '),
+      party('GSTIN', invoice.buyer?.gstin) || 'Unregistered'
+    ].filter(Boolean).join('\n'), { width });
+    doc.moveDown(1);
+
+    this.drawTable(doc, [
+      { header: '#', width: 16 },
+      { header: 'Description', width: 105 },
+      { header: 'HSN', width: 40 },
+      { header: 'Qty', width: 26, align: 'right' },
+      { header: 'Rate', width: 50, align: 'right' },
+      { header: 'Discount', width: 40, align: 'right' },
+      { header: 'Taxable', width: 52, align: 'right' },
+      { header: 'GST %', width: 28, align: 'right' },
+      { header: 'CGST', width: 36, align: 'right' },
+      { header: stateTax, width: 36, align: 'right' },
+      { header: 'IGST', width: 36, align: 'right' },
+      { header: 'Total', width: 50, align: 'right' }
+    ], invoice.lines.map((line, index) => [
+      String(index + 1),
+      [line.description, line.sku && `SKU: ${line.sku}`].filter(Boolean).join('\n'),
+      line.hsnCode || '',
+      String(line.quantity),
+      formatMoney(line.unitPrice),
+      formatMoney(line.discount),
+      formatMoney(line.taxableValue),
+      String(line.rate),
+      formatMoney(line.cgst),
+      formatMoney(line.sgst),
+      formatMoney(line.igst),
+      formatMoney(line.total)
+    ]));
+    doc.moveDown(1);
+
+    doc.font('Helvetica-Bold').fontSize(9).text('HSN-wise summary', MARGIN, doc.y);
+    doc.moveDown(0.3);
+    this.drawTable(doc, [
+      { header: 'HSN', width: 80 },
+      { header: 'GST %', width: 50, align: 'right' },
+      { header: 'Taxable value', width: 85, align: 'right' },
+      { header: 'CGST', width: 75, align: 'right' },
+      { header: stateTax, width: 75, align: 'right' },
+      { header: 'IGST', width: 75, align: 'right' },
+      { header: 'Total tax', width: 75, align: 'right' }
+    ], invoice.hsnSummary.map(group => [
+      group.hsnCode || '',
+      String(group.rate),
+      formatMoney(group.taxableValue),
+      formatMoney(group.cgst),
+      formatMoney(group.sgst),
+      formatMoney(group.igst),
+      formatMoney(group.totalTax)
+    ]));
+    doc.moveDown(1);
+
+    const totals = [
+      ['Taxable value', invoice.totals.taxableValue],
+      ['CGST', invoice.totals.cgst],
+      [stateTax, invoice.totals.sgst],
+      ['IGST', invoice.totals.igst],
+      ['Total tax', invoice.totals.totalTax],
+      [invoice.type === 'invoice' ? 'Invoice total (INR)' : 'Credit note total (INR)', invoice.totals.total]
+    ];
+    this.ensureSpace(doc, totals.length * 12 + 80);
+    totals.forEach(([label, value], index) => {
+      const y = doc.y;
+      doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+      doc.text(label, MARGIN + half, y, { width: half - 90, align: 'right' });
+      doc.text(formatMoney(value), MARGIN + width - 90, y, { width: 90, align: 'right' });
+      doc.y = y + 12;
+    });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(8.5).text(`Amount in words: ${invoice.amountInWords}`, MARGIN, doc.y, { width });
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8.5)
+      .text(`For ${invoice.seller?.name || ''}`, MARGIN + half, doc.y, { width: half, align: 'right' })
+      .moveDown(2)
+      .text('Authorised signatory', { width: half, align: 'right' });
+    doc.moveDown(1.5);
+    doc.fontSize(7).fillColor('#666666')
+      .text(`This is a computer-generated ${invoice.type === 'invoice' ? 'invoice' : 'credit note'}.`, MARGIN, doc.y, { width, align: 'center' })
+      .fillColor('black');
+  }
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+    }
+  }
+
+  // A bordered table, repeating its header row on each new page
+  drawTable(doc, columns, rows) {
+    const drawRow = (cells, header = false) => {
+      doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+      const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width - 4 }))) + 6;
+      if (doc.y + height > doc.page.height - MARGIN) {
+        doc.addPage();
+        if (!header) drawRow(columns.map(column => column.header), true);
+        doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+      }
+
+      const y = doc.y;
+      let x = MARGIN;
+      if (header) {
+        doc.rect(MARGIN, y, columns.reduce((total, column) => total + column.width, 0), height).fillAndStroke('#eeeeee', '#999999');
+        doc.fillColor('black');
+      }
+      cells.forEach((cell, index) => {
+        doc.text(cell, x + 2, y + 3, { width: columns[index].width - 4, align: columns[index].align || 'left' });
+        x += columns[index].width;
+      });
+      doc.lineWidth(0.5).strokeColor('#999999').moveTo(MARGIN, y + height).lineTo(x, y + height).stroke();
+      doc.x = MARGIN;
+      doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.header), true);
+    rows.forEach(cells => drawRow(cells));
+  }
+}
+
+export default new InvoiceService();
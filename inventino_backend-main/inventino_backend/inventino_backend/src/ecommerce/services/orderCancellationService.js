@@ -0,0 +1,268 @@
+import Payment from '../models/payment.js';
+import PaymentController from '../controllers/paymentController.js';
+import InventoryService from './inventoryService.js';
+import SerialService from './serialService.js';
+import TaxService from './taxService.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+// Cancelling some or all of an order before it ships, and refunding what
+// was paid for the cancelled units. The order is changed in place; the
+// caller saves it. Refunds are recorded as pending with the cancellation
+// and made through the gateway only once that has been saved, so a
+// cancellation that fails to save, or loses to a concurrent one, refunds
+// nothing.
+class OrderCancellationService {
+  /**
+   * Check a line-item cancellation before anything is changed.
+   * @param {Order} order
+   * @param {Array} lines - [{ itemId, quantity }]
+   * @returns {string|null} error message or null
+   */
+  checkItems(order, lines) {
+    if (order.checkTransition('orderStatus', 'cancelled')) {
+      return 'Items can only be cancelled before the order ships';
+    }
+
+    const requested = new Map();
+    for (const line of lines) {
+      const item = order.items.id(line.itemId);
+      if (!item) {
+        return `Order item ${line.itemId} not found`;
+      }
+      const quantity = (requested.get(line.itemId.toString()) || 0) + parseInt(line.quantity, 10);
+      if (quantity > item.quantity) {
+        return `Cannot cancel ${quantity} of ${item.quantity} units of item ${line.itemId}`;
+      }
+      // Units packed into a shipment are taken out of it first
+      const unshipped = item.quantity - order.shippedQuantity(item._id);
+      if (quantity > unshipped) {
+        return `Only ${unshipped} units of item ${line.itemId} are not in a shipment`;
+      }
+      requested.set(line.itemId.toString(), quantity);
+    }
+    return null;
+  }
+
+  /**
+   * Lots to put back for units cancelled from a line, taken from the
+   * latest-expiring lots first; the line keeps the rest.
+   * @returns {Object} { released, kept }
+   */
+  splitLots(lots, quantity) {
+    const released = [];
+    const kept = lots.map(lot => ({ lot: lot.lot, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity }));
+    let remaining = quantity;
+    for (let index = kept.length - 1; index >= 0 && remaining > 0; index--) {
+      const taken = Math.min(kept[index].quantity, remaining);
+      released.push({ ...kept[index], quantity: taken });
+      kept[index].quantity -= taken;
+      remaining -= taken;
+    }
+    return { released, kept: kept.filter(lot => lot.quantity > 0) };
+  }
+
+  /**
+   * Cancel quantities from order lines: release their stock or backorder
+   * capacity, take back any serial numbers assigned to the lines, and
+   * recompute the totals and GST with the coupon discount pro-rated over
+   * what is left. An order with nothing left is cancelled. Prepaid orders
+   * get a pending refund of the difference in the order total, to be made
+   * with processRefund once the order is saved.
+   * @param {Order} order - checked with checkItems
+   * @param {Array} lines - [{ itemId, quantity }]
+   * @param {Object} options - { user, reason }
+   * @returns {Promise<Object>} { cancelled, refund } - refund is the pending entry or null
+   */
+  async cancelItems(order, lines, { user, reason } = {}) {
+    const subtotal = order.subtotal ?? order.items.reduce((total, item) => total + item.price * item.quantity, 0);
+    const discountAmount = order.discountAmount || 0;
+    const previousTotal = order.totalAmount;
+    const reference = { kind: 'Order', document: order._id };
+    const cancelled = [];
+
+    // Lines naming the same item are cancelled together
+    const quantities = new Map();
+    lines.forEach(line => {
+      const itemId = line.itemId.toString();
+      quantities.set(itemId, (quantities.get(itemId) || 0) + parseInt(line.quantity, 10));
+    });
+
+    for (const [itemId, quantity] of quantities) {
+      const item = order.items.id(itemId);
+
+      if (item.pendingQuantity > 0) {
+        await InventoryService.releasePendingCapacity([{ product: item.product, type: item.fulfilmentType, quantity }]);
+        item.pendingQuantity -= quantity;
+      } else if (order.stockReserved) {
+        const { released, kept } = this.splitLots(item.lots || [], quantity);
+        await InventoryService.releaseStock([{
+          product: item.product,
+          variant: item.variant,
+          quantity,
+          lots: released,
+          unitCost: item.unitCost
+        }], { warehouse: order.warehouse, user, reference, reason: reason || 'Order item cancelled' });
+        item.lots = kept;
+      }
+
+      // Units are picked again for the smaller quantity
+      if (item.serialNumbers?.length) {
+        await SerialService.unassign(order, item.serialNumbers);
+        item.serialNumbers = [];
+      }
+
+      const value = item.price * quantity;
+      cancelled.push({
+        itemId: item._id,
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        quantity,
+        price: item.price,
+        discountAmount: subtotal > 0 ? round(discountAmount * value / subtotal) : 0,
+        reason,
+        cancelledAt: new Date(),
+        cancelledBy: user?.id || null
+      });
+
+      item.quantity -= quantity;
+      if (item.unitCost !== null && item.unitCost !== undefined) {
+        item.cogs = round(item.unitCost * item.quantity);
+      }
+      if (item.quantity === 0) {
+        order.items.pull(item._id);
+      }
+    }
+
+    const cancelledValue = cancelled.reduce((total, entry) => total + entry.price * entry.quantity, 0);
+    const cancelledDiscount = round(cancelled.reduce((total, entry) => total + entry.discountAmount, 0));
+    order.cancelledItems.push(...cancelled);
+    order.subtotal = round(subtotal - cancelledValue);
+    order.discountAmount = round(discountAmount - cancelledDiscount);
+    // Shipping is refunded only when nothing is left to ship
+    if (order.items.length === 0) {
+      order.shippingCharge = 0;
+    }
+    order.totalAmount = round(order.subtotal - order.discountAmount + (order.shippingCharge || 0));
+    // Orders placed before GST was recorded keep their untaxed totals
+    if (order.tax?.supplyType) {
+      await TaxService.applyToOrder(order);
+    }
+
+    if (order.items.length === 0) {
+      order.setStatus('orderStatus', 'cancelled', reason || 'All items cancelled', user);
+      order.cancelledAt = new Date();
+      order.stockReserved = false;
+    } else {
+      // Cancelling the lines that were waiting for stock frees the order to
+      // ship. Nothing has left in a shipment yet (checkItems), so the
+      // cancellation cannot complete the order's fulfilment.
+      if (['pending', 'backordered', 'preordered'].includes(order.orderStatus)) {
+        order.setStatus('orderStatus', InventoryService.pendingOrderStatus(order.items), 'Waiting items cancelled', user);
+      }
+      order.addTimelineEntry({
+        field: 'orderStatus',
+        from: order.orderStatus,
+        status: order.orderStatus,
+        notes: `Cancelled ${cancelled.map(entry => `${entry.quantity} x ${entry.sku || entry.product}`).join(', ')}`
+      }, user);
+    }
+
+    const refund = this.requestRefund(order, round(previousTotal - order.totalAmount), {
+      reason: reason || 'Order items cancelled'
+    });
+    return { cancelled, refund };
+  }
+
+  /**
+   * Cancel a whole order before it ships: release its stock or backorder
+   * capacity and its serial numbers. Prepaid orders get a pending refund of
+   * what is left to pay for, to be made with processRefund once the order
+   * is saved. Customers and admins cancel through here, so both refund alike.
+   * @param {Order} order - one that can still be cancelled
+   * @param {Object} options - { user, reason }
+   * @returns {Promise<Object|null>} the pending refund entry, or null when nothing is refunded
+   */
+  async cancelOrder(order, { user, reason } = {}) {
+    order.setStatus('orderStatus', 'cancelled', reason, user);
+    order.cancelledAt = new Date();
+    order.shipments = [];
+
+    if (order.stockReserved) {
+      await InventoryService.releaseOrderStock(order.items, {
+        warehouse: order.warehouse,
+        user,
+        reference: { kind: 'Order', document: order._id },
+        reason
+      });
+      order.stockReserved = false;
+    }
+    await SerialService.releaseOrder(order);
+
+    return this.requestRefund(order, order.totalAmount, { reason });
+  }
+
+  /**
+   * Record a pending refund of part or all of a prepaid order. Cash on
+   * delivery and unpaid orders are not refunded. Nothing is paid out until
+   * processRefund is called.
+   * @param {Order} order - changed in place
+   * @param {number} amount
+   * @param {Object} options - { reason }
+   * @returns {Object|null} the order refund entry, or null when nothing is refunded
+   */
+  requestRefund(order, amount, { reason } = {}) {
+    if (amount <= 0 || order.paymentMethod === 'cod' || !['completed', 'partially_refunded'].includes(order.paymentStatus)) {
+      return null;
+    }
+
+    order.refunds.push({ amount, reason, status: 'pending' });
+    return order.refunds[order.refunds.length - 1];
+  }
+
+  /**
+   * Make a pending or failed refund through the payment the order was paid
+   * with. A refund that cannot be made, or an order without a gateway
+   * payment, is marked failed to be retried or completed by hand. Call only
+   * after the entry has been saved with the order. Never throws.
+   * @param {Order} order - changed in place; the caller saves it
+   * @param {Object} entry - refund entry of the order
+   * @param {Object} options - { user }
+   * @returns {Promise<Object>} the refund entry
+   */
+  async processRefund(order, entry, { user } = {}) {
+    if (entry.status === 'processed') {
+      return entry;
+    }
+
+    try {
+      const payment = await Payment.findOne({ order: order._id, status: { $in: ['completed', 'partially_refunded'] } });
+      if (!payment) {
+        entry.status = 'failed';
+        entry.error = 'No gateway payment found for this order';
+        return entry;
+      }
+      entry.payment = payment._id;
+      const result = await PaymentController.initiateRefund({ paymentId: payment._id, refundAmount: entry.amount, reason: entry.reason });
+      entry.refundId = result.refundId;
+      entry.status = 'processed';
+      entry.error = undefined;
+    } catch (error) {
+      console.error('Failed to refund order:', error);
+      entry.status = 'failed';
+      entry.error = error.message;
+      return entry;
+    }
+
+    const refunded = round(order.refunds
+      .filter(refund => refund.status === 'processed')
+      .reduce((total, refund) => total + refund.amount, 0));
+    const paid = round(refunded + (order.orderStatus === 'cancelled' ? 0 : order.totalAmount));
+    order.setStatus('paymentStatus', refunded >= paid ? 'refunded' : 'partially_refunded',
+      `Refunded ₹${entry.amount}`, user);
+    return entry;
+  }
+}
+
+export default new OrderCancellationService();
@@ -0,0 +1,129 @@
+import Wishlist from '../models/Wishlist.js';
+import StockAlert from '../models/StockAlert.js';
+import User from '../models/User.js';
+import { notifyUser } from '../utils/notificationService.js';
+
+// Back-in-stock and price-drop alerts for wishlisted products and for
+// products shoppers subscribed to. Checks never throw; an alert must not
+// fail the stock or price change that triggered it.
+class ProductAlertService {
+  describe(product, variantId) {
+    const variant = variantId ? product.variants.id(variantId) : null;
+    return variant?.sku ? `${product.name} (${variant.sku})` : product.name;
+  }
+
+  async findUsers(userIds) {
+    return User.find({ _id: { $in: userIds }, isActive: true }).select('email phone firstName preferences');
+  }
+
+  /**
+   * Tell shoppers waiting on a product or variant that it is back, when a
+   * stock change takes it from none to some. Never throws.
+   * @param {Product} product - product after the change
+   * @param {string} variantId - variant the change was made to
+   * @param {number} quantity - signed change that was applied
+   * @returns {Promise<void>}
+   */
+  async checkBackInStock(product, variantId, quantity) {
+    try {
+      if (quantity <= 0 || !product?.isActive) return;
+
+      // A variant coming back can also bring the product as a whole back
+      const restocked = [];
+      const variant = variantId ? product.variants.id(variantId) : null;
+      if (variant && variant.isActive && variant.stock > 0 && variant.stock - quantity <= 0) {
+        restocked.push(variant._id);
+      }
+      if (product.stock > 0 && product.stock - quantity <= 0) {
+        restocked.push(null);
+      }
+
+      for (const restockedVariant of restocked) {
+        const [wishlists, alerts] = await Promise.all([
+          Wishlist.find({ products: { $elemMatch: { product: product._id, variant: restockedVariant } } }).select('user'),
+          StockAlert.find({ product: product._id, variant: restockedVariant, status: 'active' })
+        ]);
+
+        const userIds = new Set([...wishlists, ...alerts].map(entry => entry.user.toString()));
+        if (userIds.size === 0) continue;
+
+        const name = this.describe(product, restockedVariant);
+        const users = await this.findUsers([...userIds]);
+        await Promise.all(users.map(user => notifyUser(user, {
+          subject: `Back in stock: ${name}`,
+          message: `Good news${user.firstName ? `, ${user.firstName}` : ''}! ${name} is back in stock `
+            + `at ₹${product.priceFor(restockedVariant)}. Stock is limited, so order soon.`
+        })));
+
+        await StockAlert.updateMany(
+          { _id: { $in: alerts.map(alert => alert._id) } },
+          { $set: { status: 'notified', notifiedAt: new Date() } }
+        );
+      }
+    } catch (error) {
+      console.error('Failed to send back in stock alerts:', error);
+    }
+  }
+
+  /**
+   * Tell shoppers when a product they wishlisted costs less than when they
+   * added it. Each shopper hears about a price once; a further drop alerts
+   * again. Never throws.
+   * @param {Product} product - product after the price change
+   * @returns {Promise<void>}
+   */
+  async checkPriceDrop(product) {
+    try {
+      if (!product?.isActive) return;
+
+      const wishlists = await Wishlist.find({ 'products.product': product._id });
+      const drops = [];
+      wishlists.forEach(wishlist => {
+        wishlist.products
+          .filter(entry => entry.product.equals(product._id) && entry.priceWhenAdded !== null)
+          .forEach(entry => {
+            const price = product.priceFor(entry.variant);
+            const threshold = Math.min(entry.priceWhenAdded, entry.lastAlertedPrice ?? Infinity);
+            if (price < threshold) {
+              drops.push({ wishlist, entry, price });
+            }
+          });
+      });
+      if (drops.length === 0) return;
+
+      const users = await this.findUsers(drops.map(drop => drop.wishlist.user));
+      for (const { wishlist, entry, price } of drops) {
+        const user = users.find(candidate => candidate._id.equals(wishlist.user));
+        if (user) {
+          const name = this.describe(product, entry.variant);
+          await notifyUser(user, {
+            subject: `Price drop: ${name}`,
+            message: `${name} from your wishlist is now ₹${price}, down from ₹${entry.priceWhenAdded} when you added it.`
+          });
+        }
+
+        await Wishlist.updateOne(
+          { _id: wishlist._id, 'products._id': entry._id },
+          { $set: { 'products.$.lastAlertedPrice': price } }
+        );
+      }
+    } catch (error) {
+      console.error('Failed to send price drop alerts:', error);
+    }
+  }
+
+  /**
+   * Subscribe a shopper to a back-in-stock alert, re-arming one that has
+   * already fired.
+   * @returns {Promise<StockAlert>}
+   */
+  async subscribe(userId, productId, variantId = null) {
+    return StockAlert.findOneAndUpdate(
+      { user: userId, product: productId, variant: variantId || null },
+      { $set: { status: 'active' }, $unset: { notifiedAt: 1 } },
+      { upsert: true, new: true }
+    );
+  }
+}
+
+export default new ProductAlertService();
@@ -0,0 +1,428 @@
+import dns from 'dns/promises';
+import fs from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import { Readable } from 'stream';
+import axios from 'axios';
+import ExcelJS from 'exceljs';
+import sharp from 'sharp';
+import slugify from 'slugify';
+import { validationResult } from 'express-validator';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import ProductType from '../models/ProductType.js';
+import InventoryService from './inventoryService.js';
+import CostingService from './costingService.js';
+import ProductAlertService from './productAlertService.js';
+import ShippingService from './shippingService.js';
+import { validateProductCreation } from '../middleware/extendedValidation.js';
+import { normalizeGtin } from '../utils/barcode.js';
+
+// Columns of the import and export file, in order
+export const PRODUCT_COLUMNS = [
+  'sku', 'name', 'slug', 'description', 'price', 'category', 'productType', 'stock', 'unitCost',
+  'brand', 'barcode', 'reorderPoint', 'reorderQuantity', 'trackLots', 'isFeatured', 'isActive',
+  'length', 'width', 'height', 'weight', 'hsnCode', 'gstRate', 'images'
+];
+
+const MAX_ROWS = 5000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_SEPARATOR = '|';
+
+// Local image paths must sit under this directory; unset disables local paths
+const imageDir = process.env.PRODUCT_IMPORT_IMAGE_DIR ? path.resolve(process.env.PRODUCT_IMPORT_IMAGE_DIR) : null;
+
+// Images are never downloaded from loopback, private, link-local, shared
+// (carrier-grade NAT), multicast or reserved addresses
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address, family) => !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+// DNS lookup for image downloads. The connection is made to the addresses
+// checked here, so a host cannot resolve to a public address for the check
+// and a private one for the download.
+const publicLookup = async hostname => {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.some(entry => !isPublicAddress(entry.address, entry.family))) {
+    throw new Error(`Image host resolves to a non-public address: ${hostname}`);
+  }
+  return addresses;
+};
+
+const isUrl = source => /^https?:\/\//i.test(source);
+const toBoolean = value => ['true', '1'].includes(String(value).toLowerCase());
+
+class ProductImportService {
+  /**
+   * Read the first sheet of a CSV or XLSX file into rows keyed by column.
+   * Every value is read as text so SKUs and barcodes keep leading zeros.
+   * @param {Buffer} buffer
+   * @param {string} filename - used to tell CSV from XLSX
+   * @returns {Promise<Array>} [{ rowNumber, values }]
+   */
+  async parseFile(buffer, filename) {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+    if (/\.csv$/i.test(filename)) {
+      sheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+    } else if (/\.xlsx$/i.test(filename)) {
+      await workbook.xlsx.load(buffer);
+      sheet = workbook.worksheets[0];
+    } else {
+      throw new Error('File must be a .csv or .xlsx file');
+    }
+    if (!sheet || sheet.rowCount < 2) {
+      throw new Error('File has no product rows');
+    }
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, columnNumber) => {
+      const name = PRODUCT_COLUMNS.find(column => column.toLowerCase() === cell.text.trim().toLowerCase());
+      if (name) headers[columnNumber] = name;
+    });
+    if (!headers.includes('sku')) {
+      throw new Error('File must have a sku column');
+    }
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      row.eachCell((cell, columnNumber) => {
+        const text = cell.text.trim();
+        if (headers[columnNumber] && text !== '') values[headers[columnNumber]] = text;
+      });
+      if (Object.keys(values).length > 0) rows.push({ rowNumber, values });
+    });
+
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`Files can have at most ${MAX_ROWS} product rows`);
+    }
+    return rows;
+  }
+
+  /**
+   * Request body for a row, in the shape POST /api/products accepts.
+   * Category and product type may be given by slug or ID.
+   */
+  async buildBody(values, lookups) {
+    const body = { ...values };
+    delete body.images;
+    delete body.length;
+    delete body.width;
+    delete body.height;
+
+    if (values.length !== undefined || values.width !== undefined || values.height !== undefined) {
+      body.dimensions = { length: values.length, width: values.width, height: values.height };
+    }
+    // Weights in the file are in kg
+    if (values.weight !== undefined) {
+      body.weight = { value: parseFloat(values.weight), unit: 'kg' };
+    }
+    body.category = lookups.categories.get(String(values.category || '').toLowerCase()) || values.category;
+    body.productType = lookups.productTypes.get(String(values.productType || '').toLowerCase()) || values.productType;
+    return body;
+  }
+
+  /**
+   * Check a row's image sources without downloading them.
+   * @returns {Promise<Array>} error messages
+   */
+  async checkImageSources(sources) {
+    const errors = [];
+    for (const source of sources) {
+      if (isUrl(source)) {
+        try {
+          new URL(source);
+        } catch (error) {
+          errors.push(`Invalid image URL: ${source}`);
+        }
+        continue;
+      }
+
+      const file = this.resolveImagePath(source);
+      if (!file) {
+        errors.push(imageDir ? `Image path is outside the import directory: ${source}` : 'Local image paths are not enabled');
+        continue;
+      }
+      try {
+        await fs.access(file);
+      } catch (error) {
+        errors.push(`Image not found: ${source}`);
+      }
+    }
+    return errors;
+  }
+
+  resolveImagePath(source) {
+    if (!imageDir) return null;
+    const file = path.resolve(imageDir, source);
+    return file.startsWith(imageDir + path.sep) ? file : null;
+  }
+
+  /**
+   * Download or read an image and check it really is one. URLs must point
+   * at public addresses and are not followed through redirects.
+   * @returns {Promise<Object>} { data, contentType }
+   */
+  async fetchImage(source) {
+    let data;
+    if (isUrl(source)) {
+      // Literal addresses are connected to without a lookup
+      const host = new URL(source).hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && !isPublicAddress(host, net.isIP(host))) {
+        throw new Error(`Image URL points at a non-public address: ${source}`);
+      }
+
+      const response = await axios.get(source, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: MAX_IMAGE_BYTES,
+        maxRedirects: 0,
+        proxy: false,
+        lookup: publicLookup
+      });
+      data = Buffer.from(response.data);
+    } else {
+      const file = this.resolveImagePath(source);
+      if (!file) throw new Error(`Image path is outside the import directory: ${source}`);
+      data = await fs.readFile(file);
+      if (data.length > MAX_IMAGE_BYTES) throw new Error(`Image is larger than 5MB: ${source}`);
+    }
+
+    const { format } = await sharp(data).metadata();
+    if (!['jpeg', 'png', 'webp', 'gif'].includes(format)) {
+      throw new Error(`Unsupported image format: ${source}`);
+    }
+    return { data, contentType: `image/${format}` };
+  }
+
+  /**
+   * Validate every row and work out what importing it would do. Rows are
+   * validated with the same rules as product creation, plus SKU, slug and
+   * barcode clashes with other rows and the catalogue.
+   * @param {Array} rows - from parseFile
+   * @returns {Promise<Object>} { rows: [{ rowNumber, sku, action, errors, body }], summary }
+   */
+  async preview(rows) {
+    const [categories, productTypes] = await Promise.all([
+      Category.find().select('slug'),
+      ProductType.find().select('slug')
+    ]);
+    const lookups = {
+      categories: new Map(categories.map(category => [category.slug, category._id.toString()])),
+      productTypes: new Map(productTypes.map(productType => [productType.slug, productType._id.toString()]))
+    };
+
+    const skus = rows.map(row => row.values.sku).filter(Boolean);
+    const existing = await Product.find({ sku: { $in: skus } }).select('sku slug stock gtin variants.gtin variants.isActive');
+    const seen = { sku: new Map(), slug: new Map(), gtin: new Map() };
+
+    const results = [];
+    for (const { rowNumber, values } of rows) {
+      const errors = [];
+      const product = existing.find(candidate => candidate.sku === values.sku) || null;
+
+      if (!values.sku) {
+        errors.push({ field: 'sku', message: 'SKU is required' });
+      }
+
+      const req = { body: await this.buildBody(values, lookups) };
+      for (const chain of validateProductCreation) {
+        await chain.run(req);
+      }
+      validationResult(req).array().forEach(error => errors.push({ field: error.path, message: error.msg }));
+
+      const body = req.body;
+      if (!body.category) {
+        errors.push({ field: 'category', message: 'Category is required' });
+      } else if (!lookups.categories.has(String(values.category).toLowerCase()) && !categories.some(category => category._id.toString() === body.category)) {
+        errors.push({ field: 'category', message: `Category not found: ${values.category}` });
+      }
+      if (body.productType && !productTypes.some(productType => productType._id.toString() === body.productType)) {
+        errors.push({ field: 'productType', message: `Product type not found: ${values.productType}` });
+      }
+
+      body.slug = body.slug || (body.name ? slugify(body.name, { lower: true, strict: true }) : undefined);
+      const gtin = body.barcode ? normalizeGtin(body.barcode) : null;
+
+      // Clashes with earlier rows of the same file
+      [['sku', values.sku], ['slug', body.slug], ['gtin', gtin]].forEach(([key, value]) => {
+        if (!value) return;
+        if (seen[key].has(value)) {
+          errors.push({ field: key === 'gtin' ? 'barcode' : key, message: `Duplicate of row ${seen[key].get(value)}` });
+        } else {
+          seen[key].set(value, rowNumber);
+        }
+      });
+
+      // Clashes with the rest of the catalogue
+      if (body.slug && await Product.exists({ slug: body.slug, sku: { $ne: values.sku } })) {
+        errors.push({ field: 'slug', message: `Slug is already used by another product: ${body.slug}` });
+      }
+      if (gtin && await Product.barcodeInUse(gtin, product?._id)) {
+        errors.push({ field: 'barcode', message: 'Barcode is already used by another product' });
+      }
+
+      // Stock of products with variants or warehouse levels is not set from a file
+      if (product && body.stock !== undefined && parseInt(body.stock, 10) !== product.stock) {
+        if (product.variants.some(variant => variant.isActive) || await InventoryService.isWarehouseTracked(product._id)) {
+          errors.push({ field: 'stock', message: 'Stock for this product is managed per variant or warehouse' });
+        }
+      }
+
+      const images = values.images ? values.images.split(IMAGE_SEPARATOR).map(source => source.trim()).filter(Boolean) : [];
+      if (!product && images.length === 0) {
+        errors.push({ field: 'images', message: 'At least one image is required for new products' });
+      }
+      (await this.checkImageSources(images)).forEach(message => errors.push({ field: 'images', message }));
+
+      results.push({
+        rowNumber,
+        sku: values.sku || null,
+        action: product ? 'update' : 'create',
+        errors,
+        body,
+        images
+      });
+    }
+
+    return {
+      rows: results,
+      summary: {
+        totalRows: results.length,
+        validRows: results.filter(row => row.errors.length === 0).length,
+        invalidRows: results.filter(row => row.errors.length > 0).length,
+        toCreate: results.filter(row => row.errors.length === 0 && row.action === 'create').length,
+        toUpdate: results.filter(row => row.errors.length === 0 && row.action === 'update').length
+      }
+    };
+  }
+
+  /**
+   * Create or update the valid rows of a preview, matching products by SKU.
+   * A row that fails part way, e.g. on an image download, is reported and
+   * the rest carry on. Stock changes go through the ledger.
+   * @param {Object} preview - from preview()
+   * @param {Object} options - { user }
+   * @returns {Promise<Array>} [{ rowNumber, sku, action, product, error }]
+   */
+  async importRows(preview, { user }) {
+    const results = [];
+    for (const row of preview.rows.filter(entry => entry.errors.length === 0)) {
+      try {
+        const images = [];
+        for (const source of row.images) {
+          images.push(await this.fetchImage(source));
+        }
+
+        const { stock, unitCost, ...fields } = row.body;
+        const data = {
+          ...fields,
+          trackLots: fields.trackLots !== undefined ? toBoolean(fields.trackLots) : undefined,
+          isFeatured: fields.isFeatured !== undefined ? toBoolean(fields.isFeatured) : undefined,
+          isActive: fields.isActive !== undefined ? toBoolean(fields.isActive) : undefined
+        };
+        Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+
+        let product = await Product.findOne({ sku: row.sku });
+        if (product) {
+          product.set({ ...data, updatedAt: Date.now() });
+          if (images.length > 0) product.images = images;
+          const priceChanged = product.isModified('price');
+          await product.save();
+          if (priceChanged) {
+            ProductAlertService.checkPriceDrop(product)
+              .catch(error => console.error('Failed to check price drop alerts:', error));
+          }
+
+          const delta = parseInt(stock, 10) - product.stock;
+          if (delta) {
+            await InventoryService.adjustStock(product._id, delta, { unitCost, user, reason: 'Product import' });
+          }
+        } else {
+          product = new Product({ ...data, stock, images, createdBy: user.id });
+          await product.save();
+
+          // Opening stock is the first entry in the product's ledger
+          if (product.stock > 0) {
+            await InventoryService.recordMovement({
+              product: product._id,
+              type: 'receipt',
+              quantity: product.stock,
+              balanceAfter: product.stock,
+              cost: await CostingService.recordCost(product, null, product.stock, unitCost),
+              reason: 'Opening stock (product import)',
+              user
+            });
+          }
+        }
+
+        results.push({ rowNumber: row.rowNumber, sku: row.sku, action: row.action, product: product._id, error: null });
+      } catch (error) {
+        results.push({ rowNumber: row.rowNumber, sku: row.sku, action: row.action, product: null, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Products in the import format, with image URLs that the import can
+   * fetch back.
+   * @param {Object} options - { format: 'csv' | 'xlsx', category, baseUrl }
+   * @returns {Promise<Buffer>}
+   */
+  async exportProducts({ format = 'csv', category = null, baseUrl }) {
+    const filter = category ? { category } : {};
+    const products = await Product.find(filter)
+      .select('-images.data -variants.images')
+      .populate('category', 'slug')
+      .populate('productType', 'slug')
+      .sort({ createdAt: 1 });
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = PRODUCT_COLUMNS.map(key => ({ header: key, key, width: key === 'description' ? 60 : 18 }));
+
+    products.forEach(product => {
+      sheet.addRow({
+        sku: product.sku,
+        name: product.name,
+        slug: product.slug,
+        description: product.description,
+        price: product.price,
+        category: product.category?.slug,
+        productType: product.productType?.slug,
+        stock: product.stock,
+        unitCost: product.averageCost ?? undefined,
+        brand: product.brand,
+        barcode: product.barcode,
+        reorderPoint: product.reorderPoint ?? undefined,
+        reorderQuantity: product.reorderQuantity ?? undefined,
+        trackLots: product.trackLots,
+        isFeatured: product.isFeatured,
+        isActive: product.isActive,
+        length: product.dimensions?.length,
+        width: product.dimensions?.width,
+        height: product.dimensions?.height,
+        weight: product.weight?.value ? Math.round(ShippingService.unitWeight(product) * 1000) / 1000 : undefined,
+        hsnCode: product.hsnCode ?? undefined,
+        gstRate: product.gstRate ?? undefined,
+        images: product.images.map((image, index) => `${baseUrl}/api/products/${product._id}/image/${index}`).join(IMAGE_SEPARATOR)
+      });
+    });
+
+    // Text cells so spreadsheet apps keep leading zeros
+    ['sku', 'barcode', 'hsnCode'].forEach(key => { sheet.getColumn(key).numFmt = '@'; });
+
+    return format === 'xlsx' ? workbook.xlsx.writeBuffer() : workbook.csv.writeBuffer();
+  }
+}
+
+export default new ProductImportService();
@@ -0,0 +1,265 @@
+import Product from '../models/Product.js';
+import SerialNumber from '../models/SerialNumber.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+
+const toId = value => (value?._id || value || null);
+const sameVariant = (a, b) => String(toId(a) || '') === String(toId(b) || '');
+
+// Serial numbers of serial-tracked products. Serials are checked before the
+// stock change they belong to and written after it, so a rejected receipt
+// or adjustment leaves no units behind.
+class SerialService {
+  /**
+   * Trim and upper-case serial numbers, dropping blanks.
+   * @param {Array} serials
+   * @returns {Array}
+   */
+  normalize(serials = []) {
+    return serials.map(serial => String(serial).trim().toUpperCase()).filter(Boolean);
+  }
+
+  checkCount(serials, quantity) {
+    if (serials.length !== quantity) {
+      return `Expected ${quantity} serial numbers, got ${serials.length}`;
+    }
+    if (new Set(serials).size !== serials.length) {
+      return 'Serial numbers must not repeat';
+    }
+    return null;
+  }
+
+  /**
+   * Check serials for units about to be received.
+   * @returns {Promise<string|null>} error message or null
+   */
+  async checkNewSerials(productId, serials, quantity) {
+    const countError = this.checkCount(serials, quantity);
+    if (countError) return countError;
+
+    const existing = await SerialNumber.find({ product: productId, serialNumber: { $in: serials } }).select('serialNumber');
+    if (existing.length > 0) {
+      return `Serial numbers already registered: ${existing.map(unit => unit.serialNumber).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Register received units.
+   * @param {Object} options - { warehouse, purchaseOrder }
+   * @returns {Promise<Array>} SerialNumber documents
+   */
+  async register(productId, variantId, serials, { warehouse = null, purchaseOrder = null } = {}) {
+    return SerialNumber.insertMany(serials.map(serialNumber => ({
+      serialNumber,
+      product: productId,
+      variant: toId(variantId),
+      warehouse: toId(warehouse),
+      purchaseOrder: toId(purchaseOrder),
+      history: [{ event: 'received' }]
+    })));
+  }
+
+  /**
+   * Check serials for units about to be removed from stock.
+   * @returns {Promise<string|null>} error message or null
+   */
+  async checkStockSerials(productId, variantId, serials, quantity) {
+    const countError = this.checkCount(serials, quantity);
+    if (countError) return countError;
+
+    const units = await SerialNumber.find({
+      product: productId,
+      variant: toId(variantId),
+      serialNumber: { $in: serials },
+      status: 'in_stock'
+    }).select('serialNumber');
+    const missing = serials.filter(serial => !units.some(unit => unit.serialNumber === serial));
+    if (missing.length > 0) {
+      return `Serial numbers not in stock: ${missing.join(', ')}`;
+    }
+    return null;
+  }
+
+  async writeOff(productId, serials) {
+    await SerialNumber.updateMany(
+      { product: productId, serialNumber: { $in: serials }, status: 'in_stock' },
+      { $set: { status: 'written_off' }, $push: { history: { event: 'written_off' } } }
+    );
+  }
+
+  /**
+   * Assign the units being shipped to an order line, replacing any serials
+   * assigned to it before. Each unit is claimed with a conditional update,
+   * so a unit can only ever be on one line.
+   * @param {Order} order
+   * @param {Object} item - order line (changed in place; the caller saves the order)
+   * @param {Array} serials - normalized serial numbers
+   * @returns {Promise<string|null>} error message or null
+   */
+  async assignToOrderItem(order, item, serials) {
+    const countError = this.checkCount(serials, item.quantity);
+    if (countError) return countError;
+
+    const previous = item.serialNumbers || [];
+    const toClaim = serials.filter(serial => !previous.includes(serial));
+    const toRelease = previous.filter(serial => !serials.includes(serial));
+
+    const claimed = [];
+    for (const serialNumber of toClaim) {
+      const filter = { product: item.product, variant: toId(item.variant), serialNumber, status: 'in_stock' };
+      const unit = await SerialNumber.findOneAndUpdate(filter, {
+        $set: { status: 'sold', order: order._id, orderItem: item._id, customer: toId(order.user), soldAt: new Date() },
+        $push: { history: { event: 'sold', order: order._id, customer: toId(order.user) } }
+      });
+      if (!unit) {
+        await this.unassign(order, claimed);
+        return `Serial number ${serialNumber} is not in stock for this item`;
+      }
+      claimed.push(serialNumber);
+    }
+
+    await this.unassign(order, toRelease);
+    item.serialNumbers = serials;
+    return null;
+  }
+
+  async unassign(order, serials) {
+    if (serials.length === 0) return;
+    await SerialNumber.updateMany(
+      { order: order._id, serialNumber: { $in: serials }, status: 'sold' },
+      {
+        $set: { status: 'in_stock', order: null, orderItem: null, customer: null, soldAt: null },
+        $push: { history: { event: 'unassigned', order: order._id } }
+      }
+    );
+  }
+
+  /**
+   * Put every unit assigned to an order back in stock, e.g. when it is
+   * cancelled before shipping.
+   * @param {Order} order - changed in place; the caller saves it
+   * @returns {Promise<void>}
+   */
+  async releaseOrder(order) {
+    const serials = order.items.flatMap(item => item.serialNumbers || []);
+    await this.unassign(order, serials);
+    order.items.forEach(item => { item.serialNumbers = []; });
+  }
+
+  /**
+   * Allocated lines of serial-tracked products that do not have a serial
+   * for every unit yet.
+   * @param {Order} order
+   * @param {Array} items - lines to check (default: all of the order's)
+   * @returns {Promise<Array>} order lines
+   */
+  async findUnserializedItems(order, items = order.items) {
+    const tracked = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      trackSerials: true
+    }).distinct('_id');
+
+    return items.filter(item => tracked.some(id => id.equals(toId(item.product)))
+      && !item.pendingQuantity
+      && (item.serialNumbers?.length || 0) < item.quantity);
+  }
+
+  /**
+   * Check that each returned unit of a serial-tracked product is one that
+   * was shipped on the order and is not already being returned. Normalizes
+   * the items' serial numbers in place.
+   * @param {Order} order
+   * @param {Array} items - return request items
+   * @returns {Promise<string|null>} error message or null
+   */
+  async checkReturnSerials(order, items) {
+    const tracked = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      trackSerials: true
+    }).distinct('_id');
+
+    for (const item of items) {
+      if (!tracked.some(id => id.equals(toId(item.product)))) {
+        item.serialNumbers = [];
+        continue;
+      }
+
+      const serials = this.normalize(item.serialNumbers);
+      const countError = this.checkCount(serials, parseInt(item.quantity, 10));
+      if (countError) return `Serial numbers for product ${item.product}: ${countError}`;
+
+      const shipped = order.items
+        .filter(line => line.product.equals(toId(item.product)) && sameVariant(line.variant, item.variant))
+        .flatMap(line => line.serialNumbers || []);
+      const notShipped = serials.filter(serial => !shipped.includes(serial));
+      if (notShipped.length > 0) {
+        return `Serial numbers were not shipped on this order: ${notShipped.join(', ')}`;
+      }
+
+      const sold = await SerialNumber.countDocuments({
+        product: item.product,
+        serialNumber: { $in: serials },
+        order: order._id,
+        status: 'sold'
+      });
+      const openReturn = await ReturnRequest.exists({
+        order: order._id,
+        status: { $nin: ['rejected', 'cancelled'] },
+        'items.serialNumbers': { $in: serials }
+      });
+      if (sold !== serials.length || openReturn) {
+        return 'Some of these serial numbers have already been returned';
+      }
+
+      item.serialNumbers = serials;
+    }
+    return null;
+  }
+
+  /**
+   * Record returned units, back in stock when the return was restocked.
+   * @param {ReturnRequest} returnRequest
+   * @param {Object} options - { restocked, warehouse }
+   * @returns {Promise<void>}
+   */
+  async markReturned(returnRequest, { restocked = false, warehouse = null } = {}) {
+    for (const item of returnRequest.items) {
+      if (!item.serialNumbers?.length) continue;
+
+      const filter = { product: item.product, serialNumber: { $in: item.serialNumbers }, order: returnRequest.order };
+      const returned = { event: 'returned', order: returnRequest.order, customer: returnRequest.user, returnRequest: returnRequest._id };
+
+      if (restocked) {
+        await SerialNumber.updateMany({ ...filter, status: { $in: ['sold', 'returned'] } }, {
+          $set: { status: 'in_stock', order: null, orderItem: null, customer: null, soldAt: null, warehouse: toId(warehouse) },
+          $push: { history: { $each: [returned, { event: 'restocked', returnRequest: returnRequest._id }] } }
+        });
+      } else {
+        await SerialNumber.updateMany({ ...filter, status: 'sold' }, {
+          $set: { status: 'returned' },
+          $push: { history: returned }
+        });
+      }
+    }
+  }
+
+  /**
+   * Units with a serial number, with the order and customer they were
+   * sold to, for warranty claims. The same serial can exist for different
+   * products.
+   * @param {string} serialNumber
+   * @returns {Promise<Array>} SerialNumber documents
+   */
+  async lookup(serialNumber) {
+    return SerialNumber.find({ serialNumber: this.normalize([serialNumber])[0] })
+      .populate('product', 'name sku brand')
+      .populate('order', 'orderNumber orderStatus fulfilmentStatus createdAt shipments')
+      .populate('customer', 'firstName lastName email phone')
+      .populate('warehouse', 'name code')
+      .populate('history.order', 'orderNumber createdAt')
+      .populate('history.customer', 'firstName lastName email phone')
+      .populate('history.returnRequest', 'returnNumber status');
+  }
+}
+
+export default new SerialService();
@@ -0,0 +1,105 @@
+import SerialService from './serialService.js';
+
+// Shipments of an order: each carries some units of some lines, and the
+// order is shipped and delivered once all of its units are. The order is
+// changed in place; the caller saves it.
+class ShipmentService {
+  /**
+   * Check the lines of a new or edited shipment. A line can only go out
+   * once its stock is allocated, and no unit can be in two shipments.
+   * @param {Order} order
+   * @param {Array} items - [{ itemId, quantity }]
+   * @param {Object} shipment - the shipment being edited, if any
+   * @returns {string|null} error message or null
+   */
+  checkItems(order, items, shipment = null) {
+    for (const [itemId, quantity] of this.mergeItems(items)) {
+      const item = order.items.id(itemId);
+      if (!item) {
+        return `Order item ${itemId} not found`;
+      }
+      if (item.pendingQuantity > 0) {
+        return `Order item ${itemId} is still awaiting stock`;
+      }
+
+      const inThisShipment = shipment
+        ? shipment.items.filter(entry => entry.itemId.equals(item._id)).reduce((total, entry) => total + entry.quantity, 0)
+        : 0;
+      const unshipped = item.quantity - order.shippedQuantity(item._id) + inThisShipment;
+      if (quantity > unshipped) {
+        return `Only ${unshipped} units of order item ${itemId} are not in a shipment`;
+      }
+    }
+    return null;
+  }
+
+  mergeItems(items) {
+    const quantities = new Map();
+    items.forEach(entry => {
+      const itemId = entry.itemId.toString();
+      quantities.set(itemId, (quantities.get(itemId) || 0) + parseInt(entry.quantity, 10));
+    });
+    return quantities;
+  }
+
+  /**
+   * Shipment lines for checked items.
+   * @returns {Array} [{ itemId, product, variant, sku, quantity }]
+   */
+  buildItems(order, items) {
+    return [...this.mergeItems(items)].map(([itemId, quantity]) => {
+      const item = order.items.id(itemId);
+      return { itemId: item._id, product: item.product, variant: item.variant, sku: item.sku, quantity };
+    });
+  }
+
+  /**
+   * Lines of a shipment about to leave whose serial-tracked units do not
+   * all have serial numbers yet, counting units already shipped.
+   * @returns {Promise<Array>} order lines
+   */
+  async findUnserializedItems(order, shipment) {
+    const lines = order.items.filter(item => shipment.items.some(entry => entry.itemId.equals(item._id)));
+    const unserialized = await SerialService.findUnserializedItems(order, lines);
+    return unserialized.filter(item => {
+      const leaving = order.shippedQuantity(item._id, ['in transit', 'delivered'])
+        + shipment.items.filter(entry => entry.itemId.equals(item._id)).reduce((total, entry) => total + entry.quantity, 0);
+      return (item.serialNumbers?.length || 0) < leaving;
+    });
+  }
+
+  /**
+   * Move the order along with its shipments: shipped once every unit has
+   * left, delivered once every unit has arrived.
+   * @param {Order} order
+   * @param {string} notes
+   * @param {Object} user - decoded token of whoever made the change
+   */
+  syncOrderStatus(order, notes, user = null) {
+    const fulfilmentStatus = order.getFulfilmentStatus();
+    if (['shipped', 'delivered'].includes(fulfilmentStatus) && order.orderStatus === 'processing') {
+      order.setStatus('orderStatus', 'shipped', notes || 'All items shipped', user);
+    }
+    if (fulfilmentStatus === 'delivered' && order.orderStatus === 'shipped') {
+      order.setStatus('orderStatus', 'delivered', notes || 'All items delivered', user);
+    }
+  }
+
+  /**
+   * Change a shipment's status, recording its ship and delivery dates, and
+   * move the order along with it.
+   * @throws {Error} when the change is not allowed
+   */
+  setStatus(order, shipment, status, notes, user = null) {
+    order.setStatus('shipmentStatus', status, notes, user, shipment);
+    if (status === 'in transit' && !shipment.shipmentDate) {
+      shipment.shipmentDate = new Date();
+    }
+    if (status === 'delivered') {
+      shipment.deliveredAt = new Date();
+    }
+    this.syncOrderStatus(order, notes, user);
+  }
+}
+
+export default new ShipmentService();
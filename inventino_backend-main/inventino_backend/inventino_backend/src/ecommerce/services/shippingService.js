@@ -0,0 +1,210 @@
+import Product from '../models/Product.js';
+import Pincode from '../models/pincode.js';
+import ShippingRate from '../models/ShippingRate.js';
+import InventoryService from './inventoryService.js';
+import shippingConfig, { DEFAULT_RATE_CARDS } from '../config/shipping.js';
+
+const round = value => Math.round(value * 100) / 100;
+const toId = value => (value?._id || value || null);
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const KG_PER_UNIT = { g: 0.001, kg: 1, lb: 0.453592, oz: 0.0283495 };
+
+// Pincode prefixes of remote areas: Jammu and Kashmir and Ladakh, the
+// north-east, the Andaman and Nicobar Islands and Lakshadweep
+const SPECIAL_PREFIXES = ['18', '19', '78', '79', '744', '6825'];
+
+// Pincode prefixes of Delhi, Mumbai, Kolkata, Chennai, Bengaluru and Hyderabad
+const METRO_PREFIXES = ['110', '400', '700', '600', '560', '500'];
+
+// Postal circles by the first two digits of the pincode
+const POSTAL_CIRCLES = [
+  [11, 11, 'Delhi'], [12, 13, 'Haryana'], [14, 16, 'Punjab'], [17, 17, 'Himachal Pradesh'],
+  [18, 19, 'Jammu and Kashmir'], [20, 28, 'Uttar Pradesh'], [30, 34, 'Rajasthan'], [36, 39, 'Gujarat'],
+  [40, 44, 'Maharashtra'], [45, 49, 'Madhya Pradesh'], [50, 53, 'Andhra Pradesh'], [56, 59, 'Karnataka'],
+  [60, 64, 'Tamil Nadu'], [67, 69, 'Kerala'], [70, 74, 'West Bengal'], [75, 77, 'Odisha'],
+  [78, 78, 'Assam'], [79, 79, 'North East'], [80, 85, 'Bihar']
+];
+
+const postalCircle = pincode => {
+  const prefix = parseInt(pincode.slice(0, 2), 10);
+  return POSTAL_CIRCLES.find(([from, to]) => prefix >= from && prefix <= to)?.[2] || pincode.slice(0, 2);
+};
+
+// Shipping charges from rate cards: the zone comes from the origin and
+// destination pincodes, the slab from the greater of the actual and
+// volumetric weight of the parcel, and orders above the zone's threshold
+// ship free.
+class ShippingService {
+  /**
+   * Delivery zone between two pincodes. Cities, states and regions come
+   * from the pincode directory, or from the pincode digits for pincodes
+   * not in it: the first three digits are a sorting district and the
+   * first two give the postal circle, roughly the state.
+   * @param {string} origin - null when no origin is known
+   * @param {string} destination
+   * @param {Map} areas - pincode -> Pincode
+   * @returns {string} one of SHIPPING_ZONES
+   */
+  getZone(origin, destination, areas = new Map()) {
+    if (SPECIAL_PREFIXES.some(prefix => destination.startsWith(prefix))) return 'special';
+    if (!origin) return 'national';
+
+    const from = areas.get(origin);
+    const to = areas.get(destination);
+    const sameCity = from?.city && to?.city ? sameText(from.city, to.city) : origin.slice(0, 3) === destination.slice(0, 3);
+    if (sameCity) return 'local';
+
+    const sameState = from?.state && to?.state ? sameText(from.state, to.state) : postalCircle(origin) === postalCircle(destination);
+    const sameRegion = Boolean(from?.region && to?.region && sameText(from.region, to.region));
+    if (sameState || sameRegion) return 'regional';
+
+    const isMetro = pincode => METRO_PREFIXES.some(prefix => pincode.startsWith(prefix));
+    return isMetro(origin) && isMetro(destination) ? 'metro' : 'national';
+  }
+
+  /**
+   * Weight of one unit in kg, the configured default when unset.
+   */
+  unitWeight(product) {
+    const { value, unit } = product?.weight || {};
+    return value ? value * (KG_PER_UNIT[unit] || 1) : shippingConfig.defaultWeight;
+  }
+
+  /**
+   * Volumetric weight of one unit in kg; 0 unless all three dimensions are set.
+   */
+  unitVolumetricWeight(product) {
+    const { length, width, height } = product?.dimensions || {};
+    return length && width && height ? (length * width * height) / shippingConfig.volumetricDivisor : 0;
+  }
+
+  /**
+   * Charge for a parcel on a rate card.
+   * @param {Object} card - { slabs, extraWeightStep, extraWeightCharge }
+   * @param {number} weight - chargeable weight in kg
+   * @returns {number}
+   */
+  calculateCharge(card, weight) {
+    const slabs = [...card.slabs].sort((a, b) => a.maxWeight - b.maxWeight);
+    const slab = slabs.find(candidate => weight <= candidate.maxWeight);
+    if (slab) return slab.charge;
+
+    const last = slabs[slabs.length - 1];
+    const steps = Math.ceil((weight - last.maxWeight) / (card.extraWeightStep || 1) - 1e-9);
+    return round(last.charge + steps * (card.extraWeightCharge || 0));
+  }
+
+  /**
+   * Active rate card of a zone, or the default one.
+   * @returns {Promise<Object>}
+   */
+  async getRateCard(zone) {
+    const card = await ShippingRate.findOne({ zone, isActive: true });
+    return card || { zone, ...DEFAULT_RATE_CARDS[zone], freeShippingThreshold: null };
+  }
+
+  /**
+   * Check the lines of a quote before anything is worked out.
+   * @param {Array} items - [{ product, variant, quantity }]
+   * @returns {Promise<string|null>} error message or null
+   */
+  async checkItems(items) {
+    const ids = items.map(item => toId(item.product));
+    const products = await Product.find({ _id: { $in: ids } }).select('variants');
+    for (const item of items) {
+      const product = products.find(candidate => candidate._id.equals(toId(item.product)));
+      if (!product) {
+        return `Product ${toId(item.product)} not found`;
+      }
+      if (item.variant && !product.variants.id(item.variant)) {
+        return `Variant ${item.variant} not found for product ${product._id}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Shipping charge for a parcel of items to a pincode.
+   * @param {Object} params - { items: [{ product, variant, quantity }], pincode,
+   *   orderValue (priced from the products when omitted), warehouse (resolved
+   *   from the pincode when omitted) }
+   * @returns {Promise<Object>} zone, pincodes, weights, charge and free-shipping details
+   */
+  async quote({ items, pincode, orderValue = null, warehouse }) {
+    const origin = warehouse === undefined ? await InventoryService.resolveWarehouse(pincode) : warehouse;
+    const originPincode = origin?.address?.pincode || shippingConfig.originPincode;
+
+    const [products, areas] = await Promise.all([
+      Product.find({ _id: { $in: items.map(item => toId(item.product)) } }).select('price variants weight dimensions'),
+      Pincode.find({ pincode: { $in: [originPincode, pincode].filter(Boolean) } })
+    ]);
+    const areaMap = new Map(areas.map(area => [area.pincode, area]));
+
+    let actualWeight = 0;
+    let volumetricWeight = 0;
+    let value = 0;
+    items.forEach(item => {
+      const product = products.find(candidate => candidate._id.equals(toId(item.product)));
+      const quantity = parseInt(item.quantity, 10) || 1;
+      actualWeight += this.unitWeight(product) * quantity;
+      volumetricWeight += this.unitVolumetricWeight(product) * quantity;
+      value += (item.price ?? product?.priceFor(item.variant) ?? 0) * quantity;
+    });
+
+    const zone = this.getZone(originPincode, pincode, areaMap);
+    const card = await this.getRateCard(zone);
+    const chargeableWeight = round(Math.max(actualWeight, volumetricWeight));
+    const baseCharge = this.calculateCharge(card, chargeableWeight);
+
+    const threshold = card.freeShippingThreshold ?? shippingConfig.freeShippingThreshold;
+    const total = round(orderValue ?? value);
+    const isFree = threshold !== null && total >= threshold;
+
+    return {
+      zone,
+      originPincode,
+      destinationPincode: pincode,
+      actualWeight: round(actualWeight),
+      volumetricWeight: round(volumetricWeight),
+      chargeableWeight,
+      orderValue: total,
+      baseCharge,
+      charge: isFree ? 0 : baseCharge,
+      isFree,
+      freeShippingThreshold: threshold,
+      amountToFreeShipping: threshold !== null && !isFree ? round(threshold - total) : 0,
+      estimatedDeliveryDays: areaMap.get(pincode)?.estimatedDeliveryDays ?? null
+    };
+  }
+
+  /**
+   * Quote an order's shipping and store the charge on it. Run before
+   * TaxService.applyToOrder, which adds the charge to the total. Does not
+   * save the order.
+   * @param {Order} order - with items, subtotal and discountAmount
+   * @param {Warehouse} warehouse - the order ships from
+   * @returns {Promise<Order>}
+   */
+  async applyToOrder(order, warehouse) {
+    const subtotal = order.subtotal ?? order.items.reduce((total, item) => total + item.price * item.quantity, 0);
+    const quote = await this.quote({
+      items: order.items,
+      pincode: order.shippingAddress.zipCode,
+      orderValue: subtotal - (order.discountAmount || 0),
+      warehouse: warehouse || null
+    });
+
+    order.shippingCharge = quote.charge;
+    order.shippingQuote = {
+      zone: quote.zone,
+      originPincode: quote.originPincode,
+      chargeableWeight: quote.chargeableWeight,
+      baseCharge: quote.baseCharge,
+      freeShippingThreshold: quote.freeShippingThreshold
+    };
+    return order;
+  }
+}
+
+export default new ShippingService();
@@ -0,0 +1,189 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import Warehouse from '../models/Warehouse.js';
+import taxConfig from '../config/tax.js';
+
+const round = value => Math.round(value * 100) / 100;
+const toId = value => (value?._id || value || null);
+
+// GST state codes, by state or union territory name and common short forms
+const STATE_CODES = {
+  'jammu and kashmir': '01', 'j and k': '01', 'himachal pradesh': '02', punjab: '03', chandigarh: '04',
+  uttarakhand: '05', uttaranchal: '05', haryana: '06', delhi: '07', 'new delhi': '07', 'nct of delhi': '07',
+  rajasthan: '08', 'uttar pradesh': '09', bihar: '10', sikkim: '11', 'arunachal pradesh': '12',
+  nagaland: '13', manipur: '14', mizoram: '15', tripura: '16', meghalaya: '17', assam: '18',
+  'west bengal': '19', jharkhand: '20', odisha: '21', orissa: '21', chhattisgarh: '22',
+  'madhya pradesh': '23', gujarat: '24', 'dadra and nagar haveli and daman and diu': '26',
+  'daman and diu': '26', 'dadra and nagar haveli': '26', maharashtra: '27', karnataka: '29',
+  goa: '30', lakshadweep: '31', kerala: '32', 'tamil nadu': '33', puducherry: '34', pondicherry: '34',
+  'andaman and nicobar islands': '35', telangana: '36', 'andhra pradesh': '37', ladakh: '38',
+  jk: '01', hp: '02', pb: '03', ch: '04', uk: '05', hr: '06', dl: '07', rj: '08', up: '09', br: '10',
+  sk: '11', ar: '12', nl: '13', mn: '14', mz: '15', tr: '16', ml: '17', as: '18', wb: '19', jh: '20',
+  od: '21', cg: '22', mp: '23', gj: '24', dn: '26', dd: '26', mh: '27', ka: '29', ga: '30', ld: '31',
+  kl: '32', tn: '33', py: '34', an: '35', ts: '36', tg: '36', ap: '37', la: '38'
+};
+
+// Union territories without a legislature levy UTGST in place of SGST
+const UTGST_CODES = ['04', '26', '31', '35', '38'];
+
+// GST on order lines. Intra-state supplies, shipped from a warehouse in the
+// customer's state, are taxed half CGST and half SGST (or UTGST); other
+// supplies are taxed IGST. Rates come from the product, then its category
+// and parent category, then the configured default. Shipping is supplied
+// with the goods, so it is taxed at the highest rate among the lines.
+class TaxService {
+  /**
+   * GST state code for a state name, short form or two-digit code.
+   * @param {string} state
+   * @returns {string|null}
+   */
+  stateCode(state) {
+    if (!state) return null;
+    const text = String(state).trim();
+    if (/^\d{2}$/.test(text)) return text;
+
+    const name = text.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+    return STATE_CODES[name] || null;
+  }
+
+  /**
+   * HSN code and GST rate for each product.
+   * @param {Array} productIds
+   * @returns {Promise<Map>} productId -> { hsnCode, rate }
+   */
+  async resolveRates(productIds) {
+    const products = await Product.find({ _id: { $in: productIds } }).select('hsnCode gstRate category');
+    const categories = await Category.find({ _id: { $in: products.map(product => product.category).filter(Boolean) } })
+      .select('hsnCode gstRate parentCategory')
+      .populate('parentCategory', 'hsnCode gstRate');
+
+    return new Map(products.map(product => {
+      const category = categories.find(candidate => candidate._id.equals(product.category));
+      const parent = category?.parentCategory;
+      const pick = field => [product, category, parent].map(source => source?.[field]).find(value => value !== null && value !== undefined);
+
+      return [product._id.toString(), {
+        hsnCode: pick('hsnCode') || null,
+        rate: pick('gstRate') ?? taxConfig.defaultGstRate
+      }];
+    }));
+  }
+
+  /**
+   * Where an order is supplied from: its warehouse, or the registered
+   * state when it has none.
+   * @param {string} warehouseId
+   * @returns {Promise<Object>} { state, gstin, name, address }
+   */
+  async getSeller(warehouseId) {
+    const warehouse = warehouseId ? await Warehouse.findById(toId(warehouseId)).select('name address gstin') : null;
+    return {
+      state: warehouse?.address?.state || taxConfig.registeredState,
+      gstin: warehouse?.gstin || null,
+      name: warehouse?.name || null,
+      address: warehouse?.address || null
+    };
+  }
+
+  /**
+   * GST on one line amount, after discount.
+   * @param {number} amount - what the customer pays for the line
+   * @param {number} rate - GST percentage
+   * @param {Object} options - { intraState, pricesIncludeTax }
+   * @returns {Object} { rate, taxableValue, cgst, sgst, igst, totalTax }
+   */
+  calculateLine(amount, rate, { intraState, pricesIncludeTax = taxConfig.pricesIncludeTax }) {
+    const taxableValue = round(pricesIncludeTax ? amount * 100 / (100 + rate) : amount);
+    const totalTax = round(pricesIncludeTax ? amount - taxableValue : amount * rate / 100);
+    const cgst = intraState ? round(totalTax / 2) : 0;
+
+    return {
+      rate,
+      taxableValue,
+      cgst,
+      sgst: intraState ? round(totalTax - cgst) : 0,
+      igst: intraState ? 0 : totalTax,
+      totalTax
+    };
+  }
+
+  /**
+   * Work out GST for an order's lines. The coupon discount is spread over
+   * the lines by value, since GST is charged on what the customer pays.
+   * @param {Array} items - [{ product, price, quantity }]
+   * @param {Map} rates - from resolveRates
+   * @param {Object} options - { sellerState, buyerState, discountAmount, shippingCharge, pricesIncludeTax }
+   * @returns {Object} { lines, summary }
+   */
+  calculate(items, rates, { sellerState, buyerState, discountAmount = 0, shippingCharge = 0, pricesIncludeTax = taxConfig.pricesIncludeTax }) {
+    const sellerCode = this.stateCode(sellerState);
+    const buyerCode = this.stateCode(buyerState);
+    const intraState = sellerCode && buyerCode
+      ? sellerCode === buyerCode
+      : Boolean(sellerState && buyerState && sellerState.trim().toLowerCase() === buyerState.trim().toLowerCase());
+
+    const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+    const lines = items.map(item => {
+      const gross = item.price * item.quantity;
+      const net = gross - (subtotal > 0 ? discountAmount * gross / subtotal : 0);
+      const { hsnCode, rate } = rates.get(toId(item.product).toString()) || { hsnCode: null, rate: taxConfig.defaultGstRate };
+      return { hsnCode, ...this.calculateLine(net, rate, { intraState, pricesIncludeTax }) };
+    });
+    const shipping = shippingCharge > 0
+      ? this.calculateLine(shippingCharge, Math.max(0, ...lines.map(line => line.rate)), { intraState, pricesIncludeTax })
+      : null;
+
+    const sum = field => round([...lines, shipping].filter(Boolean).reduce((total, line) => total + line[field], 0));
+    return {
+      lines,
+      summary: {
+        supplyType: intraState ? 'intra_state' : 'inter_state',
+        sellerState,
+        placeOfSupply: buyerState,
+        stateTaxType: intraState && UTGST_CODES.includes(sellerCode) ? 'UTGST' : 'SGST',
+        pricesIncludeTax,
+        shipping,
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax: sum('totalTax')
+      }
+    };
+  }
+
+  /**
+   * Store the tax breakdown on each order line and on the order, and set
+   * the order total, shipping included: GST is added to it when prices
+   * exclude tax. Run again whenever the lines, discount or shipping
+   * change. Does not save the order.
+   * @param {Order} order - with items, subtotal, discountAmount, shippingCharge and warehouse
+   * @returns {Promise<Order>}
+   */
+  async applyToOrder(order) {
+    const [rates, seller] = await Promise.all([
+      this.resolveRates(order.items.map(item => item.product)),
+      this.getSeller(order.warehouse)
+    ]);
+
+    // An order keeps the pricing it was placed with
+    const pricesIncludeTax = order.tax?.pricesIncludeTax ?? taxConfig.pricesIncludeTax;
+    const { lines, summary } = this.calculate(order.items, rates, {
+      sellerState: seller.state,
+      buyerState: order.shippingAddress?.state,
+      discountAmount: order.discountAmount || 0,
+      shippingCharge: order.shippingCharge || 0,
+      pricesIncludeTax
+    });
+
+    order.items.forEach((item, index) => { item.tax = lines[index]; });
+    order.tax = { ...summary, sellerGstin: seller.gstin };
+
+    const subtotal = order.subtotal ?? order.items.reduce((total, item) => total + item.price * item.quantity, 0);
+    order.totalAmount = round(subtotal - (order.discountAmount || 0) + (order.shippingCharge || 0)
+      + (pricesIncludeTax ? 0 : summary.totalTax));
+    return order;
+  }
+}
+
+export default new TaxService();
@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import { readSetting, readInteger, readNumber, readBoolean, readChoice } from '../config/env.js';
+
+const NAME = 'TEST_SETTING';
+
+afterEach(() => {
+  delete process.env[NAME];
+  jest.restoreAllMocks();
+});
+
+describe('readSetting', () => {
+  test('gives the default when the setting is missing or blank', () => {
+    expect(readSetting(NAME, 'fallback')).toBe('fallback');
+    process.env[NAME] = '  ';
+    expect(readSetting(NAME, 'fallback')).toBe('fallback');
+  });
+
+  test('warns and gives the default when the value is invalid', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env[NAME] = 'often';
+
+    expect(readInteger(NAME, 24)).toBe(24);
+    expect(warn).toHaveBeenCalledWith(`${NAME} must be a whole number of at least 1; got "often", using 24`);
+  });
+});
+
+describe('typed settings', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('read whole numbers and numbers within their minimum', () => {
+    process.env[NAME] = '12';
+    expect(readInteger(NAME, 1)).toBe(12);
+    process.env[NAME] = '1.5';
+    expect(readInteger(NAME, 1)).toBe(1);
+    expect(readNumber(NAME, 0)).toBe(1.5);
+    process.env[NAME] = '-1';
+    expect(readNumber(NAME, null)).toBeNull();
+  });
+
+  test('read true or false in any case', () => {
+    process.env[NAME] = 'FALSE';
+    expect(readBoolean(NAME, true)).toBe(false);
+    process.env[NAME] = 'no';
+    expect(readBoolean(NAME, true)).toBe(true);
+  });
+
+  test('read one of a list of text or numeric choices', () => {
+    process.env[NAME] = 'FIFO';
+    expect(readChoice(NAME, 'weighted_average', ['fifo', 'weighted_average'])).toBe('fifo');
+    process.env[NAME] = '12';
+    expect(readChoice(NAME, 18, [5, 12, 18])).toBe(12);
+    process.env[NAME] = '13';
+    expect(readChoice(NAME, 18, [5, 12, 18])).toBe(18);
+    expect(console.warn).toHaveBeenCalledWith(`${NAME} must be one of: 5, 12, 18; got "13", using 18`);
+  });
+});
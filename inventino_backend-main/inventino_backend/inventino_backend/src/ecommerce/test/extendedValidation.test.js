@@ -0,0 +1,51 @@
+import express from 'express';
+import request from 'supertest';
+import { validationResult } from 'express-validator';
+import { validateVariantCreation, validateVariantUpdate, validateShippingQuote, handleValidationErrors } from '../middleware/extendedValidation.js';
+
+// Run a validation chain against a request and return its error messages
+const validate = async (rules, req) => {
+  for (const rule of rules) await rule.run(req);
+  return validationResult(req).array().map(error => error.msg);
+};
+
+describe('variant attribute validation', () => {
+  test('parses attributes sent as JSON text', async () => {
+    const req = { body: { sku: 'TS-M', attributes: '{"size": "M"}' } };
+    expect(await validate(validateVariantCreation, req)).toEqual([]);
+    expect(req.body.attributes).toEqual({ size: 'M' });
+  });
+
+  test('rejects text that is not JSON instead of failing the route', async () => {
+    const req = { body: { sku: 'TS-M', attributes: '{size: M' } };
+    expect(await validate(validateVariantCreation, req)).toEqual(['Variant attributes must be an object, e.g. {"size": "M"}']);
+  });
+
+  test('rejects JSON that is not an object and allows updates without attributes', async () => {
+    expect(await validate(validateVariantUpdate, { body: { attributes: '["M"]' } })).toHaveLength(1);
+    expect(await validate(validateVariantUpdate, { body: { price: '10' } })).toEqual([]);
+  });
+});
+
+describe('shipping quote validation', () => {
+  const app = express();
+  app.get('/quote', validateShippingQuote, handleValidationErrors, (req, res) => res.json({ count: req.query.items.length }));
+
+  const PRODUCT = '64b000000000000000000001';
+  const quoteFor = count => {
+    const items = Array.from({ length: count }, (_, i) => `items[${i}][product]=${PRODUCT}&items[${i}][quantity]=1`);
+    return request(app).get(`/quote?pincode=560001&${items.join('&')}`);
+  };
+
+  test('accepts as many items as the query string parser reads as a list', async () => {
+    const response = await quoteFor(20);
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(20);
+  });
+
+  test('rejects longer lists with the advertised limit', async () => {
+    const response = await quoteFor(22);
+    expect(response.status).toBe(400);
+    expect(JSON.stringify(response.body)).toContain('Items must be a list of 1 to 20 products');
+  });
+});
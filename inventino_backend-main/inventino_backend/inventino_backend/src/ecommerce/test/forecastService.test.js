@@ -0,0 +1,86 @@
+import ForecastService from '../services/forecastService.js';
+
+// A Sunday
+const START = new Date(Date.UTC(2026, 0, 4));
+
+// Four weeks selling 8 on Sundays and 1 on other days
+const weeklyPattern = Array.from({ length: 28 }, (value, index) => (index % 7 === 0 ? 8 : 1));
+
+describe('ForecastService.getWeekdayIndices', () => {
+  test('is flat with under two weeks of history or no sales', () => {
+    expect(ForecastService.getWeekdayIndices([1, 2, 3], START)).toEqual(new Array(7).fill(1));
+    expect(ForecastService.getWeekdayIndices(new Array(28).fill(0), START)).toEqual(new Array(7).fill(1));
+  });
+
+  test('gives each weekday its demand relative to the average day', () => {
+    const indices = ForecastService.getWeekdayIndices(weeklyPattern, START);
+    expect(indices[0]).toBeCloseTo(4);
+    indices.slice(1).forEach(index => expect(index).toBeCloseTo(0.5));
+  });
+});
+
+describe('ForecastService.forecast', () => {
+  test('starts the day after the history ends', () => {
+    const daily = ForecastService.forecast([1, 2, 3], START, { days: 2 });
+    expect(daily.map(day => day.date.toISOString().slice(0, 10))).toEqual(['2026-01-07', '2026-01-08']);
+  });
+
+  test('repeats the mean of the window as a moving average', () => {
+    const daily = ForecastService.forecast([10, 10, 2, 4, 6], START, { method: 'moving_average', window: 3, days: 5 });
+    expect(daily).toHaveLength(5);
+    daily.forEach(day => expect(day.units).toBeCloseTo(4));
+  });
+
+  test('puts the weekday pattern back on seasonal forecasts', () => {
+    const daily = ForecastService.forecast(weeklyPattern, START, { method: 'seasonal', window: 28, days: 7 });
+    expect(daily[0].date.getUTCDay()).toBe(0);
+    expect(daily[0].units).toBeCloseTo(8);
+    daily.slice(1).forEach(day => expect(day.units).toBeCloseTo(1));
+  });
+});
+
+describe('ForecastService.plan', () => {
+  const product = {
+    _id: '64b000000000000000000001',
+    name: 'Steel bottle',
+    sku: 'BTL-1',
+    stock: 10,
+    backorder: { quantity: 2 },
+    preorder: { quantity: 0 },
+    reorderPoint: 5,
+    reorderQuantity: 20
+  };
+  const steady = new Array(28).fill(2);
+  const options = { method: 'moving_average', window: 28, horizon: 10, serviceLevel: 0.95 };
+
+  test('orders enough to cover lead time and horizon less stock on hand and on order', () => {
+    const plan = ForecastService.plan(product, steady, START, { leadTimeDays: 5, onOrder: 3 }, options);
+
+    expect(plan.leadTimeDemand).toBe(10);
+    expect(plan.horizonForecast).toBe(20);
+    expect(plan.averageDailyForecast).toBe(2);
+    expect(plan.safetyStock).toBe(0);
+    expect(plan.committed).toBe(2);
+    expect(plan.suggestedReorderPoint).toBe(10);
+    // 30 units of demand against 10 in stock + 3 on order - 2 committed
+    expect(plan.suggestedOrderQuantity).toBe(19);
+    expect(plan.needsReorder).toBe(false);
+    expect(plan.daysOfCover).toBe(5);
+    expect(plan.unitsSold).toBe(56);
+  });
+
+  test('adds safety stock for uneven demand and flags products at the reorder point', () => {
+    const uneven = Array.from({ length: 28 }, (value, index) => (index % 2 === 0 ? 0 : 4));
+    const plan = ForecastService.plan({ ...product, stock: 4 }, uneven, START, { leadTimeDays: 4, onOrder: 0 }, options);
+
+    // z(0.95) x standard deviation 2 x sqrt(4 days)
+    expect(plan.safetyStock).toBe(Math.ceil(1.645 * 2 * 2));
+    expect(plan.suggestedReorderPoint).toBe(8 + plan.safetyStock);
+    expect(plan.needsReorder).toBe(true);
+  });
+
+  test('never suggests a negative order', () => {
+    const plan = ForecastService.plan({ ...product, stock: 500 }, steady, START, { leadTimeDays: 5, onOrder: 0 }, options);
+    expect(plan.suggestedOrderQuantity).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+// An endpoint that answers with the status and body it is sent, and counts its runs
+const handler = jest.fn((req, res) => res.status(req.body.status).json({ message: req.body.message }));
+const app = express();
+app.use(express.json());
+app.post('/orders', idempotent('order.create'), handler);
+
+const post = (body, key = 'key-1') => request(app).post('/orders').set('Idempotency-Key', key).send(body);
+
+// The response is stored once it has been sent
+const responseStored = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  handler.mockClear();
+  jest.spyOn(IdempotencyKey, 'create').mockResolvedValue({ _id: 'record-1' });
+  jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({});
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('idempotent', () => {
+  test('runs requests without a key as usual', async () => {
+    const response = await request(app).post('/orders').send({ status: 201, message: 'created' });
+
+    expect(response.status).toBe(201);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects empty and overlong keys', async () => {
+    expect((await post({ status: 201 }, ' ')).status).toBe(400);
+    expect((await post({ status: 201 }, 'k'.repeat(256))).status).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('stores a successful response with the key', async () => {
+    await post({ status: 201, message: 'created' });
+    await responseStored();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith({ _id: 'record-1' }, expect.objectContaining({
+      $set: { status: 'completed', responseStatus: 201, responseBody: { message: 'created' } }
+    }));
+  });
+
+  test('stores invalid requests, which would fail again', async () => {
+    await post({ status: 400, message: 'Validation failed' });
+    await responseStored();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalled();
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test.each([409, 500])('frees the key after a %i so the request can be retried', async status => {
+    await post({ status, message: 'Insufficient stock for some items' });
+    await responseStored();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record-1' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  describe('with a key already used', () => {
+    const used = existing => {
+      IdempotencyKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...existing
+      });
+    };
+
+    test('replays the stored response without running the request again', async () => {
+      const body = { status: 201, message: 'created' };
+      let requestHash;
+      IdempotencyKey.create.mockImplementationOnce(async record => {
+        requestHash = record.requestHash;
+        return { _id: 'record-1' };
+      });
+      await post(body);
+
+      used({ requestHash, status: 'completed', responseStatus: 201, responseBody: { message: 'created' } });
+      const response = await post(body);
+
+      expect(response.status).toBe(201);
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(response.body).toEqual({ message: 'created' });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses the key for a different request', async () => {
+      used({ requestHash: 'another request', status: 'completed', responseStatus: 201, responseBody: {} });
+      const response = await post({ status: 201, message: 'created' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toMatch(/different request/);
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
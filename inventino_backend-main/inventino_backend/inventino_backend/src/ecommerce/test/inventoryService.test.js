@@ -0,0 +1,329 @@
+import { jest } from '@jest/globals';
+import Product from '../models/Product.js';
+import StockLevel from '../models/StockLevel.js';
+import StockLot from '../models/StockLot.js';
+import StockMovement from '../models/StockMovement.js';
+import CostingService from '../services/costingService.js';
+import InventoryService from '../services/inventoryService.js';
+
+const PRODUCT_A = '64b000000000000000000001';
+const PRODUCT_B = '64b000000000000000000002';
+const WAREHOUSE = '64b0000000000000000000c1';
+const DEFAULT_WAREHOUSE = '64b0000000000000000000c2';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('InventoryService.reserveStock', () => {
+  // Stock on hand per product; updates only succeed when enough is left
+  const stockUpdates = stock => jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const id = filter._id.toString();
+    const change = update.$inc.stock;
+    if (change < 0 && stock[id] < -change) return null;
+    stock[id] += change;
+    return new Product({ _id: id, name: `Product ${id}`, stock: stock[id] });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'exists').mockResolvedValue(true);
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(false);
+    jest.spyOn(CostingService, 'recordCost').mockResolvedValue({ unitCost: 10, totalCost: -30 });
+  });
+
+  test('takes the total of lines for the same product in one update and records one sale', async () => {
+    const stock = { [PRODUCT_A]: 5 };
+    const updates = stockUpdates(stock);
+    const movements = jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+
+    const reservation = await InventoryService.reserveStock([
+      { product: PRODUCT_A, quantity: 1 },
+      { product: PRODUCT_A, quantity: 2 }
+    ]);
+
+    expect(reservation.success).toBe(true);
+    expect(updates).toHaveBeenCalledTimes(1);
+    expect(stock[PRODUCT_A]).toBe(2);
+    expect(movements).toHaveBeenCalledTimes(1);
+    expect(movements.mock.calls[0][0]).toMatchObject({ type: 'sale', quantity: -3, balanceAfter: 2 });
+  });
+
+  test('puts back the lines already taken when a later line is short', async () => {
+    const stock = { [PRODUCT_A]: 5, [PRODUCT_B]: 1 };
+    stockUpdates(stock);
+    const movements = jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+    jest.spyOn(InventoryService, 'describeShortLine').mockImplementation(async line => ({
+      product: line.product,
+      requested: line.quantity,
+      available: stock[line.product],
+      reason: 'insufficient_stock'
+    }));
+
+    const reservation = await InventoryService.reserveStock([
+      { product: PRODUCT_A, quantity: 3 },
+      { product: PRODUCT_B, quantity: 2 }
+    ]);
+
+    expect(reservation.success).toBe(false);
+    expect(reservation.shortItems).toEqual([
+      { product: PRODUCT_B, requested: 2, available: 1, reason: 'insufficient_stock' }
+    ]);
+    expect(stock).toEqual({ [PRODUCT_A]: 5, [PRODUCT_B]: 1 });
+    expect(movements).not.toHaveBeenCalled();
+  });
+
+  test('does not take stock of inactive products', async () => {
+    Product.exists.mockResolvedValue(null);
+    const updates = jest.spyOn(Product, 'findOneAndUpdate');
+    jest.spyOn(InventoryService, 'describeShortLine').mockResolvedValue({ product: PRODUCT_A, reason: 'inactive' });
+
+    const reservation = await InventoryService.reserveStock([{ product: PRODUCT_A, quantity: 1 }]);
+
+    expect(reservation.success).toBe(false);
+    expect(reservation.shortItems[0].reason).toBe('inactive');
+    expect(updates).not.toHaveBeenCalled();
+  });
+});
+
+describe('InventoryService.applyChange', () => {
+  test('only changes Product.stock of products not tracked by warehouse', async () => {
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(false);
+    const levels = jest.spyOn(StockLevel, 'findOneAndUpdate');
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(new Product({ _id: PRODUCT_A, stock: 7 }));
+
+    const result = await InventoryService.applyChange(PRODUCT_A, -3, WAREHOUSE);
+
+    expect(result.level).toBeNull();
+    expect(levels).not.toHaveBeenCalled();
+    expect(Product.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: PRODUCT_A, stock: { $gte: 3 } });
+  });
+
+  test('changes tracked products in the default warehouse when none is given', async () => {
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(true);
+    jest.spyOn(InventoryService, 'resolveWarehouse').mockResolvedValue({ _id: DEFAULT_WAREHOUSE });
+    const levels = jest.spyOn(StockLevel, 'findOneAndUpdate').mockResolvedValue({ warehouse: DEFAULT_WAREHOUSE, quantity: 2 });
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(new Product({ _id: PRODUCT_A, stock: 9 }));
+
+    const result = await InventoryService.applyChange(PRODUCT_A, 2, null);
+
+    expect(levels.mock.calls[0][0]).toEqual({ product: PRODUCT_A, warehouse: DEFAULT_WAREHOUSE });
+    expect(result.level.warehouse).toBe(DEFAULT_WAREHOUSE);
+  });
+
+  test('fails for tracked products when no warehouse can hold the change', async () => {
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(true);
+    jest.spyOn(InventoryService, 'resolveWarehouse').mockResolvedValue(null);
+    const products = jest.spyOn(Product, 'findOneAndUpdate');
+
+    expect(await InventoryService.applyChange(PRODUCT_A, 2, null)).toBeNull();
+    expect(products).not.toHaveBeenCalled();
+  });
+
+  test('undoes the warehouse change when the product is short', async () => {
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(true);
+    jest.spyOn(StockLevel, 'findOneAndUpdate').mockResolvedValue({ warehouse: WAREHOUSE, quantity: 0 });
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    const undo = jest.spyOn(StockLevel, 'updateOne').mockResolvedValue({});
+
+    expect(await InventoryService.applyChange(PRODUCT_A, -4, WAREHOUSE)).toBeNull();
+    expect(undo).toHaveBeenCalledWith({ product: PRODUCT_A, warehouse: WAREHOUSE }, { $inc: { quantity: 4 } });
+  });
+});
+
+describe('InventoryService.startWarehouseTracking', () => {
+  const existingStock = stock => jest.spyOn(Product, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue(new Product({ _id: PRODUCT_A, stock }))
+  });
+  const firstLevel = quantity => jest.spyOn(StockLevel, 'findOneAndUpdate').mockResolvedValue({
+    value: { quantity },
+    lastErrorObject: { updatedExisting: false }
+  });
+
+  test('moves untracked stock and its lots into the default warehouse', async () => {
+    existingStock(12);
+    jest.spyOn(InventoryService, 'resolveWarehouse').mockResolvedValue({ _id: DEFAULT_WAREHOUSE });
+    const level = firstLevel(12);
+    const lots = jest.spyOn(StockLot, 'updateMany').mockResolvedValue({});
+    const movements = jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+    const products = jest.spyOn(Product, 'findOneAndUpdate');
+
+    await InventoryService.startWarehouseTracking(PRODUCT_A, WAREHOUSE);
+
+    expect(level.mock.calls[0][0]).toEqual({ product: PRODUCT_A, warehouse: DEFAULT_WAREHOUSE });
+    expect(level.mock.calls[0][1]).toEqual({ $setOnInsert: { quantity: 12 } });
+    expect(lots).toHaveBeenCalledWith({ product: PRODUCT_A, warehouse: null }, { warehouse: DEFAULT_WAREHOUSE });
+    expect(movements.mock.calls.map(([movement]) => [movement.warehouse, movement.quantity, movement.type])).toEqual([
+      [null, -12, 'transfer'],
+      [DEFAULT_WAREHOUSE, 12, 'transfer']
+    ]);
+    expect(products).not.toHaveBeenCalled();
+  });
+
+  test('keeps the stock in the warehouse being set when there is no default', async () => {
+    existingStock(3);
+    jest.spyOn(InventoryService, 'resolveWarehouse').mockResolvedValue(null);
+    const level = firstLevel(3);
+    jest.spyOn(StockLot, 'updateMany').mockResolvedValue({});
+    jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+
+    await InventoryService.startWarehouseTracking(PRODUCT_A, WAREHOUSE);
+
+    expect(level.mock.calls[0][0]).toEqual({ product: PRODUCT_A, warehouse: WAREHOUSE });
+  });
+
+  test('does nothing more when another request started tracking first', async () => {
+    existingStock(3);
+    jest.spyOn(InventoryService, 'resolveWarehouse').mockResolvedValue(null);
+    jest.spyOn(StockLevel, 'findOneAndUpdate').mockResolvedValue({ value: { quantity: 3 }, lastErrorObject: { updatedExisting: true } });
+    const movements = jest.spyOn(StockMovement, 'create');
+
+    await InventoryService.startWarehouseTracking(PRODUCT_A, WAREHOUSE);
+
+    expect(movements).not.toHaveBeenCalled();
+  });
+});
+
+describe('InventoryService.setStockLevel', () => {
+  test('adjusts the first level by its difference from the stock moved into it', async () => {
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(false);
+    const start = jest.spyOn(InventoryService, 'startWarehouseTracking').mockResolvedValue();
+    jest.spyOn(StockLevel, 'findOne').mockResolvedValue({ quantity: 4 });
+    const adjust = jest.spyOn(InventoryService, 'adjustStock').mockResolvedValue({ level: {}, product: {} });
+
+    await InventoryService.setStockLevel(PRODUCT_A, WAREHOUSE, 10);
+
+    expect(start).toHaveBeenCalledWith(PRODUCT_A, WAREHOUSE, { user: null });
+    expect(adjust).toHaveBeenCalledWith(PRODUCT_A, 6, expect.objectContaining({ warehouse: WAREHOUSE }));
+  });
+});
+
+describe('InventoryService.adjustStock', () => {
+  beforeEach(() => {
+    jest.spyOn(InventoryService, 'onStockChanged').mockImplementation(() => {});
+    jest.spyOn(CostingService, 'recordCost').mockResolvedValue({ unitCost: 25, totalCost: 50 });
+  });
+
+  test('records the change in the ledger with its cost and the balances after it', async () => {
+    jest.spyOn(InventoryService, 'applyChange').mockResolvedValue({
+      product: new Product({ _id: PRODUCT_A, stock: 12 }),
+      level: { warehouse: WAREHOUSE, quantity: 5 }
+    });
+    const movements = jest.spyOn(StockMovement, 'create').mockImplementation(async movement => movement);
+
+    const { movement } = await InventoryService.adjustStock(PRODUCT_A, 2, {
+      warehouse: WAREHOUSE,
+      type: 'receipt',
+      reason: 'Delivery',
+      user: { id: '64b0000000000000000000ad', role: 'admin' }
+    });
+
+    expect(movements).toHaveBeenCalledTimes(1);
+    expect(movement).toMatchObject({
+      product: PRODUCT_A,
+      warehouse: WAREHOUSE,
+      type: 'receipt',
+      quantity: 2,
+      balanceAfter: 12,
+      warehouseBalanceAfter: 5,
+      unitCost: 25,
+      totalCost: 50,
+      reason: 'Delivery',
+      performedByModel: 'Admin'
+    });
+  });
+
+  test('records nothing and puts the lot back when stock is short', async () => {
+    jest.spyOn(InventoryService, 'applyChange').mockResolvedValue(null);
+    jest.spyOn(InventoryService, 'isWarehouseTracked').mockResolvedValue(false);
+    jest.spyOn(StockLot, 'findOneAndUpdate').mockResolvedValue({});
+    const lotUndo = jest.spyOn(StockLot, 'updateOne').mockResolvedValue({});
+    const movements = jest.spyOn(StockMovement, 'create');
+    const lot = '64b0000000000000000000e1';
+
+    await expect(InventoryService.adjustStock(PRODUCT_A, -3, { lot })).rejects.toThrow('Insufficient stock for this adjustment');
+    expect(lotUndo).toHaveBeenCalledWith({ _id: lot }, { $inc: { quantity: 3 } });
+    expect(movements).not.toHaveBeenCalled();
+  });
+});
+
+describe('InventoryService.reserveOrderStock', () => {
+  const reserved = { success: true, products: new Map(), lots: new Map(), costs: new Map(), shortItems: [] };
+  const short = product => ({
+    success: false,
+    products: new Map(),
+    lots: new Map(),
+    costs: new Map(),
+    shortItems: [{ product, variant: null, requested: 5, available: 1, reason: 'insufficient_stock' }]
+  });
+  const catalogue = products => jest.spyOn(Product, 'find').mockResolvedValue(products);
+
+  test('leaves pre-order lines pending without taking stock', async () => {
+    catalogue([
+      new Product({ _id: PRODUCT_A, isActive: true, preorder: { enabled: true } }),
+      new Product({ _id: PRODUCT_B, isActive: true })
+    ]);
+    const reserve = jest.spyOn(InventoryService, 'reserveStock').mockResolvedValue(reserved);
+    const claim = jest.spyOn(InventoryService, 'claimPendingCapacity').mockResolvedValue(true);
+
+    const reservation = await InventoryService.reserveOrderStock([
+      { product: PRODUCT_A, quantity: 2 },
+      { product: PRODUCT_B, quantity: 1 }
+    ]);
+
+    expect(reservation.success).toBe(true);
+    expect(reserve).toHaveBeenCalledWith([{ product: PRODUCT_B, variant: null, quantity: 1 }], {});
+    expect(claim).toHaveBeenCalledWith(PRODUCT_A, 'preorder', 2);
+    expect(reservation.pending).toEqual([{ product: PRODUCT_A, variant: null, quantity: 2, type: 'preorder' }]);
+  });
+
+  test('backorders the short lines of products that allow it and reserves the rest again', async () => {
+    catalogue([
+      new Product({ _id: PRODUCT_A, isActive: true, backorder: { allowed: true } }),
+      new Product({ _id: PRODUCT_B, isActive: true })
+    ]);
+    const reserve = jest.spyOn(InventoryService, 'reserveStock')
+      .mockResolvedValueOnce(short(PRODUCT_A))
+      .mockResolvedValueOnce(reserved);
+    jest.spyOn(InventoryService, 'claimPendingCapacity').mockResolvedValue(true);
+
+    const reservation = await InventoryService.reserveOrderStock([
+      { product: PRODUCT_A, quantity: 5 },
+      { product: PRODUCT_B, quantity: 1 }
+    ]);
+
+    expect(reservation.success).toBe(true);
+    expect(reserve).toHaveBeenLastCalledWith([{ product: PRODUCT_B, variant: null, quantity: 1 }], {});
+    expect(reservation.pending).toEqual([{ product: PRODUCT_A, variant: null, quantity: 5, type: 'backorder' }]);
+  });
+
+  test('fails when a short product does not allow backorders', async () => {
+    catalogue([new Product({ _id: PRODUCT_A, isActive: true })]);
+    jest.spyOn(InventoryService, 'reserveStock').mockResolvedValue(short(PRODUCT_A));
+    const claim = jest.spyOn(InventoryService, 'claimPendingCapacity');
+
+    const reservation = await InventoryService.reserveOrderStock([{ product: PRODUCT_A, quantity: 5 }]);
+
+    expect(reservation.success).toBe(false);
+    expect(reservation.pending).toEqual([]);
+    expect(reservation.shortItems[0].reason).toBe('insufficient_stock');
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('gives back claimed capacity when a later line is over its limit', async () => {
+    catalogue([
+      new Product({ _id: PRODUCT_A, isActive: true, preorder: { enabled: true } }),
+      new Product({ _id: PRODUCT_B, isActive: true, preorder: { enabled: true } })
+    ]);
+    jest.spyOn(InventoryService, 'claimPendingCapacity').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const release = jest.spyOn(InventoryService, 'releasePendingCapacity').mockResolvedValue();
+
+    const reservation = await InventoryService.reserveOrderStock([
+      { product: PRODUCT_A, quantity: 1 },
+      { product: PRODUCT_B, quantity: 3 }
+    ]);
+
+    expect(reservation.success).toBe(false);
+    expect(reservation.shortItems[0]).toMatchObject({ product: PRODUCT_B, requested: 3, reason: 'preorder_limit_reached' });
+    expect(release).toHaveBeenCalledWith([{ product: PRODUCT_A, variant: null, quantity: 1, type: 'preorder' }]);
+  });
+});
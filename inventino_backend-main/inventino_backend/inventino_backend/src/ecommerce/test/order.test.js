@@ -0,0 +1,51 @@
+import Order from '../models/Order.js';
+
+const CUSTOMER = { id: '64b0000000000000000000aa', role: 'user' };
+const ADMIN = { id: '64b0000000000000000000ad', role: 'admin' };
+
+const buildOrder = () => new Order({
+  user: CUSTOMER.id,
+  orderNumber: 'ORD-TEST-1',
+  items: [{ product: '64b000000000000000000001', sku: 'A', price: 100, quantity: 1 }],
+  paymentMethod: 'upi',
+  orderStatus: 'pending'
+});
+
+describe('Order.setStatus', () => {
+  test('records the change in the timeline with who made it', () => {
+    const order = buildOrder();
+    order.setStatus('orderStatus', 'processing', 'Packed', ADMIN);
+
+    expect(order.orderStatus).toBe('processing');
+    expect(order.timeline.at(-1)).toMatchObject({
+      field: 'orderStatus',
+      from: 'pending',
+      status: 'processing',
+      notes: 'Packed',
+      updatedByModel: 'Admin'
+    });
+    expect(order.timeline.at(-1).updatedBy.toString()).toBe(ADMIN.id);
+  });
+
+  test('marks changes by customers and by the system as user changes', () => {
+    const order = buildOrder();
+    order.setStatus('orderStatus', 'cancelled', 'Changed my mind', CUSTOMER);
+    expect(order.timeline.at(-1).updatedByModel).toBe('User');
+
+    const allocated = buildOrder();
+    allocated.setStatus('orderStatus', 'processing', 'Waiting items allocated');
+    expect(allocated.timeline.at(-1).updatedBy).toBeNull();
+  });
+
+  test('refuses transitions the status does not allow', () => {
+    const order = buildOrder();
+    expect(() => order.setStatus('orderStatus', 'delivered', null, ADMIN)).toThrow();
+    expect(order.orderStatus).toBe('pending');
+    expect(order.timeline).toHaveLength(0);
+  });
+
+  test('populates the changer from the collection it belongs to', () => {
+    const updatedBy = Order.schema.path('timeline').schema.path('updatedBy');
+    expect(updatedBy.options.refPath).toBe('timeline.updatedByModel');
+  });
+});
@@ -0,0 +1,133 @@
+import Order from '../models/Order.js';
+import OrderCancellationService from '../services/orderCancellationService.js';
+
+const USER = '64b0000000000000000000aa';
+
+// A prepaid order with nothing reserved or serialised, so cancelling it
+// makes no database calls
+const buildOrder = (overrides = {}) => new Order({
+  user: USER,
+  orderNumber: 'ORD-TEST-1',
+  items: [
+    { product: '64b000000000000000000001', sku: 'A', price: 100, quantity: 2 },
+    { product: '64b000000000000000000002', sku: 'B', price: 50, quantity: 2 }
+  ],
+  shippingAddress: { street: '1 MG Road', city: 'Bengaluru', state: 'Karnataka', zipCode: '560001', country: 'India' },
+  paymentMethod: 'upi',
+  paymentStatus: 'completed',
+  orderStatus: 'processing',
+  subtotal: 300,
+  discountAmount: 30,
+  shippingCharge: 40,
+  totalAmount: 310,
+  stockReserved: false,
+  ...overrides
+});
+
+describe('OrderCancellationService.splitLots', () => {
+  test('releases the latest-expiring lots first', () => {
+    const lots = [
+      { lot: 'early', lotNumber: 'L1', quantity: 2 },
+      { lot: 'late', lotNumber: 'L2', quantity: 3 }
+    ];
+    const { released, kept } = OrderCancellationService.splitLots(lots, 4);
+
+    expect(released.map(lot => [lot.lot, lot.quantity])).toEqual([['late', 3], ['early', 1]]);
+    expect(kept.map(lot => [lot.lot, lot.quantity])).toEqual([['early', 1]]);
+    expect(lots[0].quantity).toBe(2);
+  });
+});
+
+describe('OrderCancellationService.checkItems', () => {
+  test('rejects unknown items and more units than ordered', () => {
+    const order = buildOrder();
+    const [first] = order.items;
+
+    expect(OrderCancellationService.checkItems(order, [{ itemId: '64b0000000000000000000ff', quantity: 1 }]))
+      .toMatch(/not found/);
+    expect(OrderCancellationService.checkItems(order, [{ itemId: first._id, quantity: 1 }, { itemId: first._id, quantity: 2 }]))
+      .toMatch(/Cannot cancel 3 of 2/);
+    expect(OrderCancellationService.checkItems(order, [{ itemId: first._id, quantity: 2 }])).toBeNull();
+  });
+
+  test('rejects orders that have shipped', () => {
+    const order = buildOrder({ orderStatus: 'shipped' });
+    expect(OrderCancellationService.checkItems(order, [{ itemId: order.items[0]._id, quantity: 1 }]))
+      .toMatch(/before the order ships/);
+  });
+});
+
+describe('OrderCancellationService.cancelItems', () => {
+  test('pro-rates the coupon discount and records a pending refund of the difference', async () => {
+    const order = buildOrder();
+    const { cancelled, refund } = await OrderCancellationService.cancelItems(order, [
+      { itemId: order.items[0]._id, quantity: 1 }
+    ], { reason: 'Changed my mind' });
+
+    // One of the 300 in goods carried a third of the 30 discount
+    expect(cancelled).toHaveLength(1);
+    expect(cancelled[0]).toMatchObject({ quantity: 1, price: 100, discountAmount: 10 });
+    expect(order.items[0].quantity).toBe(1);
+    expect(order.subtotal).toBe(200);
+    expect(order.discountAmount).toBe(20);
+    expect(order.shippingCharge).toBe(40);
+    expect(order.totalAmount).toBe(220);
+    expect(order.orderStatus).toBe('processing');
+
+    expect(refund).toMatchObject({ amount: 90, status: 'pending', reason: 'Changed my mind' });
+    expect(order.paymentStatus).toBe('completed');
+  });
+
+  test('cancels the order and refunds shipping once nothing is left', async () => {
+    const order = buildOrder();
+    const { refund } = await OrderCancellationService.cancelItems(order, [
+      { itemId: order.items[0]._id, quantity: 2 },
+      { itemId: order.items[1]._id, quantity: 2 }
+    ]);
+
+    expect(order.items).toHaveLength(0);
+    expect(order.cancelledItems).toHaveLength(2);
+    expect(order.discountAmount).toBe(0);
+    expect(order.shippingCharge).toBe(0);
+    expect(order.totalAmount).toBe(0);
+    expect(order.orderStatus).toBe('cancelled');
+    expect(refund.amount).toBe(310);
+  });
+
+  test('does not refund cash on delivery orders', async () => {
+    const order = buildOrder({ paymentMethod: 'cod', paymentStatus: 'pending' });
+    const { refund } = await OrderCancellationService.cancelItems(order, [
+      { itemId: order.items[1]._id, quantity: 1 }
+    ]);
+
+    expect(refund).toBeNull();
+    expect(order.refunds).toHaveLength(0);
+    expect(order.totalAmount).toBe(265);
+  });
+});
+
+describe('OrderCancellationService.cancelOrder', () => {
+  const ADMIN = { id: '64b0000000000000000000ad', role: 'admin' };
+
+  test('cancels the order and records a pending refund of the whole total', async () => {
+    const order = buildOrder();
+    const refund = await OrderCancellationService.cancelOrder(order, { user: ADMIN, reason: 'Out of delivery area' });
+
+    expect(order.orderStatus).toBe('cancelled');
+    expect(order.cancelledAt).toBeInstanceOf(Date);
+    expect(order.timeline.at(-1)).toMatchObject({ status: 'cancelled', notes: 'Out of delivery area', updatedByModel: 'Admin' });
+    expect(refund).toMatchObject({ amount: 310, status: 'pending', reason: 'Out of delivery area' });
+  });
+
+  test('refunds nothing on orders that were not paid for', async () => {
+    const order = buildOrder({ paymentMethod: 'cod', paymentStatus: 'pending' });
+    expect(await OrderCancellationService.cancelOrder(order, { reason: 'Cancelled' })).toBeNull();
+    expect(order.orderStatus).toBe('cancelled');
+  });
+
+  test('refuses orders that have shipped', async () => {
+    const order = buildOrder({ orderStatus: 'shipped' });
+    await expect(OrderCancellationService.cancelOrder(order, { reason: 'Cancelled' })).rejects.toThrow();
+    expect(order.refunds).toHaveLength(0);
+  });
+});
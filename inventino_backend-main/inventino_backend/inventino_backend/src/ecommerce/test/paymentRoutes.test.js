@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import PaymentController from '../controllers/paymentController.js';
+import paymentRoutes from '../routes/paymentRoutes.js';
+
+const OWNER = '64b0000000000000000000aa';
+const OTHER = '64b0000000000000000000bb';
+const ORDER = '64b0000000000000000000cc';
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+
+const payment = { amount: 500, currency: 'INR', customerInfo: { name: 'Asha' }, paymentMethod: 'upi', provider: 'razorpay' };
+const tokenFor = id => jwt.sign({ id, role: 'user' }, process.env.JWT_SECRET || 'your-secret-key');
+
+beforeEach(() => {
+  jest.spyOn(PaymentController, 'initiatePayment').mockResolvedValue({ paymentId: 'pay_1' });
+  jest.spyOn(User, 'findById').mockResolvedValue({ isActive: true });
+  jest.spyOn(Order, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ user: OWNER }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/payments/initiate', () => {
+  test('stays open to guests for payments without an order', async () => {
+    const response = await request(app).post('/api/payments/initiate').send(payment);
+    expect(response.status).toBe(200);
+    expect(PaymentController.initiatePayment).toHaveBeenCalled();
+  });
+
+  test('requires sign-in to attach the payment to an order', async () => {
+    const response = await request(app).post('/api/payments/initiate').send({ ...payment, order: ORDER });
+    expect(response.status).toBe(401);
+    expect(PaymentController.initiatePayment).not.toHaveBeenCalled();
+  });
+
+  test("refuses to attach a payment to someone else's order", async () => {
+    const response = await request(app)
+      .post('/api/payments/initiate')
+      .set('Authorization', `Bearer ${tokenFor(OTHER)}`)
+      .send({ ...payment, order: ORDER });
+
+    expect(response.status).toBe(403);
+    expect(PaymentController.initiatePayment).not.toHaveBeenCalled();
+  });
+
+  test("attaches the payment to the signed-in owner's order", async () => {
+    const response = await request(app)
+      .post('/api/payments/initiate')
+      .set('Authorization', `Bearer ${tokenFor(OWNER)}`)
+      .send({ ...payment, order: ORDER });
+
+    expect(response.status).toBe(200);
+    expect(PaymentController.initiatePayment).toHaveBeenCalledWith(expect.objectContaining({ order: ORDER }));
+  });
+});
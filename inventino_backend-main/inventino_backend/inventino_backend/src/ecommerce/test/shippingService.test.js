@@ -0,0 +1,73 @@
+import ShippingService from '../services/shippingService.js';
+import shippingConfig, { DEFAULT_RATE_CARDS } from '../config/shipping.js';
+
+describe('ShippingService.getZone', () => {
+  test('sends remote destinations to the special zone', () => {
+    expect(ShippingService.getZone('560001', '190001')).toBe('special');
+    expect(ShippingService.getZone('560001', '744101')).toBe('special');
+  });
+
+  test('treats parcels without an origin as national', () => {
+    expect(ShippingService.getZone(null, '560001')).toBe('national');
+  });
+
+  test('reads city and state from the pincode digits when not in the directory', () => {
+    expect(ShippingService.getZone('560001', '560034')).toBe('local');
+    expect(ShippingService.getZone('560001', '571401')).toBe('regional');
+    expect(ShippingService.getZone('110001', '400001')).toBe('metro');
+    expect(ShippingService.getZone('110001', '302001')).toBe('national');
+  });
+
+  test('prefers the pincode directory over the digits', () => {
+    const areas = new Map([
+      ['411001', { pincode: '411001', city: 'Pune', state: 'Maharashtra' }],
+      ['400001', { pincode: '400001', city: 'Mumbai', state: 'maharashtra ' }],
+      ['403001', { pincode: '403001', city: 'Panaji', state: 'Goa', region: 'West' }],
+      ['380001', { pincode: '380001', city: 'Ahmedabad', state: 'Gujarat', region: 'west' }]
+    ]);
+
+    expect(ShippingService.getZone('411001', '400001', areas)).toBe('regional');
+    expect(ShippingService.getZone('403001', '380001', areas)).toBe('regional');
+  });
+});
+
+describe('ShippingService.calculateCharge', () => {
+  const card = DEFAULT_RATE_CARDS.local;
+
+  test('charges the first slab the weight fits in', () => {
+    expect(ShippingService.calculateCharge(card, 0.4)).toBe(40);
+    expect(ShippingService.calculateCharge(card, 0.5)).toBe(40);
+    expect(ShippingService.calculateCharge(card, 1)).toBe(55);
+  });
+
+  test('adds a charge per started step above the last slab', () => {
+    expect(ShippingService.calculateCharge(card, 3)).toBe(75 + 30);
+    expect(ShippingService.calculateCharge(card, 3.2)).toBe(75 + 2 * 30);
+  });
+
+  test('works with slabs out of order', () => {
+    const unsorted = { slabs: [{ maxWeight: 5, charge: 100 }, { maxWeight: 1, charge: 50 }], extraWeightStep: 0.5, extraWeightCharge: 10 };
+    expect(ShippingService.calculateCharge(unsorted, 0.8)).toBe(50);
+    expect(ShippingService.calculateCharge(unsorted, 6)).toBe(120);
+  });
+});
+
+describe('ShippingService weights', () => {
+  test('converts unit weights to kg', () => {
+    expect(ShippingService.unitWeight({ weight: { value: 500, unit: 'g' } })).toBeCloseTo(0.5);
+    expect(ShippingService.unitWeight({ weight: { value: 2, unit: 'kg' } })).toBe(2);
+    expect(ShippingService.unitWeight({ weight: { value: 1, unit: 'lb' } })).toBeCloseTo(0.4536, 4);
+  });
+
+  test('uses the default weight for products without one', () => {
+    expect(ShippingService.unitWeight({})).toBe(shippingConfig.defaultWeight);
+    expect(ShippingService.unitWeight(undefined)).toBe(shippingConfig.defaultWeight);
+  });
+
+  test('works out volumetric weight only when every dimension is set', () => {
+    const dimensions = { length: 30, width: 20, height: 10 };
+    expect(ShippingService.unitVolumetricWeight({ dimensions }))
+      .toBeCloseTo(6000 / shippingConfig.volumetricDivisor);
+    expect(ShippingService.unitVolumetricWeight({ dimensions: { length: 30, width: 20 } })).toBe(0);
+  });
+});
@@ -0,0 +1,113 @@
+import TaxService from '../services/taxService.js';
+import taxConfig from '../config/tax.js';
+
+const PRODUCT_A = '64b000000000000000000001';
+const PRODUCT_B = '64b000000000000000000002';
+
+describe('TaxService.stateCode', () => {
+  test('maps state names, short forms and codes', () => {
+    expect(TaxService.stateCode('Karnataka')).toBe('29');
+    expect(TaxService.stateCode('  tamil nadu ')).toBe('33');
+    expect(TaxService.stateCode('J&K')).toBe('01');
+    expect(TaxService.stateCode('MH')).toBe('27');
+    expect(TaxService.stateCode('07')).toBe('07');
+  });
+
+  test('returns null for unknown or missing states', () => {
+    expect(TaxService.stateCode('Atlantis')).toBeNull();
+    expect(TaxService.stateCode('')).toBeNull();
+    expect(TaxService.stateCode(null)).toBeNull();
+  });
+});
+
+describe('TaxService.calculateLine', () => {
+  test('takes GST out of tax-inclusive amounts and splits it within a state', () => {
+    expect(TaxService.calculateLine(118, 18, { intraState: true, pricesIncludeTax: true })).toEqual({
+      rate: 18,
+      taxableValue: 100,
+      cgst: 9,
+      sgst: 9,
+      igst: 0,
+      totalTax: 18
+    });
+  });
+
+  test('adds IGST on top of tax-exclusive amounts between states', () => {
+    expect(TaxService.calculateLine(100, 5, { intraState: false, pricesIncludeTax: false })).toEqual({
+      rate: 5,
+      taxableValue: 100,
+      cgst: 0,
+      sgst: 0,
+      igst: 5,
+      totalTax: 5
+    });
+  });
+
+  test('keeps CGST and SGST adding up to the tax when it does not halve evenly', () => {
+    const line = TaxService.calculateLine(100.2, 5, { intraState: true, pricesIncludeTax: false });
+    expect(line.totalTax).toBe(5.01);
+    expect(line.cgst + line.sgst).toBeCloseTo(5.01, 10);
+  });
+});
+
+describe('TaxService.calculate', () => {
+  const items = [
+    { product: PRODUCT_A, price: 100, quantity: 2 },
+    { product: PRODUCT_B, price: 50, quantity: 1 }
+  ];
+  const rates = new Map([
+    [PRODUCT_A, { hsnCode: '6109', rate: 18 }],
+    [PRODUCT_B, { hsnCode: '4901', rate: 5 }]
+  ]);
+
+  test('spreads the discount over the lines by value', () => {
+    const { lines } = TaxService.calculate(items, rates, {
+      sellerState: 'Karnataka',
+      buyerState: 'KA',
+      discountAmount: 50,
+      pricesIncludeTax: false
+    });
+
+    expect(lines.map(line => line.taxableValue)).toEqual([160, 40]);
+    expect(lines.map(line => line.totalTax)).toEqual([28.8, 2]);
+    expect(lines[0].hsnCode).toBe('6109');
+  });
+
+  test('taxes shipping at the highest rate among the lines', () => {
+    const { summary } = TaxService.calculate(items, rates, {
+      sellerState: 'Karnataka',
+      buyerState: 'Maharashtra',
+      shippingCharge: 50,
+      pricesIncludeTax: false
+    });
+
+    expect(summary.supplyType).toBe('inter_state');
+    expect(summary.shipping).toMatchObject({ rate: 18, taxableValue: 50, igst: 9 });
+    expect(summary.totalTax).toBe(36 + 2.5 + 9);
+    expect(summary.igst).toBe(summary.totalTax);
+    expect(summary.cgst).toBe(0);
+  });
+
+  test('uses UTGST for supplies within a union territory without a legislature', () => {
+    const { summary } = TaxService.calculate(items, rates, {
+      sellerState: 'Chandigarh',
+      buyerState: 'CH',
+      pricesIncludeTax: true
+    });
+
+    expect(summary.supplyType).toBe('intra_state');
+    expect(summary.stateTaxType).toBe('UTGST');
+    expect(summary.shipping).toBeNull();
+  });
+
+  test('falls back to the default rate for products without one', () => {
+    const { lines } = TaxService.calculate([{ product: '64b000000000000000000003', price: 100, quantity: 1 }], new Map(), {
+      sellerState: 'Delhi',
+      buyerState: 'Delhi',
+      pricesIncludeTax: false
+    });
+
+    expect(lines[0].hsnCode).toBeNull();
+    expect(lines[0].rate).toBe(taxConfig.defaultGstRate);
+  });
+});
@@ -0,0 +1,49 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Indian grouping: crores, lakhs and thousands, then hundreds
+const GROUPS = [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand'], [100, 'Hundred']];
+
+const belowHundred = number => (number < 20
+  ? ONES[number]
+  : [TENS[Math.floor(number / 10)], ONES[number % 10]].filter(Boolean).join(' '));
+
+/**
+ * A whole number in words with Indian grouping, e.g. 120500 is
+ * "One Lakh Twenty Thousand Five Hundred".
+ * @param {number} number - non-negative integer
+ * @returns {string}
+ */
+export const numberToWords = number => {
+  if (number === 0) return 'Zero';
+
+  const words = [];
+  let rest = number;
+  for (const [size, name] of GROUPS) {
+    if (rest >= size) {
+      // Crores above 99 are themselves grouped, e.g. "One Hundred Crore"
+      const count = Math.floor(rest / size);
+      words.push(`${count < 100 ? belowHundred(count) : numberToWords(count)} ${name}`);
+      rest %= size;
+    }
+  }
+  if (rest > 0) words.push(belowHundred(rest));
+  return words.join(' ');
+};
+
+/**
+ * A rupee amount in words as printed on invoices, e.g. 1180.5 is
+ * "Indian Rupees One Thousand One Hundred Eighty and Fifty Paise Only".
+ * @param {number} amount
+ * @returns {string}
+ */
+export const amountInWords = amount => {
+  const paiseTotal = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  return `Indian Rupees ${numberToWords(rupees)}${paise > 0 ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
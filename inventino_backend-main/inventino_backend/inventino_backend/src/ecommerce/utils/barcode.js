@@ -0,0 +1,148 @@
+import sharp from 'sharp';
+
+// GTIN lengths we accept: EAN-8, UPC-A, EAN-13 and GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// EAN/UPC digit patterns; G codes are the R codes reversed
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = L_CODES.map(code => code.replace(/./g, bit => (bit === '0' ? '1' : '0')));
+const G_CODES = R_CODES.map(code => code.split('').reverse().join(''));
+
+// Left-half parity of an EAN-13, chosen by its first digit
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+const MODULE_WIDTH = 2;
+const BAR_HEIGHT = 70;
+const GUARD_EXTRA = 8;
+const QUIET_ZONE = 11;
+const FONT_SIZE = 14;
+
+// GS1 mod-10 check digit for the digits before it
+const checkDigit = digits => {
+  const sum = digits.split('').reverse().reduce((total, digit, index) => {
+    return total + Number(digit) * (index % 2 === 0 ? 3 : 1);
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Strip spaces and dashes that scanners and spreadsheets add.
+ * @param {string} code
+ * @returns {string}
+ */
+export const cleanBarcode = code => String(code ?? '').replace(/[\s-]/g, '');
+
+/**
+ * Whether a code is a GTIN of a supported length with a valid check digit.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isValidGtin = code => {
+  const digits = cleanBarcode(code);
+  if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return false;
+  return checkDigit(digits.slice(0, -1)) === digits.slice(-1);
+};
+
+/**
+ * The barcode type of a valid GTIN.
+ * @param {string} code
+ * @returns {string|null} 'ean8', 'upca', 'ean13', 'gtin14' or null when invalid
+ */
+export const getBarcodeType = code => {
+  if (!isValidGtin(code)) return null;
+  return { 8: 'ean8', 12: 'upca', 13: 'ean13', 14: 'gtin14' }[cleanBarcode(code).length];
+};
+
+/**
+ * A GTIN padded to 14 digits. The same item has the same GTIN-14 whether it
+ * was entered as UPC-A, EAN-13 or GTIN-14, so this is what uniqueness and
+ * scan lookups compare.
+ * @param {string} code
+ * @returns {string|null} null when the code is not a valid GTIN
+ */
+export const normalizeGtin = code => (isValidGtin(code) ? cleanBarcode(code).padStart(14, '0') : null);
+
+// Module pattern ('1' = bar) for an EAN-13 or EAN-8
+const encode = digits => {
+  if (digits.length === 8) {
+    const left = digits.slice(0, 4).split('').map(digit => L_CODES[digit]).join('');
+    const right = digits.slice(4).split('').map(digit => R_CODES[digit]).join('');
+    return `101${left}01010${right}101`;
+  }
+
+  const parity = PARITY[digits[0]];
+  const left = digits.slice(1, 7).split('').map((digit, index) => {
+    return parity[index] === 'L' ? L_CODES[digit] : G_CODES[digit];
+  }).join('');
+  const right = digits.slice(7).split('').map(digit => R_CODES[digit]).join('');
+  return `101${left}01010${right}101`;
+};
+
+// Start, centre and end guard modules are drawn longer than the data bars
+const isGuardModule = (index, total) => {
+  const centre = (total - 5) / 2;
+  return index < 3 || index >= total - 3 || (index >= centre && index < centre + 5);
+};
+
+/**
+ * Render a barcode as SVG. EAN-8, UPC-A and EAN-13 are supported; UPC-A is
+ * drawn as the equivalent EAN-13 with the UPC digit layout underneath.
+ * @param {string} code - a valid EAN-8, UPC-A or EAN-13
+ * @returns {string} SVG markup
+ */
+export const renderBarcodeSvg = code => {
+  const type = getBarcodeType(code);
+  if (!['ean8', 'upca', 'ean13'].includes(type)) {
+    throw new Error('Barcode images can only be generated for EAN-8, UPC-A and EAN-13 codes');
+  }
+
+  const digits = cleanBarcode(code);
+  const pattern = encode(type === 'upca' ? `0${digits}` : digits);
+  const width = (pattern.length + QUIET_ZONE * 2) * MODULE_WIDTH;
+  const height = BAR_HEIGHT + GUARD_EXTRA + FONT_SIZE + 4;
+
+  const bars = [];
+  pattern.split('').forEach((bit, index) => {
+    if (bit !== '1') return;
+    const barHeight = isGuardModule(index, pattern.length) ? BAR_HEIGHT + GUARD_EXTRA : BAR_HEIGHT;
+    bars.push(`<rect x="${(QUIET_ZONE + index) * MODULE_WIDTH}" y="0" width="${MODULE_WIDTH}" height="${barHeight}"/>`);
+  });
+
+  // Digits sit under each half, with the outer digits in the quiet zone
+  const half = (pattern.length - 11) / 2;
+  const leftCentre = (QUIET_ZONE + 3 + half / 2) * MODULE_WIDTH;
+  const rightCentre = (QUIET_ZONE + 8 + half * 1.5) * MODULE_WIDTH;
+  const textY = BAR_HEIGHT + GUARD_EXTRA + FONT_SIZE - 4;
+  const text = (x, value, anchor = 'middle') => `<text x="${x}" y="${textY}" text-anchor="${anchor}">${value}</text>`;
+
+  const labels = [];
+  if (type === 'ean8') {
+    labels.push(text(leftCentre, digits.slice(0, 4)), text(rightCentre, digits.slice(4)));
+  } else if (type === 'ean13') {
+    labels.push(text((QUIET_ZONE - 1) * MODULE_WIDTH, digits[0], 'end'), text(leftCentre, digits.slice(1, 7)), text(rightCentre, digits.slice(7)));
+  } else {
+    labels.push(
+      text((QUIET_ZONE - 1) * MODULE_WIDTH, digits[0], 'end'),
+      text(leftCentre, digits.slice(1, 6)),
+      text(rightCentre, digits.slice(6, 11)),
+      text((QUIET_ZONE + pattern.length + 1) * MODULE_WIDTH, digits[11], 'start')
+    );
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `<rect width="${width}" height="${height}" fill="#fff"/>`
+    + `<g fill="#000">${bars.join('')}</g>`
+    + `<g font-family="monospace" font-size="${FONT_SIZE}" fill="#000">${labels.join('')}</g>`
+    + '</svg>';
+};
+
+/**
+ * Render a barcode as PNG.
+ * @param {string} code - a valid EAN-8, UPC-A or EAN-13
+ * @param {Object} options - { scale } multiplier for label printers (default 2)
+ * @returns {Promise<Buffer>}
+ */
+export const renderBarcodePng = async (code, { scale = 2 } = {}) => {
+  const svg = renderBarcodeSvg(code);
+  return sharp(Buffer.from(svg), { density: 72 * scale }).png().toBuffer();
+};
@@ -11,14 +11,16 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-// Verify connection at startup
-transporter.verify((error, success) => {
-  if (error) {
-    console.error("❌ SMTP Connection Error:", error.message);
-  } else {
-    console.log("✅ Mail server is ready to send emails");
-  }
-});
+// Verify connection at startup (not under the test runner, which sends no mail)
+if (process.env.NODE_ENV !== 'test') {
+  transporter.verify((error, success) => {
+    if (error) {
+      console.error("❌ SMTP Connection Error:", error.message);
+    } else {
+      console.log("✅ Mail server is ready to send emails");
+    }
+  });
+}
 
 // Function to send OTP email
 export const sendOTPEmail = async (email, otp) => {
@@ -38,3 +40,16 @@ export const sendOTPEmail = async (email, otp) => {
     console.error('❌ Error sending OTP email:', error.message, error.response);
   }
 };
+
+// Function to send a plain text email
+export const sendEmail = async (email, subject, text) => {
+  const mailOptions = {
+    from: `"MyApp Support" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject,
+    text
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  return info;
+};
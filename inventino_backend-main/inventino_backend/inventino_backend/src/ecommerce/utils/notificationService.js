@@ -1,5 +1,6 @@
 import Notification from '../models/Notification.js';
-import { sendOTPEmail } from './emailService.js';
+import Admin from '../models/Admin.js';
+import { sendEmail } from './emailService.js';
 import twilio from 'twilio';
 import admin from 'firebase-admin';
 import sgMail from '@sendgrid/mail';
@@ -50,11 +51,7 @@ async function sendEmailNotification(notificationData) {
     return response;
   } else {
     // Default to nodemailer
-    // Reuse sendOTPEmail function for sending email (adapted)
-    // Here we create a simple sendEmail function inline
-    // For simplicity, we use sendOTPEmail with message as OTP text
-    // In real case, create a dedicated sendEmail function in emailService.js
-    await sendOTPEmail(recipient, message);
+    await sendEmail(recipient, subject || 'Notification', message);
     return { message: 'Email sent via nodemailer' };
   }
 }
@@ -193,3 +190,55 @@ export async function sendNotification(notificationData) {
 
   return notification;
 }
+
+/**
+ * Email every active admin
+ * @param {Object} alert - { subject, message }
+ * @returns {Promise<Notification[]>} saved notification documents
+ */
+export async function notifyAdmins({ subject, message }) {
+  const admins = await Admin.find({ isActive: true }).select('email');
+
+  return Promise.all(admins.map(adminUser => sendNotification({
+    userId: adminUser._id,
+    type: 'email',
+    provider: 'nodemailer',
+    recipient: adminUser.email,
+    subject,
+    message
+  })));
+}
+
+/**
+ * Notify a shopper on each channel they have turned on in their preferences.
+ * Push is skipped until users register device tokens.
+ * @param {User} user - with email, phone and preferences
+ * @param {Object} alert - { subject, message }
+ * @returns {Promise<Notification[]>} saved notification documents
+ */
+export async function notifyUser(user, { subject, message }) {
+  const channels = user.preferences?.notifications || {};
+  const sends = [];
+
+  if (channels.email !== false && user.email) {
+    sends.push(sendNotification({
+      userId: user._id,
+      type: 'email',
+      provider: 'nodemailer',
+      recipient: user.email,
+      subject,
+      message
+    }));
+  }
+  if (channels.sms && user.phone) {
+    sends.push(sendNotification({
+      userId: user._id,
+      type: 'sms',
+      provider: 'twilio',
+      recipient: user.phone,
+      message
+    }));
+  }
+
+  return Promise.all(sends);
+}